@@ -1,11 +1,23 @@
+import asyncio
+import json
+import math
+import threading
+import time
 from pathlib import Path
-from typing import Any, Dict, List, Optional
+from typing import Any, Callable, Dict, List, Optional
 
-from fastapi import FastAPI, Body
-from fastapi.responses import FileResponse, JSONResponse
+from fastapi import FastAPI, Body, Request
+from fastapi.concurrency import run_in_threadpool
+from fastapi.responses import FileResponse, JSONResponse, StreamingResponse
 from fastapi.staticfiles import StaticFiles
 
-from var_engine import mc_single
+from var_engine import (
+    SimulationCancelled,
+    mc_portfolio,
+    mc_portfolio_batch,
+    mc_single,
+    mc_single_batch,
+)
 
 
 BASE_DIR = Path(__file__).resolve().parent
@@ -28,8 +40,94 @@ def get_testdata():
     return FileResponse(p, media_type="application/json")
 
 
+async def run_cancellable(request: Request, fn: Callable[..., Any], **kwargs: Any) -> Any:
+    """
+    在线程池中运行模拟，同时轮询客户端连接：前端取消（AbortController）断开后
+    置位 stop，分块循环在下一块前抛出 SimulationCancelled，不再空算到底。
+    返回值经 _json_safe 处理（JSONResponse 不接受 NaN / Inf）。
+    """
+    stop = threading.Event()
+
+    async def watch() -> None:
+        while not stop.is_set():
+            if await request.is_disconnected():
+                stop.set()
+                return
+            await asyncio.sleep(0.2)
+
+    watcher = asyncio.create_task(watch())
+    try:
+        return _json_safe(await run_in_threadpool(fn, should_stop=stop.is_set, **kwargs))
+    finally:
+        stop.set()
+        watcher.cancel()
+
+
+def _seed(payload: Dict[str, Any]) -> Optional[int]:
+    """可选随机种子；缺省或 null 时由 NumPy 取系统熵"""
+    seed = payload.get("seed")
+    return None if seed is None or seed == "" else int(seed)
+
+
+def _json_safe(obj: Any) -> Any:
+    """NaN / Inf → null（浏览器 JSON.parse 不接受 NaN）"""
+    if isinstance(obj, float):
+        return obj if math.isfinite(obj) else None
+    if isinstance(obj, dict):
+        return {k: _json_safe(v) for k, v in obj.items()}
+    if isinstance(obj, (list, tuple)):
+        return [_json_safe(v) for v in obj]
+    return obj
+
+
+def stream_cancellable(request: Request, fn: Callable[..., Any], **kwargs: Any) -> StreamingResponse:
+    """
+    流式版 run_cancellable：响应为 NDJSON，每行一个事件
+      {"type":"progress","done":路径数,"total":K,"elapsedMs":…}   每块模拟完成后一条
+      {"type":"result", ...fn 返回值}                              最后一条（成功）
+      {"type":"error","ok":false,"error":…}                        最后一条（失败）
+    客户端断开时响应迭代被取消，finally 中置位 stop，分块循环随即结束。
+    """
+    loop = asyncio.get_running_loop()
+    queue: asyncio.Queue = asyncio.Queue()
+    stop = threading.Event()
+    t0 = time.perf_counter()
+
+    def on_progress(done: int, total: int) -> None:
+        elapsed = round((time.perf_counter() - t0) * 1000.0, 1)
+        loop.call_soon_threadsafe(
+            queue.put_nowait, {"type": "progress", "done": done, "total": total, "elapsedMs": elapsed}
+        )
+
+    async def run() -> None:
+        try:
+            out = await run_in_threadpool(fn, should_stop=stop.is_set, on_progress=on_progress, **kwargs)
+            await queue.put({"type": "result", **out})
+        except SimulationCancelled:
+            await queue.put(None)
+        except Exception as e:
+            await queue.put({"type": "error", "ok": False, "error": str(e)})
+
+    async def events():
+        task = asyncio.create_task(run())
+        try:
+            while True:
+                msg = await queue.get()
+                if msg is None:
+                    return
+                yield (json.dumps(_json_safe(msg), ensure_ascii=False) + "\n").encode("utf-8")
+                if msg["type"] != "progress":
+                    return
+        finally:
+            stop.set()
+            if not task.done():
+                task.cancel()
+
+    return StreamingResponse(events(), media_type="application/x-ndjson")
+
+
 @app.post("/api/mcSingle")
-def api_mc_single(payload: Dict[str, Any] = Body(...)):
+async def api_mc_single(request: Request, payload: Dict[str, Any] = Body(...)):
     try:
         r = payload.get("r", [])
         conf = float(payload.get("conf"))
@@ -37,7 +135,73 @@ def api_mc_single(payload: Dict[str, Any] = Body(...)):
         sims = int(payload.get("sims"))
         method = str(payload.get("method"))
         df_max = int(payload.get("dfMax", 60))
-        return mc_single(r=r, conf=conf, T=T, sims=sims, method=method, df_max=df_max)
+        return await run_cancellable(
+            request, mc_single, r=r, conf=conf, T=T, sims=sims, method=method, df_max=df_max,
+            seed=_seed(payload),
+        )
+    except SimulationCancelled as e:
+        return JSONResponse(status_code=499, content={"ok": False, "error": str(e)})
+    except Exception as e:
+        return JSONResponse(status_code=400, content={"ok": False, "error": str(e)})
+
+
+@app.post("/api/mcPortfolio")
+async def api_mc_portfolio(request: Request, payload: Dict[str, Any] = Body(...)):
+    try:
+        R = payload.get("R", [])
+        w = payload.get("w", [])
+        conf = float(payload.get("conf"))
+        T = int(payload.get("T"))
+        sims = int(payload.get("sims"))
+        method = str(payload.get("method"))
+        df_max = int(payload.get("dfMax", 60))
+        copula = str(payload.get("copula", "gaussian"))
+        marginal = str(payload.get("marginal", "t"))
+        return await run_cancellable(
+            request, mc_portfolio, R=R, w=w, conf=conf, T=T, sims=sims, method=method, df_max=df_max,
+            copula=copula, marginal=marginal, seed=_seed(payload),
+        )
+    except SimulationCancelled as e:
+        return JSONResponse(status_code=499, content={"ok": False, "error": str(e)})
+    except Exception as e:
+        return JSONResponse(status_code=400, content={"ok": False, "error": str(e)})
+
+
+@app.post("/api/mcBatch")
+async def api_mc_batch(request: Request, payload: Dict[str, Any] = Body(...)):
+    """
+    批量 MC：一次请求覆盖 confs × Ts 全部组合，参数只拟合一次、各期限共享日度抽样。
+    传 r 为单序列（口径同 /api/mcSingle，可选 vr 方差缩减、tDist=skewt 偏 t、boot 块 bootstrap）；传 R + w 为组合多元模拟（口径同 /api/mcPortfolio）。
+    stream=true 时以 NDJSON 流式返回逐块进度与最终结果（见 stream_cancellable）。
+    """
+    try:
+        confs = [float(c) for c in payload.get("confs", [])]
+        Ts = [int(T) for T in payload.get("Ts", [])]
+        sims = int(payload.get("sims"))
+        method = str(payload.get("method"))
+        df_max = int(payload.get("dfMax", 60))
+        if "R" in payload:
+            fn = mc_portfolio_batch
+            kwargs = dict(
+                R=payload.get("R", []), w=payload.get("w", []),
+                copula=str(payload.get("copula", "gaussian")),
+                marginal=str(payload.get("marginal", "t")),
+            )
+        else:
+            fn = mc_single_batch
+            kwargs = dict(
+                r=payload.get("r", []),
+                vr=str(payload.get("vr", "none")),
+                t_dist=str(payload.get("tDist", "t")),
+                boot=str(payload.get("boot", "iid")),
+                block_len=float(payload.get("blockLen", 0) or 0),
+            )
+        kwargs.update(confs=confs, Ts=Ts, sims=sims, method=method, df_max=df_max, seed=_seed(payload))
+        if payload.get("stream"):
+            return stream_cancellable(request, fn, **kwargs)
+        return await run_cancellable(request, fn, **kwargs)
+    except SimulationCancelled as e:
+        return JSONResponse(status_code=499, content={"ok": False, "error": str(e)})
     except Exception as e:
         return JSONResponse(status_code=400, content={"ok": False, "error": str(e)})
 
@@ -1,5 +1,7 @@
 import math
-from typing import List, Dict, Any
+import time
+from functools import lru_cache
+from typing import Any, Callable, Dict, Iterator, List, Optional, Tuple
 
 import numpy as np
 
@@ -27,43 +29,65 @@ def _np_quantile_linear(arr: np.ndarray, q: float) -> float:
         return float(np.quantile(a, q, interpolation="linear"))  # type: ignore[arg-type]
 
 
-def z_from_conf(conf: float) -> float:
-    if abs(conf - 0.95) < 1e-6:
-        return 1.645
-    if abs(conf - 0.99) < 1e-6:
-        return 2.33
-
-    # Moro approximation（与 varWorker.js 一致）
-    a = [2.50662823884, -18.61500062529, 41.39119773534, -25.44106049637]
-    b = [-8.47351093090, 23.08336743743, -21.06224101826, 3.13082909833]
-    c = [
-        0.3374754822726147,
-        0.9761690190917186,
-        0.1607979714918209,
-        0.0276438810333863,
-        0.0038405729373609,
-        0.0003951896511919,
-        0.0000321767881768,
-        0.0000002888167364,
-        0.0000003960315187,
-    ]
+def _tail_es(losses: np.ndarray, var_raw: float) -> float:
+    """ES = 损失超过 VaR 分位点部分的均值（尾部平均损失）。"""
+    if not np.isfinite(var_raw):
+        return float("nan")
+    tail = losses[losses >= var_raw]
+    if tail.size == 0:
+        return float(var_raw)
+    return float(np.mean(tail))
+
+
+def _var_es(Rs: np.ndarray, q_loss: float) -> Dict[str, float]:
+    """由模拟的 T 日累计收益 Rs 同时给出 VaR 与 ES（均按 0 截断，口径一致）。"""
+    losses = -Rs
+    v_raw = _np_quantile_linear(losses, q_loss)
+    es_raw = _tail_es(losses, v_raw)
+    return {"var": max(0.0, float(v_raw)), "es": max(0.0, float(es_raw))}
+
+
+_CI_Z = 1.959963984540054  # 95% 双侧
 
-    y = conf - 0.5
-    if abs(y) < 0.42:
-        r = y * y
-        num = y * (((a[3] * r + a[2]) * r + a[1]) * r + a[0])
-        den = ((((b[3] * r + b[2]) * r + b[1]) * r + b[0]) * r + 1.0)
-        return num / den
 
-    r = conf if y <= 0 else 1.0 - conf
-    r = math.log(-math.log(r))
-    x = c[0]
-    for i in range(1, len(c)):
-        x += c[i] * (r ** i)
-    return x if y > 0 else -x
+def _mc_error(Rs: np.ndarray, q_loss: float) -> Dict[str, Any]:
+    """
+    MC 抽样误差（95% 区间，均按 0 截断，与 _var_es 同口径）：
+    - VaR：分布无关的次序统计量区间，损失第 q(n-1) ± z√(nq(1-q)) 个次序统计量；SE = 区间宽 / (2z)
+    - ES ：渐近方差 [Var(L | L ≥ VaR) + q(ES − VaR)²] / (n(1 − q))，区间 ES ± z·SE
+    """
+    losses = -np.asarray(Rs, dtype=float)
+    n = losses.size
+    if n < 2:
+        return {}
+    v = _np_quantile_linear(losses, q_loss)
+    half = _CI_Z * math.sqrt(n * q_loss * (1.0 - q_loss))
+    center = q_loss * (n - 1)
+    k_lo = int(max(0, math.floor(center - half)))
+    k_hi = int(min(n - 1, math.ceil(center + half)))
+    part = np.partition(losses, [k_lo, k_hi])
+    v_lo, v_hi = float(part[k_lo]), float(part[k_hi])
+
+    tail = losses[losses >= v]
+    es = float(np.mean(tail)) if tail.size else float(v)
+    tail_var = float(np.var(tail, ddof=1)) if tail.size > 1 else 0.0
+    es_se = math.sqrt(max(0.0, tail_var + q_loss * (es - v) ** 2) / (n * (1.0 - q_loss)))
+    return {
+        "varSe": (v_hi - v_lo) / (2.0 * _CI_Z),
+        "varCi": [max(0.0, v_lo), max(0.0, v_hi)],
+        "esSe": es_se,
+        "esCi": [max(0.0, es - _CI_Z * es_se), max(0.0, es + _CI_Z * es_se)],
+    }
 
 
-# ==================== t 分布拟合（对齐 worker：标准化后做 ν 网格） ====================
+def z_from_conf(conf: float) -> float:
+    """标准正态分位数 Φ⁻¹(conf)（Acklam，与前端 lib/dist.js normPpf 一致）"""
+    if not (0.0 < conf < 1.0):
+        return float("nan")
+    return float(norm_ppf(np.array([conf]))[0])
+
+
+# ==================== t 分布拟合 ====================
 
 def student_t_loglike(x: np.ndarray, df: float) -> float:
     # JS 中用近似 lgamma；Python 直接用 math.lgamma（更精确）
@@ -71,22 +95,358 @@ def student_t_loglike(x: np.ndarray, df: float) -> float:
     return float(np.sum(a - (df + 1.0) / 2.0 * np.log1p((x * x) / df)))
 
 
-def fit_t_df_mle(r: np.ndarray, df_min: int = 3, df_max: int = 60) -> int:
-    mu = mean(r)
-    sigma = std_sample(r)
-    if sigma <= 0 or not np.isfinite(sigma):
-        return 5
-    x = (r - mu) / sigma
+# ---------- 连续 MLE：μ、σ、ν（可选 Hansen 偏 t 的 λ） ----------
 
-    best_df = df_min
-    best_ll = -1e100
-    # 整数网格搜索（与原 JS/worker 逻辑一致，稳定且足够快）
-    for df in range(df_min, df_max + 1):
-        ll = student_t_loglike(x, float(df))
-        if ll > best_ll:
-            best_ll = ll
-            best_df = df
-    return int(best_df)
+_NU_MIN = 2.1  # σ 取标准差口径，要求 ν > 2
+_LAM_MAX = 0.99
+_NU_GRID = (3, 4, 5, 7, 10, 15, 25, 40, 60)  # ν 初值的粗网格
+
+
+def skewt_consts(nu: float, lam: float) -> Tuple[float, float, float]:
+    """Hansen 偏 t 的常数 (c, a, b)：c = Γ((ν+1)/2) / (√(π(ν−2)) Γ(ν/2))，a = 4λc(ν−2)/(ν−1)，b² = 1 + 3λ² − a²"""
+    c = math.exp(math.lgamma((nu + 1.0) / 2.0) - math.lgamma(nu / 2.0)) / math.sqrt(math.pi * (nu - 2.0))
+    a = 4.0 * lam * c * (nu - 2.0) / (nu - 1.0)
+    b = math.sqrt(1.0 + 3.0 * lam * lam - a * a)
+    return c, a, b
+
+
+def skewt_logpdf(z: np.ndarray, nu: float, lam: float = 0.0) -> np.ndarray:
+    """
+    Hansen (1994) 偏 t 的对数密度（均值 0、方差 1 的标准化口径）；lam=0 即方差为 1 的对称 t：
+      f(z) = b·c·(1 + ((bz + a)/(1 ∓ λ))² / (ν−2))^{−(ν+1)/2}，z < −a/b 取 1−λ，否则 1+λ
+    λ < 0 时左尾更厚。
+    """
+    c, a, b = skewt_consts(nu, lam)
+    side = np.where(z < -a / b, 1.0 - lam, 1.0 + lam)
+    u = (b * z + a) / side
+    return math.log(b * c) - (nu + 1.0) / 2.0 * np.log1p(u * u / (nu - 2.0))
+
+
+def _tfit_nll(theta: List[float], z: np.ndarray, skew: bool) -> float:
+    mu, s, nu = theta[0], theta[1], theta[2]
+    lam = theta[3] if skew else 0.0
+    if s <= 0 or nu <= 2.0 or abs(lam) >= 1.0:
+        return float("inf")
+    return -(float(np.sum(skewt_logpdf((z - mu) / s, nu, lam))) - z.size * math.log(s))
+
+
+def _hessian_se(f, theta: List[float], free: List[int]) -> List[float]:
+    """负对数似然在最优点的中心差分 Hessian，求逆取对角线开方；free 之外的参数（落在边界）SE 为 NaN"""
+    h = [1e-4 * max(1.0, abs(t)) for t in theta]
+
+    def at(*shifts):
+        th = list(theta)
+        for i, d in shifts:
+            th[i] += d * h[i]
+        return f(th)
+
+    f0 = f(theta)
+    k = len(free)
+    H = np.zeros((k, k))
+    for a, i in enumerate(free):
+        H[a, a] = (at((i, 1)) - 2.0 * f0 + at((i, -1))) / (h[i] * h[i])
+        for b in range(a + 1, k):
+            j = free[b]
+            H[a, b] = H[b, a] = (
+                at((i, 1), (j, 1)) - at((i, 1), (j, -1)) - at((i, -1), (j, 1)) + at((i, -1), (j, -1))
+            ) / (4.0 * h[i] * h[j])
+    se = [float("nan")] * len(theta)
+    try:
+        cov = np.linalg.inv(H)
+    except np.linalg.LinAlgError:
+        return se
+    for a, i in enumerate(free):
+        if np.isfinite(cov[a, a]) and cov[a, a] > 0:
+            se[i] = math.sqrt(cov[a, a])
+    return se
+
+
+def fit_t_mle(r: np.ndarray, df_max: int = 60, skew: bool = False) -> Optional[Dict[str, Any]]:
+    """
+    t 分布连续 MLE（对齐前端 lib/fit.js fitTMLE）：同时估计位置 μ、标准差 σ、自由度 ν ∈ [2.1, df_max]
+    （可取非整数）；skew=True 时为 Hansen 偏 t，另估偏度参数 λ ∈ (−1, 1)。
+    数据先标准化，再对 (μ, ln σ, ν 的 logistic 变换, λ 的 tanh 变换) 做 Nelder-Mead，ν 初值取粗网格最优。
+    标准误由数值 Hessian 求逆得到；ν 落在搜索边界时不给 ν 的 SE。
+    返回 {mu, sigma, nu, lam, skew, ll, aic, k, n, se:{mu, sigma, nu, lam?}}；样本不足 5 条或方差为 0 时返回 None
+    """
+    x = np.asarray(r, dtype=float)
+    x = x[np.isfinite(x)]
+    n = int(x.size)
+    if n < 5:
+        return None
+    m, sd = mean(x), std_sample(x)
+    if not (np.isfinite(sd) and sd > 0):
+        return None
+    z = (x - m) / sd
+    hi = float(max(df_max, 3))
+
+    def unpack(p: List[float]) -> List[float]:
+        nu = _NU_MIN + (hi - _NU_MIN) * 0.5 * (1.0 + math.tanh(0.5 * p[2]))
+        return [p[0], math.exp(p[1]), nu] + ([_LAM_MAX * math.tanh(p[3])] if skew else [])
+
+    def nll(p: List[float]) -> float:
+        try:
+            v = _tfit_nll(unpack(p), z, skew)
+        except (OverflowError, ValueError):
+            return 1e100
+        return v if np.isfinite(v) else 1e100
+
+    grid = [float(g) for g in _NU_GRID if g <= hi] or [hi]
+    nu0 = min(grid, key=lambda g: _tfit_nll([0.0, 1.0, g] + ([0.0] if skew else []), z, skew))
+    frac = min(max((nu0 - _NU_MIN) / (hi - _NU_MIN), 1e-3), 1.0 - 1e-3)
+    p = [0.0, 0.0, math.log(frac / (1.0 - frac))] + ([0.0] if skew else [])
+    for _ in range(2):  # 重启一次，避免单纯形过早收缩
+        p = _nelder_mead(nll, p, max_iter=2000, tol=1e-12)
+
+    theta = unpack(p)
+    at_bound = theta[2] - _NU_MIN < 1e-3 or hi - theta[2] < 1e-3 * hi
+    free = [i for i in range(len(theta)) if not (i == 2 and at_bound)]
+    se_z = _hessian_se(lambda th: _tfit_nll(th, z, skew), theta, free)
+
+    k = len(theta)
+    ll = -_tfit_nll(theta, z, skew) - n * math.log(sd)
+    se = {"mu": sd * se_z[0], "sigma": sd * se_z[1], "nu": se_z[2]}
+    if skew:
+        se["lam"] = se_z[3]
+    return {
+        "mu": float(m + sd * theta[0]),
+        "sigma": float(sd * theta[1]),
+        "nu": float(theta[2]),
+        "lam": float(theta[3]) if skew else 0.0,
+        "skew": bool(skew),
+        "ll": float(ll),
+        "aic": float(2 * k - 2 * ll),
+        "k": k,
+        "n": n,
+        "se": se,
+    }
+
+
+# ==================== 分布函数（不依赖 scipy：连分式不完全 Beta） ====================
+
+def norm_cdf(x: float) -> float:
+    return 0.5 * math.erfc(-x / math.sqrt(2.0))
+
+
+# Acklam 有理逼近（相对误差 < 1.2e-9），向量化的 Φ⁻¹
+_ACKLAM_A = (-3.969683028665376e01, 2.209460984245205e02, -2.759285104469687e02,
+             1.383577518672690e02, -3.066479806614716e01, 2.506628277459239e00)
+_ACKLAM_B = (-5.447609879822406e01, 1.615858368580409e02, -1.556989798598866e02,
+             6.680131188771972e01, -1.328068155288572e01)
+_ACKLAM_C = (-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e00,
+             -2.549732539343734e00, 4.374664141464968e00, 2.938163982698783e00)
+_ACKLAM_D = (7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e00, 3.754408661907416e00)
+_ACKLAM_P_LOW = 0.02425
+
+
+def norm_ppf(p: np.ndarray) -> np.ndarray:
+    p = np.asarray(p, dtype=float)
+    a, b, c, d = _ACKLAM_A, _ACKLAM_B, _ACKLAM_C, _ACKLAM_D
+    out = np.empty_like(p)
+
+    mid = (p >= _ACKLAM_P_LOW) & (p <= 1.0 - _ACKLAM_P_LOW)
+    q = p[mid] - 0.5
+    r = q * q
+    out[mid] = ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q
+                / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1.0))
+
+    tail = ~mid
+    pt = np.where(p[tail] < 0.5, p[tail], 1.0 - p[tail])
+    q = np.sqrt(-2.0 * np.log(pt))
+    x = ((((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5])
+         / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1.0))
+    out[tail] = np.where(p[tail] < 0.5, x, -x)
+    return out
+
+
+def _betacf(a: float, b: float, x: float, max_iter: int = 300, eps: float = 1e-14) -> float:
+    """不完全 Beta 函数的连分式部分（修正 Lentz 法）。"""
+    tiny = 1e-300
+    qab, qap, qam = a + b, a + 1.0, a - 1.0
+    c = 1.0
+    d = 1.0 - qab * x / qap
+    d = 1.0 / (d if abs(d) > tiny else tiny)
+    h = d
+    for m in range(1, max_iter + 1):
+        m2 = 2 * m
+        aa = m * (b - m) * x / ((qam + m2) * (a + m2))
+        d = 1.0 + aa * d
+        d = 1.0 / (d if abs(d) > tiny else tiny)
+        c = 1.0 + aa / c
+        c = c if abs(c) > tiny else tiny
+        h *= d * c
+        aa = -(a + m) * (qab + m) * x / ((a + m2) * (qap + m2))
+        d = 1.0 + aa * d
+        d = 1.0 / (d if abs(d) > tiny else tiny)
+        c = 1.0 + aa / c
+        c = c if abs(c) > tiny else tiny
+        de = d * c
+        h *= de
+        if abs(de - 1.0) < eps:
+            break
+    return h
+
+
+def betainc_reg(a: float, b: float, x: float) -> float:
+    """正则化不完全 Beta 函数 I_x(a, b)。"""
+    if x <= 0.0:
+        return 0.0
+    if x >= 1.0:
+        return 1.0
+    lbt = (
+        math.lgamma(a + b) - math.lgamma(a) - math.lgamma(b)
+        + a * math.log(x) + b * math.log1p(-x)
+    )
+    if x < (a + 1.0) / (a + b + 2.0):
+        return math.exp(lbt) * _betacf(a, b, x) / a
+    return 1.0 - math.exp(lbt) * _betacf(b, a, 1.0 - x) / b
+
+
+def t_cdf(x: float, df: float) -> float:
+    """标准 Student-t CDF；左尾直接由不完全 Beta 给出，深尾概率不丢精度。"""
+    tail = 0.5 * betainc_reg(df / 2.0, 0.5, df / (df + x * x))
+    return tail if x < 0 else 1.0 - tail
+
+
+def t_pdf(x: float, df: float) -> float:
+    return math.exp(
+        math.lgamma((df + 1.0) / 2.0) - math.lgamma(df / 2.0) - 0.5 * math.log(df * math.pi)
+        - (df + 1.0) / 2.0 * math.log1p(x * x / df)
+    )
+
+
+def t_ppf(p: float, df: float) -> float:
+    """
+    标准 Student-t 分位数（与前端 lib/dist.js tPpf 一致）：对上尾概率 0.5·I_{ν/(ν+x²)}(ν/2, 1/2) = 1 − p
+    做带区间保护的 Newton 迭代，深尾也保持相对精度。
+    """
+    if not (0.0 < p < 1.0):
+        return float("nan")
+    if p == 0.5:
+        return 0.0
+    if p < 0.5:
+        return -t_ppf(1.0 - p, df)
+    target = 1.0 - p
+
+    def tail(x: float) -> float:
+        return 0.5 * betainc_reg(df / 2.0, 0.5, df / (df + x * x))
+
+    z = z_from_conf(p)
+    lo, hi = 0.0, max(1.0, z)
+    while tail(hi) > target:
+        lo, hi = hi, hi * 2.0
+    x = min(max(z, lo), hi)
+    for _ in range(100):
+        f = tail(x) - target  # 关于 x 递减
+        if f > 0:
+            lo = x
+        else:
+            hi = x
+        if abs(f) <= 1e-15 * target or hi - lo <= 1e-13 * hi:
+            break
+        nx = x + f / t_pdf(x, df)
+        x = nx if lo < nx < hi else 0.5 * (lo + hi)
+    return x
+
+
+# ==================== GARCH(1,1)（对齐前端 fitGarch11） ====================
+
+_GARCH_MIN_OBS = 50
+
+
+def _nelder_mead(f, x0: List[float], max_iter: int = 600, tol: float = 1e-9) -> List[float]:
+    """无约束 Nelder-Mead 单纯形（避免引入 scipy 依赖）。"""
+    n = len(x0)
+    pts = [list(x0)]
+    for i in range(n):
+        p = list(x0)
+        p[i] += 0.5 if p[i] == 0 else 0.2 * abs(p[i]) + 0.1
+        pts.append(p)
+    vals = [f(p) for p in pts]
+
+    for _ in range(max_iter):
+        order = sorted(range(n + 1), key=lambda k: vals[k])
+        pts = [pts[k] for k in order]
+        vals = [vals[k] for k in order]
+        if abs(vals[-1] - vals[0]) <= tol * (abs(vals[0]) + tol):
+            break
+
+        centroid = [sum(p[i] for p in pts[:-1]) / n for i in range(n)]
+        worst = pts[-1]
+        xr = [centroid[i] + (centroid[i] - worst[i]) for i in range(n)]
+        fr = f(xr)
+        if fr < vals[0]:
+            xe = [centroid[i] + 2.0 * (centroid[i] - worst[i]) for i in range(n)]
+            fe = f(xe)
+            pts[-1], vals[-1] = (xe, fe) if fe < fr else (xr, fr)
+        elif fr < vals[-2]:
+            pts[-1], vals[-1] = xr, fr
+        else:
+            xc = [centroid[i] + 0.5 * (worst[i] - centroid[i]) for i in range(n)]
+            fc = f(xc)
+            if fc < vals[-1]:
+                pts[-1], vals[-1] = xc, fc
+            else:
+                best = pts[0]
+                pts = [best] + [[best[i] + 0.5 * (p[i] - best[i]) for i in range(n)] for p in pts[1:]]
+                vals = [vals[0]] + [f(p) for p in pts[1:]]
+
+    k = min(range(n + 1), key=lambda j: vals[j])
+    return pts[k]
+
+
+def _garch_unpack(x: List[float]):
+    # α、β 用 softmax 型变换保证 α,β>0 且 α+β<1；ω 取对数
+    ea, eb = math.exp(x[1]), math.exp(x[2])
+    d = 1.0 + ea + eb
+    return math.exp(x[0]), ea / d, eb / d
+
+
+def garch_filter(r: List[float], omega: float, alpha: float, beta: float, sig2_0: float):
+    """返回 (σ²_1..σ²_{n+1}, 高斯对数似然)；最后一个元素为次日预测方差。"""
+    sig2 = [0.0] * (len(r) + 1)
+    sig2[0] = sig2_0
+    ll = 0.0
+    for t, x in enumerate(r):
+        s2 = sig2[t]
+        ll += -0.5 * (math.log(2.0 * math.pi) + math.log(s2) + x * x / s2)
+        sig2[t + 1] = omega + alpha * x * x + beta * s2
+    return sig2, ll
+
+
+def fit_garch11(r: np.ndarray) -> Dict[str, Any]:
+    """
+    GARCH(1,1) 高斯 MLE（μ=0 口径，先中心化）：σ²_t = ω + α r²_{t-1} + β σ²_{t-1}
+    σ²_1 取样本方差。返回 ω/α/β、对数似然与次日条件 σ。
+    """
+    x = np.asarray(r, dtype=float)
+    x = x[np.isfinite(x)]
+    if x.size < _GARCH_MIN_OBS:
+        raise ValueError(f"GARCH fit needs >= {_GARCH_MIN_OBS} returns")
+    x = x - float(np.mean(x))
+    xs = [float(v) for v in x]
+    v0 = float(np.var(x, ddof=1))
+    if not np.isfinite(v0) or v0 <= 0:
+        raise ValueError("GARCH fit needs non-degenerate returns")
+
+    def nll(p: List[float]) -> float:
+        omega, alpha, beta = _garch_unpack(p)
+        _, ll = garch_filter(xs, omega, alpha, beta, v0)
+        return -ll if math.isfinite(ll) else 1e100
+
+    # 初值：α=0.05, β=0.90, ω 使长期方差等于样本方差
+    p_hat = _nelder_mead(nll, [math.log(v0 * 0.05), 0.0, math.log(18.0)])
+    omega, alpha, beta = _garch_unpack(p_hat)
+    sig2, ll = garch_filter(xs, omega, alpha, beta, v0)
+    return {
+        "omega": omega,
+        "alpha": alpha,
+        "beta": beta,
+        "ll": ll,
+        "sig2": sig2,
+        "resid": x / np.sqrt(np.asarray(sig2[:-1])),
+        "sigma": math.sqrt(sig2[-1]),
+    }
 
 
 # ==================== Monte Carlo（对齐 worker：mcSingle） ====================
@@ -110,12 +470,21 @@ def _validate_inputs(conf: float, T: int, sims: int, method: str, df_max: int) -
         raise ValueError(f"T too large (max={_MAX_T})")
     if sims * T > _MAX_SIM_ELEMS:
         raise ValueError(f"sims*T too large (max={_MAX_SIM_ELEMS})")
-    if method not in {"normal", "t_mc", "bootstrap"}:
+    if method not in {"normal", "t_mc", "bootstrap", "fhs"}:
         raise ValueError(f"Unknown method: {method}")
     if df_max < 3:
         raise ValueError("dfMax must be >= 3")
 
 
+class SimulationCancelled(Exception):
+    """客户端已断开（取消计算）时由分块循环抛出，接口层据此提前结束。"""
+
+
+def _check_stop(should_stop: Optional[Callable[[], bool]]) -> None:
+    if should_stop is not None and should_stop():
+        raise SimulationCancelled("simulation cancelled")
+
+
 def _choose_chunk_size(sims: int, T: int) -> int:
     # 目标：每块 draws 大小约 5e6（float64 ~ 40MB），兼顾速度与内存峰值
     target_elems = 5_000_000
@@ -123,23 +492,387 @@ def _choose_chunk_size(sims: int, T: int) -> int:
     return int(chunk)
 
 
-def mc_single(r: List[float], conf: float, T: int, sims: int, method: str, df_max: int) -> Dict[str, Any]:
+_MAX_BATCH = 10  # 单次批量请求的置信水平 / 期限个数上限
+
+
+_SEED_MAX = 2**32 - 1
+
+
+def _make_rng(seed: Optional[int]) -> np.random.Generator:
+    """seed 为 None 时取系统熵；给定时同一输入逐位可复现（分块划分只取决于 sims 与 T）"""
+    if seed is None:
+        return np.random.default_rng()
+    if not (0 <= int(seed) <= _SEED_MAX):
+        raise ValueError(f"seed must be an integer in [0, {_SEED_MAX}]")
+    return np.random.default_rng(int(seed))
+
+
+def _validate_grid(confs: List[float], Ts: List[int], sims: int, method: str, df_max: int) -> None:
+    if not confs or not Ts:
+        raise ValueError("confs and Ts must be non-empty")
+    if len(confs) > _MAX_BATCH or len(Ts) > _MAX_BATCH:
+        raise ValueError(f"too many confs/Ts (max={_MAX_BATCH} each)")
+    for c in confs:
+        _validate_inputs(float(c), max(Ts), int(sims), method, int(df_max))
+    for T in Ts:
+        if T < 1:
+            raise ValueError("T must be >= 1")
+
+
+def _simulate_horizons(
+    sims: int,
+    Ts: List[int],
+    width: int,
+    new_paths: Callable[[int], Iterator[np.ndarray]],
+    should_stop: Optional[Callable[[], bool]] = None,
+    on_progress: Optional[Callable[[int, int], None]] = None,
+) -> Tuple[np.ndarray, int]:
+    """
+    共享日度抽样的多期限模拟：每条路径只模拟到 max(Ts) 日，逐日累加，
+    在第 T 日结束时记录一次快照，因此各期限使用同一批日度抽样（公共随机数）。
+    new_paths(k) 为 k 条路径的迭代器，依次产出 (k, 天数, width) 的连续日收益块：
+    i.i.d. 方法可一次产出全部 max(Ts) 日，带状态的方法（FHS / 多元）逐日产出。
+    on_progress(done, sims)：开始时与每块完成后回调一次，用于流式进度。
+    返回 (out, chunks)，out 形状 (len(Ts), sims, width)。
+    """
+    t_max = max(Ts)
+    out = np.empty((len(Ts), int(sims), int(width)), dtype=float)
+    # 至少切成约 20 块，保证进度与取消的响应粒度
+    chunk = min(_choose_chunk_size(int(sims), int(t_max) * int(width)), max(10_000, -(-int(sims) // 20)))
+    pos, chunks = 0, 0
+    if on_progress is not None:
+        on_progress(0, int(sims))
+    while pos < sims:
+        _check_stop(should_stop)
+        k = min(chunk, sims - pos)
+        acc = np.zeros((k, width))
+        h = 0
+        for block in new_paths(k):
+            cum = acc[:, None, :] + np.cumsum(block, axis=1)
+            d = block.shape[1]
+            for i, T in enumerate(Ts):
+                if h < T <= h + d:
+                    out[i, pos:pos + k] = cum[:, T - h - 1]
+            acc = cum[:, -1]
+            h += d
+            if h >= t_max:
+                break
+        pos += k
+        chunks += 1
+        if on_progress is not None:
+            on_progress(pos, int(sims))
+    return out, chunks
+
+
+# ==================== 块 Bootstrap（保留自相关 / 波动聚集） ====================
+# iid：逐日独立重采样；block：移动块（Künsch），块长固定、起点均匀；
+# stationary：平稳 bootstrap（Politis-Romano），每日以概率 1/b 另起新块，否则顺延下一日（循环），块长服从均值 b 的几何分布
+
+_BOOT_SCHEMES = ("iid", "block", "stationary")
+
+
+def _flat_top(t: np.ndarray) -> np.ndarray:
+    a = np.abs(t)
+    return np.where(a <= 0.5, 1.0, np.where(a <= 1.0, 2.0 * (1.0 - a), 0.0))
+
+
+def _pw_block_length(x: np.ndarray, scheme: str) -> float:
+    """
+    Politis-White (2004) 自动块长（含 Patton-Politis-White 2009 修正）：
+    用平顶滞后窗估计谱密度及其导数，b = (2G²/D)^{1/3} n^{1/3}，
+    平稳 bootstrap 取 D = 2g(0)²，移动块取 D = (4/3)g(0)²；结果截断在 [1, min(3√n, n/3)]
+    """
+    n = x.size
+    x = x - x.mean()
+    kn = max(5, int(math.ceil(math.sqrt(math.log10(n)))))
+    m_max = int(math.ceil(math.sqrt(n))) + kn
+    b_max = max(1.0, min(3.0 * math.sqrt(n), n / 3.0))
+    lags = min(m_max + kn, n - 1)
+    acv = np.array([np.dot(x[: n - k], x[k:]) / n for k in range(lags + 1)])
+    if not acv[0] > 0:
+        return 1.0
+    rho = np.abs(acv / acv[0])
+    crit = 2.0 * math.sqrt(math.log10(n) / n)
+    # 第一个其后连续 kn 个滞后都不显著的 m
+    m_hat = next((m for m in range(lags - kn + 1) if np.all(rho[m + 1:m + kn + 1] < crit)), m_max)
+    M = min(2 * max(m_hat, 1), lags)
+    k = np.arange(-M, M + 1)
+    lam = _flat_top(k / M)
+    R = acv[np.abs(k)]
+    g = float(np.sum(lam * R))
+    G = float(np.sum(lam * np.abs(k) * R))
+    D = (2.0 if scheme == "stationary" else 4.0 / 3.0) * g * g
+    if not (D > 0 and G != 0):
+        return 1.0
+    b = (2.0 * G * G / D) ** (1.0 / 3.0) * n ** (1.0 / 3.0)
+    return float(min(max(b, 1.0), b_max))
+
+
+def auto_block_length(r: np.ndarray, scheme: str) -> float:
+    """对收益与平方收益分别求 Politis-White 块长取较大者：前者对应序列相关，后者对应波动聚集（对齐 worker：autoBlockLength）"""
+    x = np.asarray(r, dtype=float)
+    if x.size < 8:
+        return 1.0
+    return max(_pw_block_length(x, scheme), _pw_block_length(x * x, scheme))
+
+
+def _block_bootstrap_paths(rr: np.ndarray, k: int, t_max: int, scheme: str, b: float, rng: np.random.Generator) -> np.ndarray:
+    """按块重采样 k 条 t_max 日路径，返回形状 (k, t_max, 1)"""
+    n = rr.size
+    if scheme == "block":
+        L = int(min(max(round(b), 1), n))
+        nb = -(-t_max // L)
+        starts = rng.integers(0, n - L + 1, size=(k, nb))
+        idx = (starts[:, :, None] + np.arange(L)).reshape(k, nb * L)[:, :t_max]
+    else:
+        p = 1.0 / max(b, 1.0)
+        idx = np.empty((k, t_max), dtype=np.int64)
+        idx[:, 0] = rng.integers(0, n, size=k)
+        for h in range(1, t_max):
+            jump = rng.random(k) < p
+            idx[:, h] = np.where(jump, rng.integers(0, n, size=k), (idx[:, h - 1] + 1) % n)
+    return rr[idx][:, :, None]
+
+
+# ==================== 方差缩减（normal / t_mc） ====================
+
+_VR_SCHEMES = {"none", "antithetic", "sobol", "is"}
+_VR_BATCHES = 20  # 批均值个数：方差缩减后 SE 取自各批估计的离散度（批内路径下标连续）
+
+# Joe-Kuo new-joe-kuo-6.21201 第 2~11 维：(s, a, m_1..m_s)；第 1 维为 van der Corput
+_SOBOL_JK = (
+    (1, 0, (1,)),
+    (2, 1, (1, 3)),
+    (3, 1, (1, 3, 1)),
+    (3, 2, (1, 1, 1)),
+    (4, 1, (1, 1, 3, 3)),
+    (4, 4, (1, 3, 5, 13)),
+    (5, 2, (1, 1, 5, 5, 17)),
+    (5, 4, (1, 1, 5, 5, 5)),
+    (5, 7, (1, 1, 7, 11, 19)),
+    (5, 11, (1, 1, 5, 1, 1)),
+)
+
+
+@lru_cache(maxsize=None)
+def _sobol_directions(d: int) -> np.ndarray:
+    """前 d 维 Sobol 方向数 V[j, b]（32 位整数）"""
+    V = np.zeros((d, 32), dtype=np.uint64)
+    V[0] = [1 << (31 - b) for b in range(32)]
+    for j in range(1, d):
+        s, a, m = _SOBOL_JK[j - 1]
+        v = [0] * 33
+        for i in range(1, s + 1):
+            v[i] = m[i - 1] << (32 - i)
+        for i in range(s + 1, 33):
+            v[i] = v[i - s] ^ (v[i - s] >> s)
+            for k in range(1, s):
+                v[i] ^= ((a >> (s - 1 - k)) & 1) * v[i - k]
+        V[j] = v[1:]
+    return V
+
+
+def _sobol_uniform(idx: np.ndarray, d: int, shifts: np.ndarray) -> np.ndarray:
+    """第 idx 个 Sobol 点（Gray 码构造）逐行异或随机数字移位 shifts（形状 (len(idx), d)），取格点中心 → (0,1)"""
+    V = _sobol_directions(d)
+    idx = np.asarray(idx, dtype=np.uint64)
+    gray = idx ^ (idx >> np.uint64(1))
+    x = np.zeros((idx.size, d), dtype=np.uint64)
+    for b in range(32):
+        bit = ((gray >> np.uint64(b)) & np.uint64(1)).astype(bool)
+        x[bit] ^= V[:, b]
+    x ^= shifts
+    return (x.astype(float) + 0.5) / 2.0**32
+
+
+def _simulate_vr(
+    sims: int,
+    Ts: List[int],
+    scale: float,
+    nu: Optional[float],
+    vr: str,
+    theta: float,
+    rng: np.random.Generator,
+    should_stop: Optional[Callable[[], bool]] = None,
+    on_progress: Optional[Callable[[int, int], None]] = None,
+) -> Tuple[np.ndarray, Optional[np.ndarray], int]:
+    """
+    normal / t_mc 的方差缩减模拟（对齐 worker：simulateSingleVr）。
+    把 Ts 去重排序为 H_1 < … < H_d，按期限增量构造（与逐日累加同分布）：
+      R_{H_k} = scale · Σ_{j≤k} √V_j · Z_j
+    normal：V_j = H_j − H_{j−1}；t：V_j = Σ_{h∈(H_{j−1}, H_j]} ν/χ²_ν,h（正态方差混合，逐日 χ² 仍为伪随机）。
+    方差缩减只作用在 d 个正态维度 Z 上：
+    - antithetic：相邻路径成对使用 Z 与 −Z（同一对共享 χ²）
+    - sobol     ：Z = Φ⁻¹(u)，u 为 Sobol 点；每批（_VR_BATCHES）独立随机数字移位，批内从第 0 点起编号
+    - is        ：Z_j ~ N(μ_j, 1)，μ_j = −θ√ΔH_j（逐日均值下移 θ），似然比 LR_k = Π_{j≤k} exp(−μ_j Z_j + μ_j²/2)
+    返回 (R, LR, chunks)：R 形状 (len(Ts), sims)；LR 同形状，非 IS 时为 None
+    """
+    H = sorted(set(Ts))
+    d = len(H)
+    dH = np.diff([0] + H).astype(float)
+    col = [H.index(T) for T in Ts]
+    mu_z = -theta * np.sqrt(dH) if vr == "is" else np.zeros(d)
+    shifts = rng.integers(0, 2**32, size=(_VR_BATCHES, d), dtype=np.uint64) if vr == "sobol" else None
+
+    R = np.empty((d, sims))
+    log_lr = np.zeros((d, sims)) if vr == "is" else None
+    chunk = min(_choose_chunk_size(sims, H[-1] if nu else d), max(10_000, -(-sims // 20)))
+    pos, chunks = 0, 0
+    if on_progress is not None:
+        on_progress(0, sims)
+    while pos < sims:
+        _check_stop(should_stop)
+        k = min(chunk, sims - pos)
+        m = (k + 1) // 2 if vr == "antithetic" else k
+        if vr == "antithetic":
+            Zh = rng.standard_normal((m, d))
+            Z = np.empty((k, d))
+            Z[0::2] = Zh
+            Z[1::2] = -Zh[: k // 2]
+        elif vr == "sobol":
+            idx = np.arange(pos, pos + k)
+            b = idx * _VR_BATCHES // sims
+            local = idx - (b * sims + _VR_BATCHES - 1) // _VR_BATCHES
+            Z = norm_ppf(_sobol_uniform(local, d, shifts[b]))
+        else:
+            Z = rng.standard_normal((k, d)) + mu_z
+
+        if nu:
+            V = np.empty((k, d))
+            for j in range(d):
+                v = np.sum(nu / rng.chisquare(nu, size=(m, int(dH[j]))), axis=1)
+                V[:, j] = np.repeat(v, 2)[:k] if vr == "antithetic" else v
+        else:
+            V = dH[None, :]
+        R[:, pos:pos + k] = np.cumsum(scale * np.sqrt(V) * Z, axis=1).T
+        if log_lr is not None:
+            log_lr[:, pos:pos + k] = np.cumsum(-mu_z * Z + 0.5 * mu_z * mu_z, axis=1).T
+
+        pos += k
+        chunks += 1
+        if on_progress is not None:
+            on_progress(pos, sims)
+    return R[col], (None if log_lr is None else np.exp(log_lr)[col]), chunks
+
+
+def _weighted_loss_quantile(losses: np.ndarray, q: float, w: Optional[np.ndarray]) -> float:
+    """损失的 q 分位数；w 为 IS 似然比时取满足 (1/n)·Σ w·1{L ≥ x} ≥ 1 − q 的最大 x"""
+    if w is None:
+        return _np_quantile_linear(losses, q)
+    order = np.argsort(losses)[::-1]
+    tail = np.cumsum(w[order]) / losses.size
+    k = min(int(np.searchsorted(tail, 1.0 - q)), losses.size - 1)
+    return float(losses[order[k]])
+
+
+def _weighted_var_es(Rs: np.ndarray, q_loss: float, w: Optional[np.ndarray]) -> Dict[str, float]:
+    """_var_es 的加权版；ES 为尾部按似然比加权的平均损失"""
+    if w is None:
+        return _var_es(Rs, q_loss)
+    losses = -Rs
+    v = _weighted_loss_quantile(losses, q_loss, w)
+    m = losses >= v
+    sw = float(np.sum(w[m]))
+    es = float(np.sum(w[m] * losses[m]) / sw) if sw > 0 else v
+    return {"var": max(0.0, v), "es": max(0.0, es)}
+
+
+def _vr_error(Rs: np.ndarray, q_loss: float, w: Optional[np.ndarray], est: Dict[str, float]) -> Dict[str, Any]:
     """
-    对齐 varWorker.js: task === 'mcSingle'
+    方差缩减下的 MC 误差（批均值）：按路径下标切成 _VR_BATCHES 批，SE = 各批估计的标准差 / √批数，
+    95% 区间为估计 ± z·SE（按 0 截断）。
+    vrFactor = 普通 MC 同样本量下的 VaR 方差 / 实际方差；前者用次序统计量渐近式
+    q(1−q)/(n f²)，其中 1/f 由 (Q(q+δ) − Q(q−δ)) / 2δ 估计（δ = 0.2(1−q)，同一批样本）；批间无差异（var_se = 0）时记 None。
+    """
+    n = Rs.size
+    if n < 2 * _VR_BATCHES:
+        return {}
+    starts = [(b * n + _VR_BATCHES - 1) // _VR_BATCHES for b in range(_VR_BATCHES + 1)]
+    per = [
+        _weighted_var_es(Rs[s:e], q_loss, None if w is None else w[s:e])
+        for s, e in zip(starts[:-1], starts[1:])
+    ]
+    var_se = float(np.std([p["var"] for p in per], ddof=1)) / math.sqrt(_VR_BATCHES)
+    es_se = float(np.std([p["es"] for p in per], ddof=1)) / math.sqrt(_VR_BATCHES)
+
+    losses = -Rs
+    delta = 0.2 * (1.0 - q_loss)
+    sparsity = (
+        _weighted_loss_quantile(losses, q_loss + delta, w) - _weighted_loss_quantile(losses, q_loss - delta, w)
+    ) / (2.0 * delta)
+    plain_se = sparsity * math.sqrt(q_loss * (1.0 - q_loss) / n)
+    v, es = est["var"], est["es"]
+    return {
+        "varSe": var_se,
+        "varCi": [max(0.0, v - _CI_Z * var_se), max(0.0, v + _CI_Z * var_se)],
+        "esSe": es_se,
+        "esCi": [max(0.0, es - _CI_Z * es_se), max(0.0, es + _CI_Z * es_se)],
+        "vrFactor": (plain_se / var_se) ** 2 if var_se > 0 else None,
+    }
+
+
+def mc_single_batch(
+    r: List[float],
+    confs: List[float],
+    Ts: List[int],
+    sims: int,
+    method: str,
+    df_max: int,
+    should_stop: Optional[Callable[[], bool]] = None,
+    on_progress: Optional[Callable[[int, int], None]] = None,
+    seed: Optional[int] = None,
+    vr: str = "none",
+    t_dist: str = "t",
+    boot: str = "iid",
+    block_len: float = 0.0,
+) -> Dict[str, Any]:
+    """
+    对齐 varWorker.js: task === 'mcSingle'（批量口径）
     - normal: μ=0（前端已中心化；这里强制口径一致），sigma * N(0,1)
-    - t_mc  : μ=0，scale * t(dfHat)，scale = sigma*sqrt((df-2)/df)
-    - bootstrap: 从 r 中重采样拼路径
-    返回结构尽量与 worker 一致：{ok:true, var, mu?, sigma?, nu?, z?}
+    - t_mc  : μ=0，σ̂、ν̂ 由 fit_t_mle 连续 MLE 得到，scale * t(ν̂)，scale = σ̂*sqrt((ν̂-2)/ν̂)；
+              t_dist="skewt" 时改为 Hansen 偏 t（另估 λ̂），拟合结果见返回的 tFit
+    - bootstrap: 从 r 中重采样拼路径；boot=block / stationary 时按块重采样（见 _block_bootstrap_paths），
+                 block_len 为块长（平稳 bootstrap 为平均块长），<=0 时由 auto_block_length 自动选择
+    - fhs   : 过滤历史模拟。r 为全历史（前端已中心化），拟合 GARCH(1,1) 后
+              重采样标准化残差 z，并沿模拟路径递推 σ²_{h+1} = ω + α r_h² + β σ²_h
+    参数只拟合一次，各期限共享同一批日度抽样（见 _simulate_horizons）。
+    返回 {ok, grid, mu?, sigma?, nu?, tFit?, omega?, alpha?, beta?, boot?, blockLen?, blockAuto?, diagnostics}
+    grid[i][j] 对应 (confs[i], Ts[j])：{conf, T, var, es, varSe, varCi, esSe, esCi, z?}
+    es 为左尾（损失 >= VaR）的平均损失；*Se / *Ci 为 MC 抽样误差（见 _mc_error）
+    should_stop：每块模拟前调用，返回 True 时抛出 SimulationCancelled；on_progress 见 _simulate_horizons
+    seed：随机种子（None 为系统熵），回显在 diagnostics.seed
+    vr：方差缩减 none / antithetic / sobol / is（仅 normal、t_mc，见 _simulate_vr）；
+        非 none 时格子的 *Se / *Ci 改为批均值口径并附 vrFactor（见 _vr_error）；偏 t 不支持方差缩减
     """
-    _validate_inputs(float(conf), int(T), int(sims), str(method), int(df_max))
+    confs = [float(c) for c in confs]
+    Ts = [int(T) for T in Ts]
+    _validate_grid(confs, Ts, int(sims), str(method), int(df_max))
+    sims = int(sims)
+    vr = str(vr or "none")
+    if vr not in _VR_SCHEMES:
+        raise ValueError(f"Unknown variance reduction: {vr}")
+    if vr != "none" and method not in ("normal", "t_mc"):
+        raise ValueError("variance reduction only applies to normal / t_mc")
+    t_dist = str(t_dist or "t")
+    if t_dist not in ("t", "skewt"):
+        raise ValueError(f"Unknown t distribution: {t_dist}")
+    if vr != "none" and method == "t_mc" and t_dist == "skewt":
+        raise ValueError("variance reduction does not support skewed t")
+    boot = str(boot or "iid")
+    if boot not in _BOOT_SCHEMES:
+        raise ValueError(f"Unknown bootstrap scheme: {boot}")
+    if boot != "iid" and method != "bootstrap":
+        raise ValueError("block bootstrap only applies to bootstrap")
+    block_len = float(block_len or 0.0)
+    if not np.isfinite(block_len) or block_len < 0:
+        raise ValueError("blockLen must be >= 0 (0 = auto)")
 
+    t0 = time.perf_counter()
     rr = np.asarray(r, dtype=float)
     rr = rr[np.isfinite(rr)]
     if rr.size < 2:
-        return {"ok": True, "var": float("nan")}
-
-    # conf：取损失分布的 conf 分位数（等价于收益左尾 1-conf 分位数取负）
-    q_loss = float(conf)
+        nan_grid = [[{"conf": c, "T": T, "var": float("nan"), "es": float("nan")} for T in Ts] for c in confs]
+        return {"ok": True, "grid": nan_grid, "diagnostics": {"n": int(rr.size), "sims": sims}}
 
     # 口径：后端强制 μ=0，避免未来入口变化造成口径漂移
     mu = 0.0
@@ -147,65 +880,558 @@ def mc_single(r: List[float], conf: float, T: int, sims: int, method: str, df_ma
     sigma = std_sample(rr)
     if not np.isfinite(sigma) or sigma < 0:
         sigma = float("nan")
+    degenerate = not np.isfinite(sigma) or sigma <= 0
 
-    rng = np.random.default_rng()
-    Rs = np.empty(int(sims), dtype=float)
-
-    chunk = _choose_chunk_size(int(sims), int(T))
-    pos = 0
+    rng = _make_rng(seed)
+    t_max = max(Ts)
+    params: Dict[str, Any] = {}
+    scale, nu = 0.0, None
 
     if method == "normal":
-        # sigma 退化时，收益恒为 0（μ=0 口径）
-        if not np.isfinite(sigma) or sigma <= 0:
-            Rs.fill(0.0)
-        else:
-            while pos < sims:
-                m = min(chunk, sims - pos)
-                draws = rng.standard_normal(size=(m, int(T)))
-                Rs[pos:pos + m] = sigma * np.sum(draws, axis=1) + mu * T
-                pos += m
-
-        losses = -Rs
-        v = _np_quantile_linear(losses, q_loss)
-        v = max(0.0, float(v))
-        return {"ok": True, "var": v, "mu": mu, "sigma": float(sigma)}
-
-    if method == "t_mc":
-        # sigma 退化时同样返回 0
-        if not np.isfinite(sigma) or sigma <= 0:
-            Rs.fill(0.0)
-            df_hat = 5
+        s = 0.0 if degenerate else sigma
+        scale = s
+        params = {"mu": mu, "sigma": float(sigma)}
+
+        def new_paths(k: int):
+            # sigma 退化时，收益恒为 0（μ=0 口径）
+            yield s * rng.standard_normal(size=(k, t_max, 1))
+
+    elif method == "t_mc":
+        # 连续 MLE 得到 (σ̂, ν̂[, λ̂])；位置仍按 μ=0 口径，σ̂ 为标准差口径
+        fit = None if degenerate else fit_t_mle(rr, int(df_max), skew=t_dist == "skewt")
+        if fit is None:
+            # sigma 退化时收益恒为 0；样本过少时退回样本标准差、ν=5
+            fit = {"sigma": 0.0 if degenerate else sigma, "nu": 5.0, "lam": 0.0}
+        s, nu, lam = fit["sigma"], fit["nu"], fit["lam"]
+        scale = s * math.sqrt((nu - 2) / nu)
+        params = {"mu": mu, "sigma": float(sigma if degenerate else s), "nu": float(nu)}
+        if "ll" in fit:
+            params["tFit"] = fit
+
+        if t_dist == "skewt":
+            _, a, b = skewt_consts(nu, lam)
+            rt = math.sqrt((nu - 2) / nu)
+
+            def new_paths(k: int):
+                # Hansen 偏 t 的抽样：|t_ν| 按概率 (1−λ)/2 放到左支、(1+λ)/2 放到右支，再做标准化
+                T = np.abs(rng.standard_t(nu, size=(k, t_max, 1)))
+                side = np.where(rng.random(size=T.shape) < (1.0 - lam) / 2.0, -(1.0 - lam), 1.0 + lam)
+                yield s * (side * rt * T - a) / b
+
         else:
-            df_hat = fit_t_df_mle(rr, 3, int(df_max))
-            # 对齐 worker：让 t 的方差匹配 sigma^2（df>2）
-            scale = sigma * math.sqrt((df_hat - 2) / df_hat) if df_hat > 2 else sigma
-
-            while pos < sims:
-                m = min(chunk, sims - pos)
-                draws = rng.standard_t(df_hat, size=(m, int(T)))
-                Rs[pos:pos + m] = scale * np.sum(draws, axis=1) + mu * T
-                pos += m
-
-        losses = -Rs
-        v = _np_quantile_linear(losses, q_loss)
-        v = max(0.0, float(v))
-        return {
-            "ok": True,
-            "var": v,
+
+            def new_paths(k: int):
+                yield scale * rng.standard_t(nu, size=(k, t_max, 1))
+
+    elif method == "fhs":
+        fit = fit_garch11(rr)
+        omega, alpha, beta = fit["omega"], fit["alpha"], fit["beta"]
+        z = fit["resid"]
+        params = {
             "mu": mu,
-            "sigma": float(sigma),
-            "nu": int(df_hat),
-            "z": z_from_conf(float(conf)),
+            "sigma": float(fit["sigma"]),
+            "omega": float(omega),
+            "alpha": float(alpha),
+            "beta": float(beta),
         }
 
-    # bootstrap
-    while pos < sims:
-        m = min(chunk, sims - pos)
-        idx = rng.integers(0, rr.size, size=(m, int(T)))
-        Rs[pos:pos + m] = np.sum(rr[idx], axis=1)
-        pos += m
+        def new_paths(k: int):
+            s2 = np.full(k, fit["sig2"][-1])
+            while True:
+                rh = np.sqrt(s2) * z[rng.integers(0, z.size, size=k)]
+                s2 = omega + alpha * rh * rh + beta * s2
+                yield rh[:, None, None]
 
-    losses = -Rs
-    v = _np_quantile_linear(losses, q_loss)
-    v = max(0.0, float(v))
-    return {"ok": True, "var": v}
+    elif boot == "iid":
+        # bootstrap：逐日独立重采样
+        def new_paths(k: int):
+            yield rr[rng.integers(0, rr.size, size=(k, t_max))][:, :, None]
+
+    else:
+        # bootstrap：按块重采样，多日路径保留序列相关与波动聚集
+        b = block_len if block_len > 0 else auto_block_length(rr, boot)
+        params = {"boot": boot, "blockLen": float(b), "blockAuto": not block_len > 0}
+
+        def new_paths(k: int):
+            yield _block_bootstrap_paths(rr, k, t_max, boot, b, rng)
+
+    t1 = time.perf_counter()
+    lr = None
+    theta = 0.0
+    if vr == "none":
+        paths, chunks = _simulate_horizons(sims, Ts, 1, new_paths, should_stop, on_progress)
+        paths = paths[:, :, 0]
+    else:
+        # IS：按最高置信水平、最长期限选平移，使 T_max 日累计收益均值落在该分位附近；较短期限平移更小
+        theta = float(norm_ppf(np.array([max(confs)]))[0]) / math.sqrt(t_max) if vr == "is" else 0.0
+        paths, lr, chunks = _simulate_vr(sims, Ts, scale, nu, vr, theta, rng, should_stop, on_progress)
+    t2 = time.perf_counter()
+
+    grid = []
+    for c in confs:
+        row = []
+        for j, T in enumerate(Ts):
+            w = None if lr is None else lr[j]
+            est = _weighted_var_es(paths[j], c, w)
+            err = _mc_error(paths[j], c) if vr == "none" else _vr_error(paths[j], c, w, est)
+            cell: Dict[str, Any] = {"conf": c, "T": T, **est, **err}
+            if method == "t_mc":
+                cell["z"] = z_from_conf(c)
+            row.append(cell)
+        grid.append(row)
+
+    diagnostics = _diagnostics(rr.size, sims, Ts, chunks, t0, t1, t2, seed)
+    diagnostics["vr"] = vr
+    if vr == "is":
+        diagnostics["isTheta"] = theta
+    return {
+        "ok": True,
+        "grid": grid,
+        **params,
+        "diagnostics": diagnostics,
+    }
+
+
+def _diagnostics(
+    n: int, sims: int, Ts: List[int], chunks: int, t0: float, t1: float, t2: float, seed: Optional[int]
+) -> Dict[str, Any]:
+    """t0→t1 参数拟合，t1→t2 路径模拟，其后为分位数 / ES（及分解）"""
+    return {
+        "n": int(n),
+        "sims": int(sims),
+        "tMax": int(max(Ts)),
+        "chunks": int(chunks),
+        "fitMs": round((t1 - t0) * 1000.0, 1),
+        "simMs": round((t2 - t1) * 1000.0, 1),
+        "totalMs": round((time.perf_counter() - t0) * 1000.0, 1),
+        "seed": None if seed is None else int(seed),
+    }
+
+
+def _first_cell(out: Dict[str, Any]) -> Dict[str, Any]:
+    """批量结果 → 单个 (conf, T) 的旧返回结构（/api/mcSingle、/api/mcPortfolio 兼容用）"""
+    cell = {k: v for k, v in out["grid"][0][0].items() if k not in ("conf", "T")}
+    rest = {k: v for k, v in out.items() if k not in ("ok", "grid", "diagnostics")}
+    return {"ok": True, **cell, **rest}
+
+
+def mc_single(
+    r: List[float],
+    conf: float,
+    T: int,
+    sims: int,
+    method: str,
+    df_max: int,
+    should_stop: Optional[Callable[[], bool]] = None,
+    seed: Optional[int] = None,
+) -> Dict[str, Any]:
+    """单个 (conf, T) 的 MC；返回 {ok:true, var, es, mu?, sigma?, nu?, z?}，口径同 mc_single_batch"""
+    return _first_cell(mc_single_batch(r, [conf], [T], sims, method, df_max, should_stop, seed=seed))
+
+
+# ==================== 组合多元 Monte Carlo（Cholesky 联合模拟） ====================
+
+_PORTFOLIO_METHODS = {"normal", "t_mc", "bootstrap", "copula"}
+
+
+def _chol_psd(cov: np.ndarray) -> np.ndarray:
+    """协方差分解因子 L（L L^T = cov）；非正定时退化为特征值截断分解。"""
+    try:
+        return np.linalg.cholesky(cov)
+    except np.linalg.LinAlgError:
+        vals, vecs = np.linalg.eigh(cov)
+        return vecs * np.sqrt(np.clip(vals, 0.0, None))
+
+
+def mvt_loglike(X: np.ndarray, cov: np.ndarray, df: float) -> float:
+    """多元 t 对数似然；形状矩阵 S = cov*(ν-2)/ν，使协方差等于 cov。"""
+    n, m = X.shape
+    S = cov * (df - 2.0) / df
+    sign, logdet = np.linalg.slogdet(S)
+    if sign <= 0:
+        return -1e100
+    d = np.einsum("ij,ij->i", X @ np.linalg.inv(S), X)
+    a = (
+        math.lgamma((df + m) / 2.0)
+        - math.lgamma(df / 2.0)
+        - 0.5 * m * math.log(df * math.pi)
+        - 0.5 * logdet
+    )
+    return float(n * a - (df + m) / 2.0 * np.sum(np.log1p(d / df)))
+
+
+def fit_mvt_df_mle(X: np.ndarray, cov: np.ndarray, df_min: int = 3, df_max: int = 60) -> int:
+    # 协方差固定为样本协方差，只对整数 ν 做网格搜索
+    best_df, best_ll = df_min, -1e100
+    for df in range(df_min, df_max + 1):
+        ll = mvt_loglike(X, cov, float(df))
+        if ll > best_ll:
+            best_ll, best_df = ll, df
+    return int(best_df)
+
+
+# ==================== Copula（Gaussian / Student-t）+ 各腿独立边缘 ====================
+
+_COPULA_FAMILIES = {"gaussian", "t"}
+_COPULA_MARGINALS = {"normal", "t", "empirical"}
+_TAIL_GRID_N = 801
+
+
+def _tail_table(cdf, xmax: float, n: int = _TAIL_GRID_N):
+    """负半轴网格 x∈[-xmax, 0]（sinh 加密在 0 附近）及其 CDF 值（左尾概率，深尾不饱和）。"""
+    s = math.asinh(xmax)
+    x = -np.sinh(np.linspace(s, 0.0, n))
+    return x, np.array([cdf(float(v)) for v in x])
+
+
+def _ppf_from_tail(p: np.ndarray, lower: np.ndarray, table) -> np.ndarray:
+    """对称分布的逆 CDF：p 为所在一侧的尾部概率，lower 标记位于左侧。"""
+    x_tab, g_tab = table
+    q = np.interp(p, g_tab, x_tab)
+    return np.where(lower, q, -q)
+
+
+@lru_cache(maxsize=128)
+def _std_table(family: str, df: float = 0.0):
+    # 网格只依赖 (family, ν)，跨请求缓存；调用方不得原地修改返回数组
+    if family == "gaussian":
+        return _tail_table(norm_cdf, 9.0)
+    return _tail_table(lambda v: t_cdf(v, df), 80.0)
+
+
+def _pseudo_obs(X: np.ndarray) -> np.ndarray:
+    """逐列秩变换得到伪观测 u = rank/(n+1)。"""
+    n = X.shape[0]
+    return (np.argsort(np.argsort(X, axis=0), axis=0) + 1.0) / (n + 1.0)
+
+
+def _nearest_corr(P: np.ndarray) -> np.ndarray:
+    """特征值截断后重新归一为单位对角，保证相关矩阵半正定。"""
+    vals, vecs = np.linalg.eigh((P + P.T) / 2.0)
+    A = (vecs * np.clip(vals, 1e-10, None)) @ vecs.T
+    d = np.sqrt(np.diag(A))
+    return A / np.outer(d, d)
+
+
+def _tied_pairs(keys: np.ndarray) -> int:
+    """取值相同的无序对数 Σ t(t-1)/2（keys 为一维值或按行比较的二维数组）。"""
+    _, counts = np.unique(keys, axis=0, return_counts=True)
+    return int(np.sum(counts * (counts - 1) // 2))
+
+
+def _count_inversions(a: np.ndarray) -> int:
+    """
+    逆序对数 #{i<j: a_i > a_j}（a 为 0..n-1 的整数秩，可有并列）。
+    自底向上归并：每层把相邻左右半块对齐到 块号·n + 值 的键上，右半块每个元素用
+    searchsorted 在已排序的左半块中数出严格更大者；共 log n 层，每层一次排序，内存 O(n)。
+    """
+    n = a.size
+    pos = np.arange(n)
+    total = 0
+    w = 1
+    while w < n:
+        blk = pos // (2 * w)
+        right = (pos // w) % 2 == 1
+        key = blk * n + a
+        left = np.sort(key[~right])
+        le = np.searchsorted(left, key[right], side="right")
+        end = np.searchsorted(left, (blk[right] + 1) * n, side="left")
+        total += int(np.sum(end - le))
+        w *= 2
+    return total
+
+
+def _kendall_tau_matrix(X: np.ndarray) -> np.ndarray:
+    """
+    两两 Kendall τ（τ-a：并列对记 0，分母 n(n-1)/2），Knight 排序算法，不构造 n×n 符号矩阵。
+    按 (x, y) 字典序排好后 y 的逆序对即不一致对 D，
+    一致对 C = n0 - n_x - n_y + n_xy - D（n_x / n_y / n_xy 为 x、y、(x, y) 的并列对数）。
+    """
+    n, m = X.shape
+    n0 = n * (n - 1) // 2
+    ranks = [np.unique(X[:, j], return_inverse=True)[1].astype(np.int64) for j in range(m)]
+    ties = [_tied_pairs(X[:, j]) for j in range(m)]
+    tau = np.eye(m)
+    for i in range(m):
+        for j in range(i + 1, m):
+            order = np.lexsort((ranks[j], ranks[i]))
+            disc = _count_inversions(ranks[j][order])
+            joint = _tied_pairs(np.column_stack((ranks[i], ranks[j])))
+            conc = n0 - ties[i] - ties[j] + joint - disc
+            tau[i, j] = tau[j, i] = (conc - disc) / n0 if n0 else 0.0
+    return tau
+
+
+def fit_copula(X: np.ndarray, family: str, df_max: int) -> Dict[str, Any]:
+    """
+    由对齐收益估计 copula：
+    - gaussian: 伪观测经 Φ^{-1} 变换后的相关矩阵
+    - t       : 相关矩阵由 Kendall τ 反推 ρ = sin(πτ/2)，ν 在 [3, df_max] 上按 copula 似然网格搜索
+    """
+    U = _pseudo_obs(X)
+    P_lower = U < 0.5
+    P_tail = np.where(P_lower, U, 1.0 - U)
+    if family == "gaussian":
+        Z = _ppf_from_tail(P_tail, P_lower, _std_table("gaussian"))
+        P = np.atleast_2d(np.corrcoef(Z, rowvar=False))
+        return {"family": family, "P": _nearest_corr(P)}
+
+    P = _nearest_corr(np.sin(np.pi * _kendall_tau_matrix(X) / 2.0))
+    best_df, best_ll = 3, -1e100
+    for df in range(3, int(df_max) + 1):
+        Y = _ppf_from_tail(P_tail, P_lower, _std_table("t", float(df)))
+        # copula 对数密度 = 多元 t 密度（形状 P）- 各边缘 t 密度
+        ll = mvt_loglike(Y, P * df / (df - 2.0), float(df)) - sum(
+            student_t_loglike(Y[:, j], float(df)) for j in range(Y.shape[1])
+        )
+        if ll > best_ll:
+            best_ll, best_df = ll, df
+    return {"family": family, "P": P, "nu": int(best_df)}
+
+
+def _marginal_map(x_leg: np.ndarray, marginal: str, y_grid: np.ndarray, p_grid: np.ndarray, df_max: int):
+    """
+    构造“copula 标准变量 y → 本腿收益”的单调映射在网格上的取值：x = G^{-1}(F_c(y))
+    返回 (映射值, 边缘信息)。
+    """
+    lower = y_grid < 0
+    sigma = std_sample(x_leg)
+    if marginal == "empirical":
+        srt = np.sort(x_leg)
+        u = np.where(lower, p_grid, 1.0 - p_grid)
+        # 线性插值分位数（与 _np_quantile_linear 同口径）
+        h = np.interp(u * (srt.size - 1), np.arange(srt.size), srt)
+        return h, {"type": "empirical", "sigma": sigma}
+    if marginal == "t":
+        fit = fit_t_mle(x_leg, int(df_max))
+        s, df = (fit["sigma"], fit["nu"]) if fit else (sigma, 5.0)
+        h = s * math.sqrt((df - 2) / df) * _ppf_from_tail(p_grid, lower, _std_table("t", df))
+        return h, {"type": "t", "sigma": s, "nu": df}
+    h = sigma * _ppf_from_tail(p_grid, lower, _std_table("gaussian"))
+    return h, {"type": "normal", "sigma": sigma}
+
+
+def _mc_copula(
+    X: np.ndarray,
+    copula: str,
+    marginal: str,
+    df_max: int,
+    rng: np.random.Generator,
+) -> Tuple[Dict[str, Any], Callable[[int], Iterator[np.ndarray]]]:
+    """拟合 copula 与各腿边缘；返回 (拟合信息, new_paths)，new_paths 逐日产出各腿日收益"""
+    if copula not in _COPULA_FAMILIES:
+        raise ValueError(f"Unknown copula: {copula}")
+    if marginal not in _COPULA_MARGINALS:
+        raise ValueError(f"Unknown marginal: {marginal}")
+    m = X.shape[1]
+    fit = fit_copula(X, copula, df_max)
+    nu_c = fit.get("nu")
+
+    # copula 标准变量的对称网格：y 与其所在一侧尾部概率
+    x_tab, g_tab = _std_table(copula, float(nu_c or 0))
+    y_grid = np.concatenate([x_tab, -x_tab[-2::-1]])
+    p_grid = np.concatenate([g_tab, g_tab[-2::-1]])
+    maps, margins = [], []
+    for j in range(m):
+        h, info = _marginal_map(X[:, j], marginal, y_grid, p_grid, df_max)
+        maps.append(h)
+        margins.append(info)
+
+    L = _chol_psd(fit["P"])
+
+    def new_paths(k: int):
+        while True:
+            y = rng.standard_normal(size=(k, m)) @ L.T
+            if nu_c is not None:
+                y = y / np.sqrt(rng.chisquare(nu_c, size=k) / nu_c)[:, None]
+            day = np.empty((k, m))
+            for j in range(m):
+                day[:, j] = np.interp(y[:, j], y_grid, maps[j])
+            yield day[:, None, :]
+
+    info: Dict[str, Any] = {
+        "copula": copula,
+        "rho": [[float(v) for v in row] for row in fit["P"]],
+        "marginals": margins,
+    }
+    if nu_c is not None:
+        info["nuCopula"] = int(nu_c)
+    return info, new_paths
+
+
+# ==================== 组合 VaR 分解（Euler 成分 / 边际 / 增量） ====================
+
+_DECOMP_MAX_ELEMS = 20_000_000  # 分解需保留每条路径各期限的各腿收益（sims×m×期限数），超过则跳过
+
+
+def decompose_mc(Legs: np.ndarray, wv: np.ndarray, q_loss: float, var_p: float) -> Dict[str, Any]:
+    """
+    由模拟的各腿 T 日收益做组合 VaR 分解：
+    - component  : Euler 成分 VaR_i = E[-w_i R_i | L_p ≈ VaR]，取 VaR 附近秩带内的情景均值，再按比例校准到合计 = VaR
+    - marginal   : component_i / w_i（∂VaR/∂w_i 的估计）；权重为 0 的腿（如手数为 0）无法由此反推，记 None
+    - componentEs: E[-w_i R_i | L_p >= VaR]，合计即 ES
+    - incremental: VaR(w) - VaR(w 去掉第 i 腿)，同一批情景重算（公共随机数）
+    """
+    sims, m = Legs.shape
+    contrib = -Legs * wv[None, :]
+    losses = np.sum(contrib, axis=1)
+    order = np.argsort(losses)
+    center = int(round(q_loss * (sims - 1)))
+    half = max(50, int(0.0025 * sims))
+    band = order[max(0, center - half):min(sims, center + half + 1)]
+    component = np.mean(contrib[band], axis=0)
+    total = float(np.sum(component))
+    if var_p > 0 and abs(total) > 1e-15:
+        component = component * (var_p / total)
+
+    # 与 _var_es 同一尾部口径：损失 >= VaR 分位点的情景
+    tail = losses >= _np_quantile_linear(losses, q_loss)
+    component_es = np.mean(contrib[tail], axis=0) if np.any(tail) else np.zeros(m)
+
+    incremental = []
+    for i in range(m):
+        v_wo = _np_quantile_linear(losses - contrib[:, i], q_loss)
+        incremental.append(var_p - max(0.0, float(v_wo)))
+
+    marginal = [float(c / w) if w != 0 else None for c, w in zip(component, wv)]
+    return {
+        "component": [float(v) for v in component],
+        "componentEs": [float(v) for v in component_es],
+        "marginal": marginal,
+        "incremental": incremental,
+        "band": int(band.size),
+    }
+
+
+def mc_portfolio_batch(
+    R: List[List[float]],
+    w: List[float],
+    confs: List[float],
+    Ts: List[int],
+    sims: int,
+    method: str,
+    df_max: int,
+    copula: str = "gaussian",
+    marginal: str = "t",
+    should_stop: Optional[Callable[[], bool]] = None,
+    on_progress: Optional[Callable[[int, int], None]] = None,
+    seed: Optional[int] = None,
+) -> Dict[str, Any]:
+    """
+    组合多元 MC：逐品种联合模拟，再按权重 w 线性合成（对数收益口径，与 rpHist 一致）
+    - normal   : 多元正态 N(0, Σ)，X = L z
+    - t_mc     : 多元 t（共享混合变量），协方差仍为 Σ；ν 由多元 t 似然网格拟合
+    - bootstrap: 按交易日整行重采样（保留同日截面相关）
+    - copula   : Gaussian / t copula 连接各腿独立拟合的边缘（normal / t / empirical）
+    R 为 n×m 收益矩阵（行=对齐交易日，列=品种；前端已逐列中心化），μ=0 口径。
+    参数只拟合一次，各期限共享同一批日度抽样（见 _simulate_horizons）。
+    返回 {ok, grid, sigmaP, sigmas, nu?, copula?, nuCopula?, rho?, marginals?, diagnostics}
+    grid[i][j] 对应 (confs[i], Ts[j])：{conf, T, var, es, varSe, varCi, esSe, esCi, decomp?}
+    decomp 为各腿 VaR 分解（见 decompose_mc），sims×m×期限数 过大时省略
+    seed：随机种子（None 为系统熵），回显在 diagnostics.seed
+    """
+    if method not in _PORTFOLIO_METHODS:
+        raise ValueError(f"Unknown portfolio method: {method}")
+    confs = [float(c) for c in confs]
+    Ts = [int(T) for T in Ts]
+    X = np.asarray(R, dtype=float)
+    if X.ndim != 2 or X.shape[1] < 1:
+        raise ValueError("R must be a 2-D matrix (days x symbols)")
+    X = X[np.all(np.isfinite(X), axis=1)]
+    n, m = X.shape
+    wv = np.asarray(w, dtype=float)
+    if wv.shape != (m,) or not np.all(np.isfinite(wv)):
+        raise ValueError("w must have one finite weight per column of R")
+    sims = int(sims)
+    _validate_grid(confs, Ts, sims, "normal", int(df_max))
+    if sims * max(Ts) * m > _MAX_SIM_ELEMS:
+        raise ValueError(f"sims*T*symbols too large (max={_MAX_SIM_ELEMS})")
+    t0 = time.perf_counter()
+    if n < 2:
+        nan_grid = [[{"conf": c, "T": T, "var": float("nan"), "es": float("nan")} for T in Ts] for c in confs]
+        return {"ok": True, "grid": nan_grid, "diagnostics": {"n": int(n), "sims": sims}}
+
+    cov = np.atleast_2d(np.cov(X, rowvar=False, ddof=1))
+    sigmas = np.sqrt(np.clip(np.diag(cov), 0.0, None))
+    sigma_p = float(math.sqrt(max(0.0, float(wv @ cov @ wv))))
+
+    rng = _make_rng(seed)
+    extra: Dict[str, Any] = {}
+
+    if method == "copula":
+        info, new_paths = _mc_copula(X, copula, marginal, int(df_max), rng)
+        extra.update(info)
+    elif method == "bootstrap":
+        def new_paths(k: int):
+            while True:
+                yield X[rng.integers(0, n, size=k)][:, None, :]
+    else:
+        L = _chol_psd(cov)
+        df_hat = None
+        t_scale = 1.0
+        if method == "t_mc":
+            df_hat = fit_mvt_df_mle(X, cov, 3, int(df_max))
+            t_scale = math.sqrt((df_hat - 2) / df_hat)
+            extra["nu"] = int(df_hat)
+
+        def new_paths(k: int):
+            while True:
+                day = rng.standard_normal(size=(k, m)) @ L.T
+                if df_hat is not None:
+                    # 多元 t：同一交易日各品种共享 χ² 混合变量 → 尾部同步放大
+                    mix = np.sqrt(rng.chisquare(df_hat, size=k) / df_hat)
+                    day = t_scale * day / mix[:, None]
+                yield day[:, None, :]
+
+    # 保留每条路径各期限的各腿收益供 VaR 分解；过大时直接按权重合成，只保留组合收益
+    keep_legs = sims * m * len(Ts) <= _DECOMP_MAX_ELEMS
+    if keep_legs:
+        paths_fn = new_paths
+    else:
+        def paths_fn(k: int):
+            for block in new_paths(k):
+                yield block @ wv[:, None]
+
+    t1 = time.perf_counter()
+    paths, chunks = _simulate_horizons(sims, Ts, m if keep_legs else 1, paths_fn, should_stop, on_progress)
+    t2 = time.perf_counter()
+
+    grid = []
+    for c in confs:
+        row = []
+        for j, T in enumerate(Ts):
+            Legs = paths[j]
+            Rp = Legs @ wv if keep_legs else Legs[:, 0]
+            cell: Dict[str, Any] = {"conf": c, "T": T, **_var_es(Rp, c), **_mc_error(Rp, c)}
+            if keep_legs:
+                cell["decomp"] = decompose_mc(Legs, wv, c, cell["var"])
+            row.append(cell)
+        grid.append(row)
+
+    return {
+        "ok": True,
+        "grid": grid,
+        "sigmaP": sigma_p,
+        "sigmas": [float(v) for v in sigmas],
+        **extra,
+        "diagnostics": _diagnostics(n, sims, Ts, chunks, t0, t1, t2, seed),
+    }
+
+
+def mc_portfolio(
+    R: List[List[float]],
+    w: List[float],
+    conf: float,
+    T: int,
+    sims: int,
+    method: str,
+    df_max: int,
+    copula: str = "gaussian",
+    marginal: str = "t",
+    should_stop: Optional[Callable[[], bool]] = None,
+    seed: Optional[int] = None,
+) -> Dict[str, Any]:
+    """单个 (conf, T) 的组合 MC；返回 {ok, var, es, sigmaP, sigmas, decomp?, ...}，口径同 mc_portfolio_batch"""
+    return _first_cell(
+        mc_portfolio_batch(R, w, [conf], [T], sims, method, df_max, copula, marginal, should_stop, seed=seed)
+    )
@@ -6,11 +6,15 @@ import { motion, AnimatePresence } from "framer-motion";
 import {
   ResponsiveContainer,
   LineChart,
+  ComposedChart,
+  BarChart,
+  Bar,
   Line,
   XAxis,
   YAxis,
   Tooltip,
   Legend,
+  ReferenceLine,
 } from "recharts";
 import clsx from "clsx";
 
@@ -25,6 +29,10 @@ import jsPDF from "jspdf";
 import html2canvas from "html2canvas";
 
 import testData from "./data/testData.json";
+// 内联为 Blob Worker：静态 build 以 file:// 打开时也能创建
+import VarWorker from "./workers/varWorker.js?worker&inline";
+import { normPdf, normPpf, tPdf, tPpf } from "./lib/dist.js";
+import { fitTMLE, invertSmall, nelderMead, skewtConsts } from "./lib/fit.js";
 
 // ==================== 颜色调色板（多品种分色） ====================
 const PALETTE = [
@@ -52,7 +60,7 @@ const USER_MANUAL_MD = `
 4. 点击 **开始计算**。
 5. 结果依次输出：
    - 文本摘要（含口径与中间拟合值）
-   - 表格视图（VaR%）
+   - 表格视图（VaR% / ES%）
    - 行情走势图（价格，最近 $w$ 天）
 
 > 数据格式可通过顶部 **下载标准数据模板** 获取。
@@ -112,6 +120,18 @@ $$
 - 追求更平滑：$w=120$~$250$。
 - 若样本不足 $w$，自动退化为全样本估计。
 
+### 3.4 头寸口径：权重 / 持仓
+- **权重**：只输入相对权重，结果为收益率口径（%）。权重可为负（空头），按 $\\sum_i|w_i|=1$ 归一化；纯多头时与“权重和为 1”一致。
+- **持仓**：逐品种输入手数（空头为负）、合约乘数、币种（外币需汇率），名义金额
+$$
+N_i=\\text{手数}_i\\times\\text{乘数}_i\\times P_i^{\\text{最新结算}}\\times FX_i,\\qquad
+w_i=\\frac{N_i}{\\sum_j|N_j|}
+$$
+  所有方法沿用同一套计算，百分比相对总名义 $\\sum_j|N_j|$，金额 = 百分比 × $\\sum_j|N_j|$（本币）。
+- 价差 / 对冲组合净名义可以为 0，此时仍以总名义为基数，不会出现“权重和为 0”的问题。
+- 单品种空头：收益取负后计算（价格上涨为亏损），因此非对称方法（历史模拟、Bootstrap、FHS）的多空 VaR 会不同。
+- 收益以对数收益线性近似损益，持有期较长或波动极大时金额为近似值。
+
 ---
 
 ## 4. 正态参数 VaR
@@ -136,9 +156,105 @@ $$
 VaR^{(p)}_{c,T}= z_c \\cdot \\sigma_p\\sqrt{T}
 $$
 
+### 4.3 EWMA 波动率（RiskMetrics）
+在 **参数法波动率** 中选择 EWMA 后，$\\sigma$ 与相关矩阵改用指数加权估计（零均值口径）：
+$$
+\\sigma_t^2=\\lambda\\sigma_{t-1}^2+(1-\\lambda)r_t^2,\\qquad
+\\Sigma_t=\\lambda\\Sigma_{t-1}+(1-\\lambda)\\,r_t r_t^\\top
+$$
+程序使用全部历史、按有限样本归一化权重 $\\frac{(1-\\lambda)\\lambda^{k}}{1-\\lambda^{n}}$，无需初始方差。
+
+- RiskMetrics 日频标准为 $\\lambda=0.94$，半衰期 $\\ln0.5/\\ln\\lambda\\approx 11.2$ 日。
+- $\\lambda$ 越小对近期冲击越敏感；越大越平滑。
+- 摘要会输出所用 $\\lambda$ 与半衰期；MC 方法不受影响。
+- 滚动 VaR / 回测选择正态参数法时，同样逐日使用 EWMA 的 $\\sigma_{t-1}$。
+
+### 4.4 GARCH(1,1) 波动率预测
+在 **参数法波动率** 中选择 GARCH(1,1) 后，用全部历史（中心化）做高斯最大似然估计：
+$$
+\\sigma_t^2=\\omega+\\alpha r_{t-1}^2+\\beta\\sigma_{t-1}^2,\\qquad \\omega>0,\\ \\alpha,\\beta\\ge0,\\ \\alpha+\\beta<1
+$$
+$T$ 日方差按期限结构累加（$\\bar\\sigma^2=\\omega/(1-\\alpha-\\beta)$ 为长期方差）：
+$$
+\\sigma^2_{(T)}=\\sum_{h=1}^{T}\\left[\\bar\\sigma^2+(\\alpha+\\beta)^{h-1}(\\sigma^2_{t+1}-\\bar\\sigma^2)\\right],\\qquad
+VaR_{c,T}=z_c\\,\\sigma_{(T)}
+$$
+- 当前波动高于长期水平时，$T$ 越长 VaR 相对 $\\sqrt{T}$ 放大越少（向长期均值回归），反之亦然。
+- 摘要输出 $\\omega,\\alpha,\\beta$、持续性 $\\alpha+\\beta$、长期 σ、次日条件 σ 与对数似然。
+- 组合模式：各腿分别拟合 GARCH，相关矩阵用对齐样本相关（CCC）。
+- 有效收益少于 50 条时不拟合。滚动 VaR / 回测中参数只用 $t$ 日及以前的数据：扩展窗口每 22 个交易日重估一次，期间逐日递推 $\\sigma_{t+1|t}$，整体为样本外（前 50 日无预测）。
+
+### 4.5 参数 t VaR（闭式）
+在 **参数 t 法** 中开启后，额外输出一组不需要模拟的厚尾参数法结果。日收益假设为方差匹配的 Student-t：$r=\\sigma\\,s\\,t_\\nu$，$s=\\sqrt{(\\nu-2)/\\nu}$。$\\nu$ 用与 t-MC 相同的连续 MLE（见 6.2.1）在最近 $w$ 天收益上拟合，$\\sigma$ 与正态参数法相同（等权窗口 / EWMA / GARCH）：
+$$
+VaR_{c,T}=\\sigma\\sqrt{T}\\,s\\,t_{\\nu,c},\\qquad
+ES_{c,T}=\\sigma\\sqrt{T}\\,s\\,\\frac{f_\\nu(t_{\\nu,c})}{1-c}\\cdot\\frac{\\nu+t_{\\nu,c}^2}{\\nu-1}
+$$
+- $t_{\\nu,c}$ 为 Student-t 分位数，由不完全 Beta 函数表示的 t 分布尾概率反解得到（带区间保护的 Newton 迭代），深尾也保持精度。
+- 按 $\\sqrt{T}$ 放大相当于假设 $T$ 日收益仍服从同一 t 分布。实际上 i.i.d. t 的和随 $T$ 增大趋近正态，因此长 $T$ 时结果偏保守，可与 t-MC 对照。
+- 组合：$\\sigma_p$ 同 4.2，$\\nu$ 在最近 $w$ 天历史组合收益上拟合。成分 VaR 按 $k=s\\,t_{\\nu,c}\\sqrt{T}$ 做 Euler 分解，各腿占比与正态参数法相同。
+- “t 分布形态”选 Hansen 偏 t 时，单位方差分位改用偏 t 的左支：记 $P=(1-c)/(1-\\lambda)$、$t_P$ 为 $t_\\nu$ 的上 $P$ 分位点，
+  $q=\\frac{a+(1-\\lambda)\\,s\\,t_P}{b}$，$ES$ 因子 $=\\frac{1}{b}\\Big(a+(1-\\lambda)\\,s\\,\\frac{f_\\nu(t_P)}{P}\\cdot\\frac{\\nu+t_P^2}{\\nu-1}\\Big)$；要求 $P\\le 1/2$，$\\lambda$ 接近 1 且 $c$ 较低时无闭式结果。
+
+### 4.6 z 值口径
+正态分位数默认取精确值 $z_c=\\Phi^{-1}(c)$（Acklam 算法，相对误差 < 1.2e-9）：$z_{0.95}=1.6449$，$z_{0.99}=2.3263$。App、本地 Worker 与后端使用同一实现。
+旧版程序把 95% / 99% 写死为 1.645 / 2.33，其余置信度用 Moro 近似。需要与历史报表对账时，可在 **z 值口径** 中选择“旧版”：99% 的正态参数 VaR 约大 0.16%。该选项影响正态参数法（含组合分解）、修正 VaR 与滚动 VaR / 回测，不影响 MC、历史模拟与参数 t 法。
+
+### 4.7 修正 VaR（Cornish-Fisher）
+正态参数法只用到前两阶矩。开启 **修正 VaR** 后，用最近 $w$ 天收益（组合为历史组合收益）的样本偏度与超额峰度修正分位数，仍然是闭式、无需模拟：
+$$
+S=\\frac{m_3}{m_2^{3/2}},\\qquad K=\\frac{m_4}{m_2^2}-3,\\qquad
+z_{cf}=z_c-\\frac{(z_c^2-1)S}{6}+\\frac{(z_c^3-3z_c)K}{24}-\\frac{(2z_c^3-5z_c)S^2}{36}
+$$
+$$
+VaR_{c,T}=\\sigma\\sqrt{T}\\,z_{cf},\\qquad
+ES_{c,T}=\\sigma\\sqrt{T}\\,\\frac{\\varphi(z_c)}{1-c}\\Big[1-\\frac{z_cS}{6}+\\frac{(z_c^2-1)K}{24}-\\frac{(2z_c^2-1)S^2}{36}\\Big]
+$$
+- $\\sigma$ 与正态参数法相同（等权窗口 / EWMA / GARCH）；$z_c$ 随 **z 值口径**。$S,K$ 为矩估计，摘要同时给出正态下的近似标准误 $\\sqrt{6/n}$、$\\sqrt{24/n}$。
+- 公式按损失方向书写：左偏（$S<0$）与厚尾（$K>0$）都会使 VaR 变大。ES 是同一 Cornish-Fisher 变换下尾部的精确平均。
+- **单调性检查**：展开 $g(z)$ 的导数 $g'(z)=Az^2+Bz+C$（$A=K/8-S^2/6$，$B=-S/3$，$C=1-K/8+5S^2/36$）必须对所有 $z$ 为正，否则分位数会随 $c$ 倒挂。不满足时摘要与“参数细节”标记 ⚠，此时偏度 / 峰度已超出展开的适用范围，应改用参数 t、EVT 或 t-MC。
+- 修正 VaR 介于正态参数法与 t-MC 之间，适合作为快速的厚尾 / 偏度检查。组合的成分 VaR 按 $k=z_{cf}\\sqrt{T}$ 做 Euler 分解。
+
+---
+
+## 5. 历史模拟 VaR（Historical Simulation）
+
+不做任何分布假设，直接读取历史收益的经验分位数：
+$$
+VaR_{c,T} = -Q_{1-c}\\left(\\{R_T^{hist}\\}\\right)
+$$
+收益池为最近 $w$ 天对数收益（组合为按权重合成的历史组合收益），**不做中心化**。
+
+### 5.1 T 日收益的构造
+- **重叠（默认）**：逐日滚动求和 $R_T^{(i)}=\\sum_{k=i}^{i+T-1} r_k$，共 $w-T+1$ 个样本。样本多，但相邻样本共享 $T-1$ 天，高度相关。
+- **不重叠**：从最新交易日向前切分为 $\\lfloor w/T\\rfloor$ 个互不重叠的 $T$ 日块。样本独立，但 $T$ 较大时数量很少。
+- $T=1$ 时两种口径一致。
+
+### 5.2 注意事项
+- 样本数 $N$ 满足 $N(1-c)<1$ 时，分位点已落在最差样本上，摘要会给出 ⚠ 提示。
+- 历史模拟是监管常用的基准口径；MC 与参数法可与之对照。
+
+### 5.3 EVT 尾部法（峰值超阈 + GPD）
+历史模拟和 Bootstrap 无法给出比历史最差损失更大的结果。99.5%、99.9% 这类置信度可开启 **EVT 尾部法**，用极值理论把尾部外推出去：
+- 损失 $L=-r$（不中心化）。阈值 $u$ 取**全部历史**损失的“阈值分位” $p_u$（默认 0.90），超过 $u$ 的 $N_u$ 个超额 $y=L-u$ 拟合广义 Pareto 分布：
+$$
+P(L>x)\\approx\\frac{N_u}{n}\\Big(1+\\xi\\frac{x-u}{\\beta}\\Big)^{-1/\\xi}
+$$
+- 形状 $\\xi$ 与尺度 $\\beta$ 用极大似然估计（矩估计作初值）。标准误取渐近公式 $\\mathrm{se}(\\xi)=(1+\\xi)/\\sqrt{N_u}$，$\\mathrm{se}(\\beta)=\\beta\\sqrt{2(1+\\xi)/N_u}$。$\\xi>0$ 为厚尾，$\\xi$ 越大尾越厚；$\\xi=0$ 为指数尾。
+- 1 日 VaR / ES：
+$$
+VaR_c=u+\\frac{\\beta}{\\xi}\\Big[\\Big(\\frac{n}{N_u}(1-c)\\Big)^{-\\xi}-1\\Big],\\qquad
+ES_c=\\frac{VaR_c+\\beta-\\xi u}{1-\\xi}\\quad(\\xi<1)
+$$
+  多日按 $\\sqrt{T}$ 放大。
+- 组合：按当前权重合成全部对齐历史的组合收益后同样处理。
+- 要求 $c>p_u$，且超额样本不少于 10 个；$\\xi\\ge 1$ 时 ES 不存在。
+
+**阈值选择**：开启后会画出平均超额图 $e(u)=E[L-u\\mid L>u]$。进入 GPD 区域后 $e(u)$ 关于 $u$ 近似直线（斜率 $\\xi/(1-\\xi)$），阈值宜取直线段的起点。阈值太低时估计有偏，太高时超额太少、标准误大。图中红线为当前阈值，数据同时写入 Excel 的 *EVT Mean Excess* 表。
+
 ---
 
-## 5. Monte Carlo VaR（最近 $w$ 天口径）
+## 6. Monte Carlo VaR（最近 $w$ 天口径）
 
 所有 MC 方法输出统一为：
 $$
@@ -146,7 +262,7 @@ VaR_{c,T} = -Q_{1-c}(R_T)
 $$
 其中 $R_T$ 为模拟得到的未来 $T$ 天游走累计收益。
 
-### 5.1 Normal MC（正态 i.i.d.）
+### 6.1 Normal MC（正态 i.i.d.）
 最近 $w$ 天估计：
 $$
 r \\sim \\mathcal N(0,\\sigma_w^2)
@@ -157,19 +273,34 @@ $$
 **缺点**：尾部偏薄  
 **场景**：常态行情或收益近似正态时的日常风险监控。
 
-### 5.2 t-MC（厚尾 t 分布 + ν 拟合）
+### 6.2 t-MC（厚尾 t 分布 + ν 拟合）
 最近 $w$ 天拟合 t 分布：
 $$
 r \\sim t_{\\nu_w}(0,\\sigma_w)
 $$
-程序自动拟合自由度 $\\nu_w$（输出到结果中），均值默认取 0。
+程序用连续极大似然同时估计位置 $\\mu$、标准差 $\\sigma_w$ 与自由度 $\\nu_w$（$\\nu$ 可取非整数），模拟时均值仍取 0、标准差取 $\\hat\\sigma_w$。摘要输出各参数的估计值与标准误、对数似然 logL 与 AIC（见 6.2.1）。
+
+#### 6.2.1 t 分布拟合与 Hansen 偏 t
+“t 分布形态”选择拟合与模拟所用的分布（同时作用于参数 t 法，见 4.5）：
+- **对称 t**：参数 $(\\mu,\\sigma,\\nu)$，$\\sigma$ 为标准差口径（$\\nu>2$）。
+- **Hansen 偏 t**：多一个偏度参数 $\\lambda\\in(-1,1)$，$\\lambda<0$ 表示左尾（下跌）更厚。标准化变量 $z=(r-\\mu)/\\sigma$ 的密度
+$$
+f(z)=bc\\left(1+\\frac{1}{\\nu-2}\\Big(\\frac{bz+a}{1\\mp\\lambda}\\Big)^2\\right)^{-\\frac{\\nu+1}{2}}
+$$
+$z<-a/b$ 时取 $1-\\lambda$，否则取 $1+\\lambda$；$c=\\frac{\\Gamma((\\nu+1)/2)}{\\sqrt{\\pi(\\nu-2)}\\Gamma(\\nu/2)}$，$a=4\\lambda c\\frac{\\nu-2}{\\nu-1}$，$b^2=1+3\\lambda^2-a^2$，保证均值 0、方差 1。$\\lambda=0$ 即对称 t。
+
+拟合细节：
+- 先把收益标准化，再对 $(\\mu,\\ln\\sigma,\\nu,\\lambda)$ 做 Nelder-Mead 极大似然；$\\nu$ 限制在 $[2.1,\\nu_{\\max}]$，初值取粗网格上的最优值。
+- 标准误来自对数似然数值 Hessian 的逆；$\\nu$ 顶到搜索上下限时不给 $\\nu$ 的标准误（此时可考虑调整 $\\nu_{\\max}$）。
+- $AIC=2k-2\\log L$（$k=3$ 或 4）。同一样本上偏 t 的 AIC 比对称 t 小约 2 以上，才说明偏度值得多估一个参数。
+- 偏 t 目前不支持方差缩减；组合 t-MC 为多元 t，不受此选项影响。
 
 **优点**：尾部更厚，适合极端风险  
 **缺点**：拟合依赖样本量、计算更慢  
 **场景**：波动聚集、跳跃明显、尾部厚的期货品种。
 
 #### t ν 搜索上限 $\\nu_{\\max}$
-拟合时搜索区间为 $[2,\\nu_{\\max}]$。$\\nu$ 越小尾越厚；$\\nu\\to\\infty$ 逼近正态。
+拟合时搜索区间为 $[2.1,\\nu_{\\max}]$（连续取值）。$\\nu$ 越小尾越厚；$\\nu\\to\\infty$ 逼近正态。
 
 **如何设置：**
 - 默认 $\\nu_{\\max}=15$：适度厚尾/更保守。
@@ -177,17 +308,96 @@ $$
 - $\\nu_{\\max}$ 越小尾越厚、VaR 越保守；越大越接近正态。
 - 样本量较小（<100）时不宜设置太大（建议 $\\le 60$），否则拟合不稳。
 
-### 5.3 Bootstrap MC（历史重采样）
+### 6.3 Bootstrap MC（历史重采样）
 从最近 $w$ 天收益池重采样：
 $$
 r_t^{(k)} \\leftarrow \\mathrm{sample}(\\{r_{t-w+1},\\dots,r_t\\})
 $$
 
+#### 6.3.1 块 Bootstrap（保留自相关与波动聚集）
+逐日独立抽样会打乱日期顺序，多日路径里没有序列相关，也没有“大波动后跟大波动”的聚集，$T$ 日 VaR 往往偏低。单品种可在 **Bootstrap 方案** 中改用按块重采样：
+- **移动块**：每次从收益池中均匀抽一个起点，连续取 $b$ 天作为一块，拼接到路径长度 $T$。
+- **平稳 bootstrap**（Politis-Romano）：第 1 天随机抽一天；之后每天以概率 $p=1/b$ 另抽新起点，否则取上一天的下一天（到末尾循环回开头）。块长服从均值为 $b$ 的几何分布，重采样序列仍是平稳的。
+- **块长度 $b$**：可手工填写（小于 1 按 1 处理）；留空或填 0 时自动选择。对收益 $r$ 与平方收益 $r^2$ 分别按 Politis-White (2004) 方法估计最优块长，取较大者（前者对应序列相关，后者对应波动聚集）：
+$$
+\\hat b=\\Big(\\frac{2\\hat G^2}{\\hat D}\\Big)^{1/3}n^{1/3},\\quad
+\\hat G=\\sum_{|k|\\le M}\\lambda(k/M)\\,|k|\\,\\hat R(k),\\quad
+\\hat D=c\\Big(\\sum_{|k|\\le M}\\lambda(k/M)\\hat R(k)\\Big)^2
+$$
+  $\\hat R(k)$ 为样本自协方差，$\\lambda$ 为平顶窗，$M$ 由第一个“其后连续若干阶自相关都不显著”的滞后决定；平稳 bootstrap 取 $c=2$，移动块取 $c=4/3$。结果截断在 $[1,\\min(3\\sqrt n,n/3)]$。
+- 摘要与“参数细节”给出所用块长及是否自动。后端与本地引擎均支持；组合模式的 Bootstrap 仍为多元逐日重采样。
+
+### 6.4 FHS（GARCH 过滤历史模拟）
+i.i.d. 方法（Normal / t / Bootstrap）忽略波动聚集，在波动突然放大时明显滞后。FHS 先用**全部历史**拟合 GARCH(1,1)，得到标准化残差 $z_t=r_t/\\sigma_t$，再逐日模拟：
+$$
+r_{t+h}^{(k)}=\\sigma_{t+h}^{(k)}\\,z^{*},\\quad z^{*}\\leftarrow\\mathrm{sample}(\\{z_t\\}),\\quad
+\\left(\\sigma_{t+h+1}^{(k)}\\right)^2=\\omega+\\alpha\\left(r_{t+h}^{(k)}\\right)^2+\\beta\\left(\\sigma_{t+h}^{(k)}\\right)^2
+$$
+- 起点 $\\sigma_{t+1}$ 为当前条件 σ，因此结果直接反映“现在”的波动状态。
+- 残差保留历史分布形状（偏度、厚尾），不做分布假设。
+- 拟合参数 $\\omega,\\alpha,\\beta$ 与当前条件 σ 输出到摘要；有效收益少于 50 条时报错。
+
+### 6.5 组合 MC（多元联合模拟）
+组合模式下 Normal / t-MC / Bootstrap 不再把篮子压成一条历史组合收益，而是对各品种**联合模拟**后再按权重合成：
+$$
+\\mathbf r_t^{(k)}=L\\,\\mathbf z_t^{(k)},\\quad LL^\\top=\\Sigma_w,\\qquad
+R_T^{(k)}=\\sum_{h=1}^{T}\\mathbf w^\\top\\mathbf r_{t+h}^{(k)}
+$$
+- $\\Sigma_w$ 为最近 $w$ 天对齐收益（逐列中心化）的样本协方差，$L$ 为其 Cholesky 因子；非正定时按特征值截断修正。
+- **Normal**：$\\mathbf z\\sim\\mathcal N(0,I)$，即多元正态。
+- **t-MC**：多元 t，各品种共享同一个 $\\chi^2_\\nu$ 混合变量 $\\mathbf r=L\\mathbf z\\big/\\sqrt{W/(\\nu-2)}$，尾部相依（同跌）比独立 t 更强；$\\nu$ 按多元 t 似然在 $[3,\\nu_{\\max}]$ 上搜索。
+- **Bootstrap**：整行（同一交易日所有品种）重采样，保留历史截面相依结构。
+- **FHS** 仍基于历史组合收益序列做单变量 GARCH 过滤。
+- 摘要与结果行标注所用联合分布；组合 σ 为 $\\sqrt{\\mathbf w^\\top\\Sigma_w\\mathbf w}$。
+
+### 6.6 Copula MC（仅组合）
+各腿尾部形态差异较大时，多元正态 / 多元 t 用同一个分布描述所有腿并不合适。Copula 把“边缘”和“相依”分开估计：
+$$
+u_{i}=F_c(y_i),\\quad r_i=G_i^{-1}(u_i),\\qquad \\mathbf y\\sim\\text{Gaussian / t}(\\mathbf 0,P)
+$$
+- **边缘 $G_i$**：每条腿单独拟合，可选正态、t（逐腿 $\\nu_i$，与 t-MC 同一拟合口径）或经验分布。
+- **Gaussian copula**：伪观测 $u=\\text{rank}/(n+1)$ 经 $\\Phi^{-1}$ 变换后的相关矩阵 $P$。
+- **t copula**：$P_{ij}=\\sin(\\pi\\tau_{ij}/2)$（Kendall $\\tau$），$\\nu_c$ 在 $[3,\\nu_{\\max}]$ 上按 copula 似然搜索。$\\nu_c$ 小意味着尾部相依强（同跌概率高）。
+- 每日逐腿生成收益后按权重合成，$T$ 日累加后取分位数与尾部均值。
+- 摘要输出 copula 类型、$\\nu_c$、各腿边缘与 $P$。经验边缘不会产生比历史最差更差的单腿收益。
+
+### 6.7 计算引擎（后端 / 本地）
+- **后端 Python**（`/api/mcBatch`）：NumPy 分块模拟，适合大 $K$。
+- **批量口径**：每个 MC 方法只发一次请求，覆盖全部置信水平 × 期限。参数（$\sigma$、$\nu$、GARCH、copula）只拟合一次；每条路径只模拟到 $\max T$ 日，在第 $T_1,T_2,T_3$ 日分别记录累计收益，因此各期限共用同一批日度抽样，期限间的比较不含额外的抽样噪声（VaR 随 $T$ 单调的关系更稳定）。摘要给出拟合 / 模拟耗时与分块数。
+- **本地浏览器**：同一套算法在 Web Worker 中运行，口径与后端一致：$\\mu=0$、VaR/ES 按 0 截断、t 分布的 σ、ν 取同一连续 MLE；FHS 的 GARCH 参数在页面内拟合后传入。Copula 仅后端支持。
+- 本地计算使用 Worker 池（线程数 = 浏览器报告的 CPU 核数）：参数只拟合一次，$K$ 条路径固定切成 64 块（与线程数无关）分给各线程并行模拟，合并后统一取分位数与尾部均值；进度栏显示已完成块数。
+- **随机种子**：留空时每次计算自动抽取一个种子，填写后使用该种子；两种情况下摘要与结果行都会写出本次所用种子。同一引擎、同一输入、同一种子的结果逐位相同，可据此复算任何已报告的数字。后端（NumPy PCG64）与本地（sfc32）的随机数发生器不同，同一种子在两种引擎下的结果只在 MC 误差范围内一致；复算时请使用相同引擎。
+- **进度**：顶部状态栏显示当前 MC 作业的进度条、百分比、已用时间与预计剩余时间（按已完成比例线性外推）。后端以 NDJSON 流逐块回报已完成路径数（$K$ 至少切成约 20 块），本地按已完成块数回报；参数拟合阶段显示“拟合参数…”。
+- **自动（默认）**：计算前探测 `/api/health`，不可达（离线打开静态包、后端未启动）时全部改用本地；计算中途后端断开也会切换，摘要中给出提示。
+
+### 6.8 MC 抽样误差与置信区间
+同一输入换一个种子，MC 结果会有抽样波动。每个 MC 的 VaR / ES 同时给出 95% 置信区间与标准误（SE）：
+- **VaR**：分布无关的次序统计量区间。模拟损失排序后，取第 $q(K-1)\pm 1.96\sqrt{Kq(1-q)}$ 个次序统计量为区间上下限；SE = 区间宽 / (2×1.96)。
+- **ES**：渐近正态近似
+$$
+\text{SE}(\widehat{ES})=\sqrt{\frac{\operatorname{Var}(L\mid L\ge VaR)+q\,(ES-VaR)^2}{K(1-q)}},\qquad ES\pm1.96\,\text{SE}
+$$
+- 区间与点估计一样按 0 截断，显示在结果表“参数细节”列和文本摘要中（各 $T$ 分别给出）。
+- 半宽 / 点估计 超过“误差容差”（默认 5%）时标记 ⚠。高置信度、长 $T$、厚尾方法（t-MC、FHS）的相对误差最大。
+- 该区间只衡量**抽样误差**，不包含参数估计误差（$\sigma$、$\nu$ 等由有限样本估计）与模型误差。
+
+### 6.9 方差缩减（Normal MC / t-MC）
+高置信度、长 $T$ 时普通 MC 需要很大的 $K$。单品种的 Normal MC 与 t-MC 可在“方差缩减”中选择以下方案，后端与本地引擎均支持。为减少需要处理的维度，模拟改按期限增量构造（与逐日累加同分布）：把 $T_1<T_2<T_3$ 之间的增量写成 $\sqrt{V_j}\,Z_j$，Normal 时 $V_j=\sigma^2\Delta T_j$；t-MC 用正态方差混合 $t_\nu=Z/\sqrt{\chi^2_\nu/\nu}$，$V_j$ 为区间内逐日 $\text{scale}^2\nu/\chi^2_\nu$ 之和，$\chi^2$ 仍为普通随机数。方差缩减只作用在这几个正态维度 $Z_j$ 上：
+- **对偶变量**：相邻两条路径分别使用 $Z$ 与 $-Z$（t-MC 时共享同一组 $\chi^2$）。对均值类估计效果好，对尾部分位数改善有限。
+- **Sobol 准随机（RQMC）**：$Z_j=\Phi^{-1}(u_j)$，$u$ 取 Sobol 低差异序列（Joe-Kuo 方向数），并对每批路径做独立的随机数字移位（加扰），因此仍然无偏且可以估计误差。Normal MC 时效果最明显；t-MC 还有 $\chi^2$ 部分的随机性，改善较小。
+- **重要性抽样（均值平移）**：把每日正态部分的均值下移 $\theta$，即 $Z_j\sim\mathcal N(-\theta\sqrt{\Delta T_j},1)$，取 $\theta=z_{c_{max}}/\sqrt{T_{max}}$，使最长期限的累计收益中心落在最高置信水平的分位附近。估计时按似然比
+$$
+LR=\prod_j \exp\!\left(\theta\sqrt{\Delta T_j}\,Z_j+\tfrac12\theta^2\Delta T_j\right)
+$$
+加权：VaR 为满足 $\frac1K\sum LR\cdot\mathbf 1\{L\ge x\}\ge 1-c$ 的最大 $x$，ES 为尾部按 $LR$ 加权的平均损失。适合 99% 及以上的深尾；较短期限的平移较小，改善也较小。
+- **误差与缩减倍数**：选用方差缩减后，6.8 中的次序统计量区间不再适用。此时把 $K$ 条路径按顺序分成 20 批，SE = 各批估计的标准差 / $\sqrt{20}$，95% 区间为估计 ± 1.96·SE。摘要与“参数细节”给出各 $T$ 的**方差缩减倍数**：同样 $K$ 下普通 MC 的 VaR 方差 $\frac{c(1-c)}{K f^2}$ 除以实际方差。密度 $f$ 由同一批样本的 $[Q(c-\delta),Q(c+\delta)]$ 差商估计，$\delta=0.2(1-c)$。倍数为 10 表示同样精度只需约 1/10 的 $K$。
+- 组合模式下 Normal / t-MC 走多元联合模拟，暂不支持方差缩减；Bootstrap、FHS 也不适用。
+
 ---
 
-## 6. 各方法适用场景与优劣对比
+## 7. 各方法适用场景与优劣对比
 
-### 6.1 正态参数法（Normal / Parametric VaR）
+### 7.1 正态参数法（Normal / Parametric VaR）
 **核心假设**：收益率近似正态 i.i.d.，风险完全由近期波动率 $\\sigma$ 决定。  
 **口径**：最近 $w$ 天估计 $\\sigma_{\\text{latest}}$，再乘 $z$ 与 $\\sqrt{T}$。
 
@@ -206,7 +416,7 @@ $$
 
 ---
 
-### 6.2 Normal MC（正态 Monte Carlo）
+### 7.2 Normal MC（正态 Monte Carlo）
 **核心假设**：收益正态 i.i.d.；用模拟代替闭式公式。  
 **口径**：最近 $w$ 天估 $\\sigma_w$ 后模拟未来路径（均值默认取 0）。
 
@@ -225,9 +435,9 @@ $$
 
 ---
 
-### 6.3 t-MC（厚尾 t 分布 MC）
+### 7.3 t-MC（厚尾 t 分布 MC）
 **核心假设**：收益服从 t 分布，允许厚尾；$\\nu$ 自动拟合。  
-**口径**：最近 $w$ 天拟合 $\\sigma_w,\\nu_w$ 后模拟（均值默认取 0）。
+**口径**：最近 $w$ 天用连续 MLE 拟合 $\\sigma_w,\\nu_w$（偏 t 另有 $\\lambda$）后模拟（均值默认取 0）。
 
 **适用场景**
 - **明显厚尾或跳跃品种**（黑色/化工/高波动品种等）。
@@ -244,7 +454,7 @@ $$
 
 ---
 
-### 6.4 Bootstrap MC（历史重采样）
+### 7.4 Bootstrap MC（历史重采样）
 **核心假设**：不作分布假设；未来收益来自近期历史的重抽样。  
 **口径**：从最近 $w$ 天收益池重采样拼接路径。
 
@@ -261,10 +471,11 @@ $$
 - 尾部可靠性取决于 $w$ 内是否出现极端日：  
   若样本缺少极端事件，Bootstrap 可能低估尾部。
 - 无外推能力（不会产生历史未出现的极端值）。
+- 逐日独立抽样会丢掉波动聚集，长 $T$ 时可改用块 Bootstrap（见 6.3.1）。
 
 ---
 
-### 6.5 如何公平对比这些方法？
+### 7.5 如何公平对比这些方法？
 当前版本已统一口径（MC 也用最近 $w$ 天），因此可直接横向对比：
 
 - **正态参数法 ≈ Normal MC** 同 $w$ + 同正态假设 → 两者应高度一致（差异来自 MC 采样误差/是否带 $\\mu$）。
@@ -277,7 +488,7 @@ $$
 
 ---
 
-### 6.6 选法小抄（给用户的快速建议）
+### 7.6 选法小抄（给用户的快速建议）
 - **日常监控 / 常态行情**：  
   ✅ 正态参数法（最快）  
   ✅ Normal MC（若你希望保留路径/μ）
@@ -290,25 +501,112 @@ $$
   ✅ Bootstrap MC  
   ➕ t-MC（厚尾外推对照）
 
+- **监管报送 / 基准口径**：  
+  ✅ 历史模拟法（重叠 T 日）  
+  ➕ 正态参数法（对照）
+
 - **风控口径要保守**：  
   ✅ t-MC + Bootstrap  
   正态类作为下限参考
 
+- **99.5% / 99.9% 等极高置信度**：  
+  ✅ EVT 尾部法（全历史 POT-GPD，见 5.3）  
+  ➕ t-MC（对照）
+
 ---
 
-## 7. 结果解读
+## 8. 滚动 VaR 与回测
+
+每次计算都会沿历史逐日滚动：对每个交易日 $t$，只用 $r_{t-w},\\dots,r_{t-1}$ 估计 1 日 VaR（样本外），方法由 **6. 滚动 VaR / 回测** 中的“逐日 VaR 方法”决定：
+- 正态参数法：$VaR_t=z_c\\,\\sigma_{t-1}(w)$，即把 $\\sigma_{\\text{latest}}$ 的窗口口径推广到全部历史（参数法波动率选 EWMA / GARCH 时改用逐日 EWMA $\\sigma$ / 样本外 GARCH $\\sigma_{t|t-1}$）；
+- 参数 t 法：$VaR_t=q_{\\nu}\\,\\sigma_{t-1}$，$\\sigma$ 同上，$q_\\nu$ 为方差匹配 t（或偏 t，随“t 分布形态”）的单位方差分位，$\\nu$（$\\lambda$）在 $r_{t-w},\\dots,r_{t-1}$ 上每 22 个交易日重估；
+- 历史模拟法：$VaR_t=-Q_{1-c}(r_{t-w},\\dots,r_{t-1})$。
+
+修正 VaR、EVT 与各 MC 方法不提供逐日滚动（逐日重拟合 / 重模拟成本过高），回测只覆盖以上三种方法；使用这些方法时可用最接近的一种作代理（如 t-MC 对应参数 t 法）。
+
+组合模式下逐日使用对齐后的历史组合收益 $r_p=\\sum_i w_i r_i$，其窗口标准差即 $\\sqrt{w^\\top\\Sigma_w w}$（相关性同样只用窗口内数据）。
+
+**滚动 VaR 图** 把两个置信度下的 $-VaR_t$ 与实际次日收益 $r_t$ 画在一起，可直观看到压力时期风险如何抬升、收益何时击穿 VaR 线。
+
+开启回测后，在同一序列上比较 $-VaR_t$ 与实际收益 $r_t$。损失超过 VaR 记为一次**突破**：
+$$
+I_t = \\mathbf 1\\{-r_t > VaR_t\\}
+$$
+统计最近 $N$ 个回测日的突破数 $x$，期望值为 $Np$，$p=1-c$。
+
+### 8.1 Kupiec POF（无条件覆盖）
+检验突破率是否等于 $p$：
+$$
+LR_{pof} = -2\\ln\\frac{(1-p)^{N-x}p^{x}}{(1-\\hat p)^{N-x}\\hat p^{x}},\\quad \\hat p=x/N
+$$
+$LR_{pof}\\sim\\chi^2(1)$。p 值 < 0.05 说明突破率与 $p$ 显著不符（太多：低估风险；太少：过度保守）。
+
+### 8.2 Christoffersen 独立性 / 条件覆盖
+独立性检验突破是否“扎堆”（今天突破是否提高明天突破的概率）：
+$$
+LR_{ind} = -2\\ln\\frac{(1-\\pi)^{n_{00}+n_{10}}\\pi^{n_{01}+n_{11}}}{(1-\\pi_0)^{n_{00}}\\pi_0^{n_{01}}(1-\\pi_1)^{n_{10}}\\pi_1^{n_{11}}}\\sim\\chi^2(1)
+$$
+其中 $n_{ij}$ 为“前一日状态 $i$ → 当日状态 $j$”的天数。条件覆盖 $LR_{cc}=LR_{pof}+LR_{ind}\\sim\\chi^2(2)$。
+
+### 8.3 Basel 交通灯
+按突破数的二项累积概率 $P(X\\le x)$ 分区：$<95\\%$ 绿区、$<99.99\\%$ 黄区、其余红区。$N=250,\\ c=0.99$ 时即 0–4 次绿区、5–9 次黄区、≥10 次红区。
+
+### 8.4 回测图
+灰线为实际日收益，蓝色阶梯线为 $-VaR_t$，红点为突破日。可在卡片右上角切换置信度。
+
+### 8.5 压力 VaR（Stressed VaR）
+在 **7. 压力 VaR** 中开启后，本次计算选中的各方法会在一段历史压力期上重新校准，与当前窗口（最近 $w$ 天）的结果并列输出，见“压力 VaR”卡片、摘要与 Excel 的 *Stressed VaR* 表。
+- **压力窗口**：可指定日期区间（如 2015 年股灾、2020 年疫情冲击），也可自动搜索——在全部历史中找长度为 $L$（默认 250 日）、1 日历史模拟 VaR（第一个置信度）最大的连续窗口：
+$$
+[t^*,t^*+L)=\\arg\\max_{t}\\ -Q_{1-c_1}(r_t,\\dots,r_{t+L-1})
+$$
+  组合模式用当前权重合成的历史组合收益（对齐交集日期），即“当前组合在哪段历史上最危险”。
+- **闭式方法**（正态参数 / 参数 t / 修正 VaR / 历史模拟）：在压力窗口与当前窗口上分别估计 $\\sigma$（窗口内等权标准差）、$\\nu$ / $\\lambda$、偏度 / 峰度，公式同第 4、5 章。为使两段可比，即使参数法波动率选了 EWMA / GARCH，此处也统一用等权 $\\sigma$。
+- **MC**：压力窗口收益中心化后按同一 MC 方法、$K$ 与种子重跑一次批量模拟；组合多元 MC 使用窗口内的对齐收益矩阵。当前值直接取主结果。FHS 依赖全历史 GARCH，不参与。
+- 倍数 = 压力 / 当前。倍数明显大于 1 说明当前窗口低估了危机情形下的风险；监管口径通常要求同时报告两者。
+
+### 8.6 情景压力测试（假设冲击）
+回答“如果螺纹 −8%、铁矿 −12%、焦炭 −5% 同日发生，当前组合亏多少”。在 **8. 情景压力测试** 中点击“编辑情景”定义任意多个命名情景，开启后每次计算都会对全部情景重跑，结果见“情景压力测试”卡片、摘要与 Excel 的 *Scenarios* 表。情景保存在本浏览器（localStorage），次日打开后直接重跑即可。
+- **冲击口径**：价格涨跌 $p$（%）换算为对数收益 $s=\\ln(1+p)$；$\\sigma$ 倍数 $k$ 换算为 $s=k\\,\\sigma_i$，$\\sigma_i$ 为该品种当前 1 日 $\\sigma$（同参数法波动率口径）。
+- **冲击传导**：情景中没有给冲击的持仓品种，取正态条件期望
+$$
+E[r_u\\mid r_s=s]=\\Sigma_{us}\\Sigma_{ss}^{-1}s,\\qquad \\Sigma_{ij}=\\sigma_i\\sigma_j\\rho_{ij}
+$$
+  相关系数取持仓与情景品种的全部对齐历史（EWMA 口径时用 EWMA 相关）。情景可以冲击未持仓的品种（如只持有螺纹时冲击铁矿），它们只通过相关性影响持仓腿。要让某条腿保持不变，请显式给 0。
+- **相关覆盖**：可把个别品种对的 $\\rho$ 改为指定值（如危机时相关趋于 1），只在该情景内生效；覆盖后矩阵非正定时会给出 ⚠ 提示。
+- **损益**：价格变动 $e^{s}-1$，组合损益 $\\sum_i w_i(e^{s_i}-1)$（相对 $\\sum|w|$ 或总名义）；持仓口径同时给出金额 $\\sum_i N_i(e^{s_i}-1)$，空头腿在下跌时盈利。合计行的 $\\sigma_p$ 倍数为损益除以当前 1 日组合 $\\sigma$（不含覆盖），用于判断情景的严重程度。
+
+---
+
+## 9. 结果解读
 - **VaR%** 表示未来 $T$ 天在置信度 $c$ 下的最大预期损失比例。
+- **ES%**（Expected Shortfall / CVaR）表示损失超过 VaR 时的平均损失，恒有 $ES \\ge VaR$：
+$$
+ES_{c,T} = \\mathbb E\\left[-R_T \\mid -R_T \\ge VaR_{c,T}\\right]
+$$
+  - 正态参数法为闭式解：$ES_{c,T}=\\sigma\\sqrt{T}\\cdot\\varphi(z_c)/(1-c)$。
+  - MC / Bootstrap 取模拟损失中 $\\ge VaR$ 部分的均值；尾部样本约为 $K(1-c)$ 条，$K$ 太小时 ES 比 VaR 更不稳定。
 - 当 Normal MC 和 正态参数法同口径（最近 $w$ 天 + 正态）时，两者应非常接近；差异主要来自 MC 采样误差或均值项。
 - 若 t-MC 明显大于 Normal MC，说明近期收益尾部更厚、极端风险更显著。
 
+### 9.1 组合 VaR 分解（哪条腿在贡献风险）
+组合模式下，正态参数法与多元 MC（Normal / t-MC / Bootstrap / Copula）输出各品种的风险分解，见“组合 VaR 分解”卡片（右上角切换方法 / $c$ / $T$），并写入 Excel 的 *VaR Decomposition* 表。
+- **边际 VaR**：$MVaR_i=\\partial VaR/\\partial w_i$，即该腿权重增加一个单位时组合 VaR 的变化率。正态口径为 $z\\sqrt{T}\\,(\\Sigma\\mathbf w)_i/\\sigma_p$。
+- **成分 VaR**（Euler）：$CVaR_i=w_i\\,MVaR_i$，各腿合计恰好等于组合 VaR；占比为负表示该腿在对冲组合风险。
+- **增量 VaR**：去掉该腿（其余权重不变）后组合 VaR 的下降量 $VaR(\\mathbf w)-VaR(\\mathbf w_{-i})$。它是“整条腿”的离散变化，各腿合计一般不等于组合 VaR。
+- MC 口径：成分 VaR 取组合损失落在 VaR 附近（约 ±0.25% 分位带）的情景中各腿损失的均值，再按比例校准到合计 = VaR；成分 ES 为尾部情景各腿损失均值（合计 = ES）；增量 VaR 用同一批情景去掉该腿后重算分位数。$K$ 较小时 MC 分解会有噪声。
+- FHS、历史模拟基于合成后的组合收益序列，不做分解。
+
 ---
 
-## 8. 常见问题
+## 10. 常见问题
 **Q1：组合提示对齐日期太少？** A：参与品种交易日交集太少，请减少品种或换重叠更多的品种。
 
 **Q2：t-MC 拟合的 $\nu$ 很小？** A：近期极端波动显著、尾厚。可结合 Bootstrap 验证。
 
-**Q3：MC 结果不够稳定？** A：提高模拟次数 $K$（如 200k→500k）或适当增大 $w$。
+**Q3：MC 结果不够稳定？** A：看“参数细节”中的 95% 区间与 SE（见 6.8）：半宽超过“误差容差”时会标记 ⚠。此时提高模拟次数 $K$（如 200k→500k，区间约按 $1/\sqrt{K}$ 缩小），或对 Normal / t-MC 开启方差缩减（见 6.9）；区间已很窄但结果仍随窗口跳动，则是估计误差而非抽样误差，应适当增大 $w$。
+
+**Q4：计算太慢想中途停止？** A：点击“取消计算”：会中止正在进行的后端请求并终止本地 Worker，后端检测到连接断开后在下一块模拟前停止。已完成的方法行会保留并标记为“部分结果”；滚动 VaR、回测、压力 VaR、情景测试与 VaR 分解需全部完成后才生成，取消时不输出。
 
 `;
 
@@ -338,15 +636,124 @@ const HELP_TEXT = {
     "• 正态参数法用 $\\sigma_{latest}(w)$。\n" +
     "• MC 方法也用最近 $w$ 天估 $\\mu_w,\\sigma_w$（Bootstrap 则以最近 $w$ 天为采样池）。\n" +
     "• 行情图仅展示最近 $w$ 天价格。",
+  volModel:
+    "正态参数法（单品种 / 组合）的波动率与相关性估计方式：\n" +
+    "• 等权窗口：最近 $w$ 天每日权重相同，$\\sigma_w=\\text{Std}(r_{t-w+1},...,r_t)$。\n" +
+    "• EWMA（RiskMetrics）：$\\sigma_t^2=\\lambda\\sigma_{t-1}^2+(1-\\lambda)r_t^2$，越近的日子权重越大；组合协方差同样按 $\\lambda$ 加权。\n" +
+    "• GARCH(1,1)：全历史 MLE 拟合 $\\sigma_t^2=\\omega+\\alpha r_{t-1}^2+\\beta\\sigma_{t-1}^2$，按 $T$ 日方差期限结构预测；组合为各腿 GARCH + 样本相关（CCC）。\n" +
+    "MC 方法不受影响（仍用最近 $w$ 天）。",
+  ewmaLambda:
+    "EWMA 衰减因子 $\\lambda\\in(0,1)$。RiskMetrics 日频标准取 0.94；越大越平滑、越小越敏感。\n" +
+    "半衰期 $=\\ln 0.5/\\ln\\lambda$（$\\lambda=0.94$ 约 11.2 日），摘要中会一并输出。",
+  histAgg:
+    "历史模拟法（Historical Simulation）：直接取最近 $w$ 天收益（或其 $T$ 日累计收益）的经验分位数，$VaR=-Q_{1-c}(R_T^{hist})$，不做分布假设。\n" +
+    "• 重叠：逐日滚动求和，得到 $w-T+1$ 个 $T$ 日收益，样本多但相邻样本高度相关。\n" +
+    "• 不重叠：从最新日向前切分 $\\lfloor w/T \\rfloor$ 个独立块，样本互不重叠但数量少。\n" +
+    "• 关闭：不输出该方法。\n" +
+    "$T=1$ 时两种口径相同。样本数 $N$ 满足 $N(1-c)<1$ 时会提示样本不足。",
+  tParam:
+    "参数 t 法：假设日收益服从方差匹配的 Student-t（$\\nu$ 在最近 $w$ 天收益上连续 MLE 拟合，与 t-MC 同口径），给出闭式 VaR / ES，不做模拟：\n" +
+    "$VaR=\\sigma\\sqrt{T}\\,s\\,t_{\\nu,c}$，$ES=\\sigma\\sqrt{T}\\,s\\,\\frac{f_\\nu(t_{\\nu,c})}{1-c}\\cdot\\frac{\\nu+t_{\\nu,c}^2}{\\nu-1}$，$s=\\sqrt{(\\nu-2)/\\nu}$。\n" +
+    "$\\sigma$ 与正态参数法相同（等权窗口 / EWMA / GARCH）。组合时 $\\nu$ 在历史组合收益上拟合。",
+  cfOn:
+    "修正 VaR（Cornish-Fisher）：在正态参数法的基础上，用最近 $w$ 天收益的样本偏度 $S$ 与超额峰度 $K$ 修正分位数，不做模拟：\n" +
+    "$z_{cf}=z-\\frac{(z^2-1)S}{6}+\\frac{(z^3-3z)K}{24}-\\frac{(2z^3-5z)S^2}{36}$，$VaR=\\sigma\\sqrt{T}\\,z_{cf}$。\n" +
+    "$\\sigma$ 与正态参数法相同；左偏（$S<0$）或厚尾（$K>0$）时 VaR 变大。偏度 / 峰度过大时展开可能非单调，摘要会给出 ⚠ 提示。",
+  evtOn:
+    "EVT 尾部法（峰值超阈 POT + 广义 Pareto 分布 GPD）：用全部历史收益，把超过阈值 $u$ 的损失超额拟合为 GPD$(\\xi,\\beta)$，再外推到高置信度：\n" +
+    "$VaR_c=u+\\frac{\\beta}{\\xi}\\Big[\\big(\\tfrac{n}{N_u}(1-c)\\big)^{-\\xi}-1\\Big]$，$ES_c=\\frac{VaR_c+\\beta-\\xi u}{1-\\xi}$。\n" +
+    "适合 99.5% / 99.9% 等超出历史样本的置信度；多日按 $\\sqrt{T}$ 放大。组合时用当前权重合成的历史组合收益。\n" +
+    "开启后会显示平均超额图，帮助选择阈值。",
+  evtThreshold:
+    "阈值 $u$ 取全历史损失的该分位（默认 0.90，即最差 10% 的日子参与拟合）。\n" +
+    "• 太低：超额不服从 GPD，估计有偏。\n" +
+    "• 太高：超额样本少，$\\xi$ 的标准误大。\n" +
+    "在平均超额图中选 $e(u)$ 开始近似直线的位置。置信度 $c$ 必须高于阈值分位；超额样本少于 10 个时不拟合。",
+  tDist:
+    "参数 t 法与单品种 t-MC 所用的 t 分布形态（连续 MLE 同时估计 $\\mu,\\sigma,\\nu$，摘要输出标准误、logL 与 AIC）：\n" +
+    "• 对称 t：左右尾同样厚。\n" +
+    "• Hansen 偏 t：多估一个偏度参数 $\\lambda\\in(-1,1)$，$\\lambda<0$ 表示下跌尾更厚，适合暴跌多于暴涨的品种。AIC 比对称 t 小约 2 以上时才值得采用。\n" +
+    "偏 t 不支持方差缩减；组合 t-MC 为多元 t，不受此项影响。",
+  legacyZ:
+    "正态分位数 $z_c$ 的口径：\n" +
+    "• 精确（默认）：$z_c=\\Phi^{-1}(c)$，Acklam 算法，相对误差 < 1.2e-9（95% 为 1.6449，99% 为 2.3263）。\n" +
+    "• 旧版：95% / 99% 写死 1.645 / 2.33，其余置信度用 Moro 近似。99% 时比精确值大约 0.16%，仅用于与历史报表对账。\n" +
+    "影响正态参数法、修正 VaR、组合分解与滚动 VaR / 回测；MC 与参数 t 法不受影响。",
+  btEnabled:
+    "开启后，在“开始计算”时额外做 VaR 回测：沿历史逐日滚动，用 $t$ 日之前的 $w$ 天估计 1 日 VaR（样本外），与 $t$ 日实际收益比较，统计突破（损失 > VaR）次数。",
+  rollMethod:
+    "滚动 VaR 图与回测共用的逐日 1 日 VaR 方法（每日只用之前 $w$ 天，样本外）：\n" +
+    "• 正态参数法：$VaR_t=z_c\\,\\sigma_{t-1}$（σ 按“参数法波动率”口径：等权窗口 / EWMA / GARCH）。\n" +
+    "• 参数 t 法：σ 同上，分位换成方差匹配 t（按“t 分布形态”取对称或偏 t），$\\nu$ 在之前 $w$ 天上每 22 日重估。\n" +
+    "• 历史模拟法：$VaR_t=-Q_{1-c}(r_{t-w},...,r_{t-1})$。\n" +
+    "修正 VaR、EVT 与各 MC 方法不支持逐日滚动，选这些方法时请用以上三种之一作回测代理。",
+  stressMode:
+    "压力 VaR：把本次计算中的闭式方法（正态参数 / 参数 t / 修正 VaR / 历史模拟）与 MC 方法，在一段历史压力期上重新校准，并与当前窗口（最近 $w$ 天）的结果并列对比。\n" +
+    "• 自动：在全部历史中找 1 日历史模拟 VaR（第一个置信度）最大的连续窗口，组合时按当前权重合成收益。\n" +
+    "• 指定日期区间：如 2015 年股灾、2020 年疫情冲击。\n" +
+    "两段上的 $\\sigma$ 都取窗口内等权标准差；FHS 依赖全历史 GARCH，不参与。",
+  stressLen:
+    "自动选窗的窗口长度（交易日），默认 250，即监管口径的“连续 12 个月”。",
+  stressRange:
+    "压力期的起止日期（含两端）。区间内有效收益少于 20 日时不计算；组合以对齐后的交集日期为准。",
+  scenarioOn:
+    "情景压力测试：对当前头寸施加假设的同日冲击（如螺纹 −8%、铁矿 −12%、焦炭 −5%），计算组合损益。\n" +
+    "• 冲击可按价格涨跌 % 或当前 1 日 $\\sigma$ 的倍数给出。\n" +
+    "• 情景中未给冲击的持仓品种按相关性取条件期望 $E[r_u\\mid r_s]=\\Sigma_{us}\\Sigma_{ss}^{-1}s$；要保持不变请显式填 0。\n" +
+    "• 可覆盖个别品种对的相关系数，模拟“危机时相关性趋于 1”。\n" +
+    "情景保存在本浏览器中，每天打开后可直接重跑。",
+  btDays:
+    "参与统计的最近回测日数 $N$（Basel 口径为 250）。填 0 表示使用全部可回测历史。",
   mcMethod:
     "Monte Carlo 方法：\n" +
     "• Normal：假设收益正态 i.i.d.，用最近 $w$ 天估参数后模拟。\n" +
     "• t-MC：假设收益服从 t 分布并拟合自由度 $\\nu$，更能刻画厚尾。\n" +
-    "• Bootstrap：从最近 $w$ 天历史收益重采样拼路径，无分布假设。",
+    "• Bootstrap：从最近 $w$ 天历史收益重采样拼路径，无分布假设。\n" +
+    "• FHS：过滤历史模拟。全历史拟合 GARCH(1,1)，重采样标准化残差 $z_t=r_t/\\sigma_t$，沿模拟路径递推 $\\sigma^2$，能体现波动聚集。\n" +
+    "组合模式下 Normal / t-MC / Bootstrap 对各品种联合模拟（Cholesky 分解协方差；t 为多元 t；Bootstrap 整行重采样），再按权重合成；FHS 仍用历史组合收益。\n" +
+    "• Copula（仅组合）：各腿单独拟合边缘分布，再用 Gaussian / t copula 连接后联合模拟。",
+  copulaFamily:
+    "连接各腿的相依结构：\n" +
+    "• Gaussian copula：秩变换后取正态分数相关，尾部渐近独立。\n" +
+    "• t copula：相关由 Kendall $\\tau$ 反推 $\\rho=\\sin(\\pi\\tau/2)$，自由度 $\\nu_c$ 按 copula 似然拟合；$\\nu_c$ 越小，各腿越容易同时出现极端亏损。",
+  copulaMarginal:
+    "每条腿的边缘分布（均在最近 $w$ 天上逐腿拟合）：\n" +
+    "• t：逐腿连续 MLE 拟合 $\\sigma_i$ 与自由度 $\\nu_i$（对称 t）。\n" +
+    "• 正态：$\\mathcal N(0,\\sigma_i^2)$。\n" +
+    "• 经验分布：直接使用该腿历史收益的经验分位数，不外推到历史最差值以外。",
+  mcEngine:
+    "Monte Carlo 在哪里计算：\n" +
+    "• 自动：先检测后端 /api/health，不可达（如离线打开静态页面）时改用浏览器内 Worker。\n" +
+    "• 后端 Python：NumPy 分块计算，速度快。\n" +
+    "• 本地浏览器：按 CPU 核数开 Web Worker 池分块并行计算，口径与后端一致（μ=0、VaR/ES 按 0 截断、t 的 σ、ν 取同一连续 MLE），$K$ 大时较慢。Copula 仅后端支持。",
+  seed:
+    "随机种子（0 ~ 4294967295 的整数）。\n" +
+    "• 留空：每次自动抽取一个种子，并写入摘要 / 结果行，事后仍可复算。\n" +
+    "• 填写：同一引擎、同一输入下结果逐位可复现（审计复核用）。\n" +
+    "后端与本地引擎的随机数发生器不同，复算时需使用相同引擎。",
+  mcTol:
+    "MC 抽样误差容差（相对值，默认 0.05 = 5%）。\n" +
+    "每个 MC 的 VaR / ES 都给出 95% 置信区间与标准误（SE），显示在“参数细节”列与文本摘要中。\n" +
+    "区间半宽 / 点估计 超过该容差时标记 ⚠，提示提高模拟次数 $K$（区间宽度约按 $1/\\sqrt{K}$ 缩小）。",
+  mcVr:
+    "方差缩减（仅单品种 Normal MC / t-MC），同样的 $K$ 得到更小的抽样误差：\n" +
+    "• 对偶变量：成对使用 $Z$ 与 $-Z$，对尾部分位数改善有限。\n" +
+    "• Sobol 准随机：正态部分改用加扰 Sobol 点（随机化 QMC），分布均匀、误差下降更快。\n" +
+    "• 重要性抽样：把日收益均值向亏损方向平移，再按似然比加权，适合 99% 及以上的深尾。\n" +
+    "摘要给出各 $T$ 的缩减倍数（同 $K$ 普通 MC 的 VaR 方差 / 实际方差）。",
+  bootScheme:
+    "单品种 Bootstrap 的重采样方式：\n" +
+    "• 逐日独立：每天独立抽一天，多日路径丢失序列相关与波动聚集。\n" +
+    "• 移动块：每次抽连续 $b$ 天的历史块拼接路径，块内保留原始的相关与波动聚集。\n" +
+    "• 平稳 bootstrap（Politis-Romano）：每天以概率 $1/b$ 另起新块、否则顺延下一天，块长随机（平均 $b$），重采样序列仍是平稳的。\n" +
+    "$T=1$ 时三者相同；$T$ 越长、波动聚集越明显，块方法的多日 VaR 越高。",
+  blockLen:
+    "块长度 $b$（平稳 bootstrap 为平均块长）。留空或填 0 则自动选择：对收益与平方收益分别按 Politis-White 方法（由自相关估计）求最优块长，取较大者。\n" +
+    "块太短接近逐日独立；块太长则可用的不同路径变少。一般取 5~20 日。",
   sims:
     "模拟次数 $K$。每次生成 $K$ 条未来 $T$ 天收益路径，取左尾分位作为 VaR。$K$ 越大结果越稳定，但计算更久。",
   dfMax:
-    "t 分布自由度搜索上限 $\nu_{max}$。拟合区间为 $[2,\nu_{max}]$。\n" +
+    "t 分布自由度搜索上限 $\nu_{max}$。拟合区间为 $[2.1,\nu_{max}]$，$\nu$ 连续取值。\n" +
     "推荐设置：\n" +
     "• 常规日频期货：$\nu_{max}=15$（默认，适度厚尾/更保守）。\n" +
     "• 厚尾明显/希望更保守：5。\n" +
@@ -361,7 +768,13 @@ const HELP_TEXT = {
   portfolioIds:
     "多品种组合选取列表。组合 VaR 只使用对齐后的有效交集日期；交集太少会提示失败。",
   weightsText:
-    "组合权重向量输入。格式：“品种=权重,品种=权重…”。若不填则等权。程序会自动归一化，使权重和为 1。",
+    "组合权重向量输入。格式：“品种=权重,品种=权重…”。若不填则等权。权重可为负（空头）；程序按绝对值之和归一化，使 $\\sum|w_i|=1$（纯多头时即权重和为 1）。",
+  sizing:
+    "头寸口径：\n" +
+    "• 权重：只输入相对权重，结果为收益率口径（%）。\n" +
+    "• 持仓：按品种输入手数（空头填负数）、合约乘数与币种，名义金额 $N_i=$ 手数 × 乘数 × 最新结算价 × 汇率。权重取 $w_i=N_i/\\sum|N_j|$，VaR/ES 同时给出百分比（相对总名义 $\\sum|N_j|$）与本币金额。可处理净名义为 0 的价差组合。",
+  baseCcy:
+    "金额结果的报告币种。品种币种与本币不同时，需在持仓弹窗填写 1 单位品种币种折合多少本币的汇率。",
 };
 
 // ==================== KaTeX 渲染器（用于问号帮助） ====================
@@ -480,7 +893,14 @@ const Help = ({ tip }) => {
 };
 
 // ==================== 计算函数 ====================
-function zFromConf(conf) {
+// Φ⁻¹、φ、t 分布 pdf / 分位数等分布函数在 lib/dist.js，Nelder-Mead 与 t / 偏 t 连续 MLE 在 lib/fit.js，均与本地 MC Worker 共用
+// z 值：默认精确 Φ⁻¹(c)；legacy=true 时沿用旧版口径（兼容历史报表）
+function zFromConf(conf, legacy = false) {
+  return legacy ? zFromConfLegacy(conf) : normPpf(conf);
+}
+
+// 旧版口径：95% / 99% 写死 1.645 / 2.33，其余用 Moro 近似
+function zFromConfLegacy(conf) {
   if (Math.abs(conf - 0.95) < 1e-6) return 1.645;
   if (Math.abs(conf - 0.99) < 1e-6) return 2.33;
   const a = [2.50662823884, -18.61500062529, 41.39119773534, -25.44106049637];
@@ -504,6 +924,31 @@ function zFromConf(conf) {
   return y > 0 ? x : -x;
 }
 
+// ==================== 参数 t 闭式 VaR、ES（分位数 tPpf 见 lib/dist.js） ====================
+// 单位方差 t（方差匹配口径，与 t-MC 一致）的 VaR / ES 因子，乘以 σ√T 即得闭式 VaR / ES：
+//   VaR = s·t_c，ES = s·f_ν(t_c)/(1-c)·(ν+t_c²)/(ν-1)，s = √((ν-2)/ν)
+// lam≠0 时为方差为 1 的 Hansen 偏 t：左支尾部概率 p = 1-c 对应 t 的尾概率 P = p/(1-λ)，t_P 为其上分位点：
+//   VaR = (a + (1-λ)·s·t_P)/b，ES = (a + (1-λ)·s·f_ν(t_P)/P·(ν+t_P²)/(ν-1))/b
+// 需 P ≤ 1/2（分位点落在左支），否则返回 NaN
+function tParamFactors(conf, nu, lam = 0) {
+  if (!(nu > 2)) return { q: NaN, es: NaN, tc: NaN };
+  const P = (1 - conf) / (1 - lam);
+  if (!(P > 0 && P <= 0.5)) return { q: NaN, es: NaN, tc: NaN };
+  const { a, b } = skewtConsts(nu, lam);
+  const tc = tPpf(1 - P, nu);
+  const s = Math.sqrt((nu - 2) / nu);
+  return {
+    tc,
+    q: (a + (1 - lam) * s * tc) / b,
+    es: (a + (((1 - lam) * s * tPdf(tc, nu)) / P) * ((nu + tc * tc) / (nu - 1))) / b,
+  };
+}
+
+// 正态 ES 闭式解：ES_c = σ·φ(z_c)/(1-c)（μ=0，与 VaR 同口径 z）
+function normalEsFactor(conf, z) {
+  return normPdf(z) / (1 - conf);
+}
+
 function latestSigmaRolling(logRetArr, window = 66) {
   const hist = logRetArr.filter((v) => Number.isFinite(v));
   if (hist.length < 2) return NaN;
@@ -517,6 +962,210 @@ function latestSigmaRolling(logRetArr, window = 66) {
   return Math.sqrt(s / (sub.length - 1));
 }
 
+// latestSigmaRolling 的全历史版本：out[t] = Std(r[t-w+1..t])，不足 w 天为 NaN
+function rollingSigmaSeries(r, window) {
+  const out = new Array(r.length).fill(NaN);
+  if (window < 2) return out;
+  let s = 0;
+  let ss = 0;
+  for (let t = 0; t < r.length; t++) {
+    s += r[t];
+    ss += r[t] * r[t];
+    if (t >= window) {
+      s -= r[t - window];
+      ss -= r[t - window] * r[t - window];
+    }
+    if (t >= window - 1) {
+      const m = s / window;
+      out[t] = Math.sqrt(Math.max(0, (ss - window * m * m) / (window - 1)));
+    }
+  }
+  return out;
+}
+
+// EWMA（RiskMetrics）全历史版本：S_t = λS_{t-1} + r_t²，σ²_t = S_t(1-λ)/(1-λ^{t+1})
+// 零均值口径；按有限样本归一化权重，无需额外的种子方差
+function rollingEwmaSigmaSeries(r, lambda) {
+  const out = new Array(r.length).fill(NaN);
+  let S = 0;
+  let lamPow = 1;
+  for (let t = 0; t < r.length; t++) {
+    S = lambda * S + r[t] * r[t];
+    lamPow *= lambda;
+    if (t >= 1) out[t] = Math.sqrt((S * (1 - lambda)) / (1 - lamPow));
+  }
+  return out;
+}
+
+function ewmaSigma(logRetArr, lambda = 0.94) {
+  const hist = logRetArr.filter((v) => Number.isFinite(v));
+  if (hist.length < 2) return NaN;
+  const out = rollingEwmaSigmaSeries(hist, lambda);
+  return out[out.length - 1];
+}
+
+// 半衰期：权重衰减一半所需天数 ln(0.5)/ln(λ)
+function ewmaHalfLife(lambda) {
+  return Math.log(0.5) / Math.log(lambda);
+}
+
+// ==================== Cornish-Fisher 修正 VaR（偏度 / 超额峰度） ====================
+// 样本偏度 S = m3/m2^1.5、超额峰度 K = m4/m2² - 3（矩估计），标准误取正态下的近似 √(6/n)、√(24/n)
+function sampleMoments(r) {
+  const x = r.filter(Number.isFinite);
+  const n = x.length;
+  const m = x.reduce((s, v) => s + v, 0) / n;
+  let m2 = 0;
+  let m3 = 0;
+  let m4 = 0;
+  for (const v of x) {
+    const d = v - m;
+    m2 += d * d;
+    m3 += d * d * d;
+    m4 += d * d * d * d;
+  }
+  m2 /= n;
+  m3 /= n;
+  m4 /= n;
+  const ok = n >= 4 && m2 > 0;
+  return {
+    n,
+    skew: ok ? m3 / Math.pow(m2, 1.5) : NaN,
+    exKurt: ok ? m4 / (m2 * m2) - 3 : NaN,
+    seSkew: Math.sqrt(6 / n),
+    seKurt: Math.sqrt(24 / n),
+  };
+}
+
+// 损失方向的 Cornish-Fisher 展开（收益左尾分位取负）：
+//   g(z) = z - (z²-1)S/6 + (z³-3z)K/24 - (2z³-5z)S²/36，VaR = σ√T·g(z_c)
+// ES 为同一变换下尾部的精确平均（多项式 × φ 逐项积分）：
+//   ES = σ√T·φ(z_c)/(1-c)·[1 - z_c S/6 + (z_c²-1)K/24 - (2z_c²-1)S²/36]
+// g'(z) = A z² + B z + C（A = K/8 - S²/6，B = -S/3，C = 1 - K/8 + 5S²/36）对所有 z 为正时展开单调，否则分位数可能倒挂
+function cornishFisherFactors(conf, skew, exKurt, legacyZ = false) {
+  const z = zFromConf(conf, legacyZ);
+  const S = skew;
+  const K = exKurt;
+  const q = z - ((z * z - 1) * S) / 6 + ((z * z * z - 3 * z) * K) / 24 - ((2 * z * z * z - 5 * z) * S * S) / 36;
+  const es = normalEsFactor(conf, z) * (1 - (z * S) / 6 + ((z * z - 1) * K) / 24 - ((2 * z * z - 1) * S * S) / 36);
+  const A = K / 8 - (S * S) / 6;
+  const B = -S / 3;
+  const C = 1 - K / 8 + (5 * S * S) / 36;
+  const monotone = A > 0 ? B * B - 4 * A * C < 0 : A === 0 && B === 0 && C > 0;
+  return { z, q, es, monotone };
+}
+
+// ==================== GARCH(1,1)（与后端 fit_garch11 同口径） ====================
+const GARCH_MIN_OBS = 50;
+const ROLLING_REFIT_DAYS = 22; // 滚动 VaR / 回测中 GARCH 参数与 t 形状参数的重估间隔
+
+// α、β 用 softmax 型变换保证 α,β>0 且 α+β<1；ω 取对数
+function garchUnpack(x) {
+  const ea = Math.exp(x[1]);
+  const eb = Math.exp(x[2]);
+  const d = 1 + ea + eb;
+  return { omega: Math.exp(x[0]), alpha: ea / d, beta: eb / d };
+}
+
+// 返回 σ²_1..σ²_{n+1}（最后一个为次日预测）与高斯对数似然
+function garchFilter(r, omega, alpha, beta, sig2First) {
+  const sig2 = new Array(r.length + 1);
+  sig2[0] = sig2First;
+  let ll = 0;
+  for (let t = 0; t < r.length; t++) {
+    const s2 = sig2[t];
+    ll += -0.5 * (Math.log(2 * Math.PI) + Math.log(s2) + (r[t] * r[t]) / s2);
+    sig2[t + 1] = omega + alpha * r[t] * r[t] + beta * s2;
+  }
+  return { sig2, ll };
+}
+
+// garchUnpack 的逆变换，用于以已有参数作初值；α+β 贴近 1（或参数非有限）时无法取逆，返回 null
+const GARCH_PACK_EPS = 1e-8;
+function garchPack({ omega, alpha, beta }) {
+  const g = 1 - alpha - beta;
+  if (!(g > GARCH_PACK_EPS)) return null;
+  const x = [Math.log(omega), Math.log(alpha / g), Math.log(beta / g)];
+  return x.every(Number.isFinite) ? x : null;
+}
+
+/**
+ * GARCH(1,1) 高斯 MLE（μ=0 口径，先中心化）：σ²_t = ω + α r²_{t-1} + β σ²_{t-1}，σ²_1 取样本方差。
+ * init 为可选初值（上一次拟合结果，无法取逆时退回默认初值）。样本不足 GARCH_MIN_OBS 或优化得到非有限参数时返回 null。
+ */
+function garchMle(logRetArr, init = null) {
+  const hist = logRetArr.filter((v) => Number.isFinite(v));
+  if (hist.length < GARCH_MIN_OBS) return null;
+  const { mu, sigma } = meanStd(hist);
+  const v0 = sigma * sigma;
+  if (!(v0 > 0)) return null;
+  const x = hist.map((v) => v - mu);
+
+  const nll = (p) => {
+    const { omega, alpha, beta } = garchUnpack(p);
+    const { ll } = garchFilter(x, omega, alpha, beta, v0);
+    return Number.isFinite(ll) ? -ll : 1e100;
+  };
+  // 默认初值：α=0.05, β=0.90, ω 使长期方差等于样本方差
+  const x0 = (init && garchPack(init)) || [Math.log(v0 * 0.05), 0, Math.log(18)];
+  const { omega, alpha, beta } = garchUnpack(nelderMead(nll, x0));
+  if (![omega, alpha, beta].every(Number.isFinite)) return null;
+  const { sig2, ll } = garchFilter(x, omega, alpha, beta, v0);
+  const persistence = alpha + beta;
+  return {
+    omega,
+    alpha,
+    beta,
+    mu,
+    v0,
+    ll,
+    n: x.length,
+    persistence,
+    sig2,
+    sigma: Math.sqrt(sig2[sig2.length - 1]),
+    longRunSigma: Math.sqrt(omega / (1 - persistence)),
+  };
+}
+
+// 拟合结果缓存：一次计算中同一条收益会被参数法、参数 t、修正 VaR、组合各腿与情景测试反复用到，
+// 按内容（逐元素相等）命中，只保留最近 GARCH_CACHE_SIZE 条；返回的拟合对象只读
+const GARCH_CACHE_SIZE = 16;
+const garchCache = [];
+
+function fitGarch11(logRetArr) {
+  const hist = logRetArr.filter((v) => Number.isFinite(v));
+  const hit = garchCache.find((e) => e.hist.length === hist.length && e.hist.every((v, i) => v === hist[i]));
+  if (hit) return hit.fit;
+  const fit = garchMle(hist);
+  garchCache.unshift({ hist, fit });
+  if (garchCache.length > GARCH_CACHE_SIZE) garchCache.pop();
+  return fit;
+}
+
+// T 日内平均日方差的平方根：E[σ²_{t+h}] = σ̄² + (α+β)^{h-1}(σ²_{t+1} - σ̄²)
+function garchTermSigma(fit, T) {
+  const lr2 = fit.longRunSigma * fit.longRunSigma;
+  const s1 = fit.sigma * fit.sigma;
+  let sum = 0;
+  let k = 1;
+  for (let h = 1; h <= T; h++) {
+    sum += lr2 + k * (s1 - lr2);
+    k *= fit.persistence;
+  }
+  return Math.sqrt(sum / T);
+}
+
+// 波动率口径：vol = { model: "window" | "ewma" | "garch", lambda }
+// 返回持有期 T 内的平均日 σ（window / ewma 与 T 无关，按 √T 放大；garch 使用方差期限结构）
+function sigmaEstimate(logRetArr, window, vol, T = 1) {
+  if (vol?.model === "ewma") return ewmaSigma(logRetArr, vol.lambda);
+  if (vol?.model === "garch") {
+    const fit = fitGarch11(logRetArr);
+    return fit ? garchTermSigma(fit, T) : NaN;
+  }
+  return latestSigmaRolling(logRetArr, window);
+}
+
 function meanStd(arr) {
   const a = arr.filter(Number.isFinite);
   const mu = a.reduce((s, v) => s + v, 0) / a.length;
@@ -529,11 +1178,78 @@ function meanStd(arr) {
   return { mu, sigma };
 }
 
-function normalVarSingle(logRetArr, conf, T, window) {
-  const z = zFromConf(conf);
-  const sigma = latestSigmaRolling(logRetArr, window);
-  if (!Number.isFinite(sigma)) return { var: NaN, sigma, z };
-  return { var: z * sigma * Math.sqrt(T), sigma, z };
+function normalVarSingle(logRetArr, conf, T, window, vol, legacyZ = false) {
+  const z = zFromConf(conf, legacyZ);
+  const sigma = sigmaEstimate(logRetArr, window, vol, T);
+  if (!Number.isFinite(sigma)) return { var: NaN, es: NaN, sigma, z };
+  const sT = sigma * Math.sqrt(T);
+  return { var: z * sT, es: normalEsFactor(conf, z) * sT, sigma, z };
+}
+
+// 参数 t 法：σ 口径同正态参数法（按 √T 放大，GARCH 用方差期限结构），分布换成方差匹配的 t(ν)（lam≠0 时为偏 t）
+function tVarSingle(logRetArr, conf, T, window, vol, nu, lam = 0) {
+  const f = tParamFactors(conf, nu, lam);
+  const sigma = sigmaEstimate(logRetArr, window, vol, T);
+  if (!Number.isFinite(sigma)) return { ...f, var: NaN, es: NaN, sigma };
+  const sT = sigma * Math.sqrt(T);
+  return { ...f, var: f.q * sT, es: f.es * sT, sigma };
+}
+
+// 修正 VaR：σ 口径同正态参数法，z 换成 Cornish-Fisher 修正后的 g(z_c)（mom 为 sampleMoments 结果）
+function cfVarSingle(logRetArr, conf, T, window, vol, mom, legacyZ = false) {
+  const f = cornishFisherFactors(conf, mom.skew, mom.exKurt, legacyZ);
+  const sigma = sigmaEstimate(logRetArr, window, vol, T);
+  if (!Number.isFinite(sigma)) return { ...f, var: NaN, es: NaN, sigma };
+  const sT = sigma * Math.sqrt(T);
+  return { ...f, var: Math.max(0, f.q * sT), es: Math.max(0, f.es * sT), sigma };
+}
+
+// 经验分位数（线性插值，与 worker/后端口径一致）
+function empiricalQuantile(arr, q) {
+  const a = [...arr].sort((x, y) => x - y);
+  const pos = (a.length - 1) * q;
+  const base = Math.floor(pos);
+  const rest = pos - base;
+  if (a[base + 1] !== undefined) return a[base] + rest * (a[base + 1] - a[base]);
+  return a[base];
+}
+
+// T 日累计收益：overlap=逐日滚动（重叠）；nonoverlap=从最新日向前切分不重叠块
+function tDayReturns(r, T, agg) {
+  if (T <= 1) return r.slice();
+  const out = [];
+  if (agg === "nonoverlap") {
+    for (let end = r.length; end - T >= 0; end -= T) {
+      let s = 0;
+      for (let k = end - T; k < end; k++) s += r[k];
+      out.push(s);
+    }
+    return out.reverse();
+  }
+  let s = 0;
+  for (let k = 0; k < r.length; k++) {
+    s += r[k];
+    if (k >= T) s -= r[k - T];
+    if (k >= T - 1) out.push(s);
+  }
+  return out;
+}
+
+// 历史模拟法：直接读取 T 日历史收益的经验分位数，不做分布假设、不中心化
+function histVarFromReturns(r, conf, T, agg) {
+  const RT = tDayReturns(r, T, agg);
+  if (RT.length < 2) return { var: NaN, es: NaN, n: RT.length };
+  const losses = RT.map((v) => -v);
+  const v = empiricalQuantile(losses, conf);
+  const tail = losses.filter((x) => x >= v);
+  const es = tail.length ? tail.reduce((a, b) => a + b, 0) / tail.length : v;
+  return { var: Math.max(0, v), es: Math.max(0, es), n: RT.length };
+}
+
+function histVarSingle(logRetArr, conf, T, window, agg) {
+  const hist = logRetArr.filter(Number.isFinite);
+  const sub = hist.length < window ? hist : hist.slice(-window);
+  return histVarFromReturns(sub, conf, T, agg);
 }
 
 function alignedWideReturns(grouped) {
@@ -628,22 +1344,49 @@ function corrMatrix(rows, ids) {
   return corr;
 }
 
-function normalVarPortfolio(grouped, conf, T, window, weights) {
+// EWMA 相关矩阵：与 ewmaSigma 同权重（零均值），最新一行权重为 (1-λ)/(1-λ^n)
+function ewmaCorrMatrix(rows, ids, lambda) {
+  const n = rows.length;
+  const m = ids.length;
+  const cov = ids.map(() => ids.map(() => 0));
+  let wsum = 0;
+  for (let k = n - 1, wk = 1; k >= 0; k--, wk *= lambda) {
+    wsum += wk;
+    for (let i = 0; i < m; i++) {
+      const ri = rows[k][ids[i]];
+      for (let j = i; j < m; j++) cov[i][j] += wk * ri * rows[k][ids[j]];
+    }
+  }
+  for (let i = 0; i < m; i++) {
+    for (let j = i; j < m; j++) {
+      cov[i][j] /= wsum;
+      cov[j][i] = cov[i][j];
+    }
+  }
+  return ids.map((_, i) =>
+    ids.map((_, j) => cov[i][j] / Math.sqrt(cov[i][i] * cov[j][j]))
+  );
+}
+
+function normalVarPortfolio(grouped, conf, T, window, weights, vol, legacyZ = false) {
   const ids = Object.keys(grouped);
   const m = ids.length;
   const w = ids.map((id) => weights?.[id] ?? 1 / m);
 
   const sigmas = ids.map((id) => {
     const arr = grouped[id].map((x) => x.logRet);
-    return latestSigmaRolling(arr, window);
+    return sigmaEstimate(arr, window, vol, T);
   });
 
   let wide = alignedWideReturns(grouped);
   wide = wide.filter((row) => ids.every((id) => Number.isFinite(row[id])));
 
-  if (wide.length < 2) return { var: NaN, sigmas, corr: null };
+  if (wide.length < 2) return { var: NaN, es: NaN, sigmas, corr: null };
 
-  const corr = corrMatrix(wide, ids);
+  const corr =
+    vol?.model === "ewma"
+      ? ewmaCorrMatrix(wide, ids, vol.lambda)
+      : corrMatrix(wide, ids);
 
   let sigmaP2 = 0;
   for (let i = 0; i < m; i++) {
@@ -652,11 +1395,699 @@ function normalVarPortfolio(grouped, conf, T, window, weights) {
     }
   }
   const sigmaP = Math.sqrt(sigmaP2);
-  const z = zFromConf(conf);
+  const z = zFromConf(conf, legacyZ);
+
+  const sT = sigmaP * Math.sqrt(T);
+  return {
+    var: z * sT,
+    es: normalEsFactor(conf, z) * sT,
+    sigmas,
+    corr,
+    sigmaP,
+    z,
+    decomp: varDecomposition(sigmas, corr, w, z * Math.sqrt(T)),
+  };
+}
+
+// ==================== 组合 VaR 分解（Euler 成分 / 边际 / 增量） ====================
+// Σ_ij = σ_i σ_j ρ_ij，k 为单位 σ_p 对应的 VaR（正态：z√T）
+// 边际 VaR_i = ∂VaR/∂w_i = k (Σw)_i / σ_p；成分 VaR_i = w_i · 边际 VaR_i（合计 = VaR）
+// 增量 VaR_i = VaR(w) − VaR(去掉第 i 腿，其余权重不变)
+function varDecomposition(sigmas, corr, w, k) {
+  const m = w.length;
+  const cov = (i, j) => sigmas[i] * sigmas[j] * corr[i][j];
+  const sigmaWithout = (skip) => {
+    let s2 = 0;
+    for (let i = 0; i < m; i++) {
+      if (i === skip) continue;
+      for (let j = 0; j < m; j++) {
+        if (j !== skip) s2 += w[i] * w[j] * cov(i, j);
+      }
+    }
+    return Math.sqrt(Math.max(0, s2));
+  };
+  const sigmaP = sigmaWithout(-1);
+  const total = k * sigmaP;
+
+  return w.map((wi, i) => {
+    let sw = 0;
+    for (let j = 0; j < m; j++) sw += cov(i, j) * w[j];
+    const marginal = sigmaP > 0 ? (k * sw) / sigmaP : NaN;
+    const component = wi * marginal;
+    return {
+      weight: wi,
+      marginal,
+      component,
+      pct: total > 0 ? component / total : NaN,
+      incremental: total - k * sigmaWithout(i),
+    };
+  });
+}
+
+function histVarPortfolio(grouped, conf, T, window, weights, agg) {
+  const ids = Object.keys(grouped);
+  const m = ids.length;
+  const w = ids.map((id) => weights?.[id] ?? 1 / m);
+
+  const rp = alignedWideReturns(grouped)
+    .filter((row) => ids.every((id) => Number.isFinite(row[id])))
+    .map((row) => ids.reduce((s, id, i) => s + row[id] * w[i], 0));
+
+  const sub = rp.length < window ? rp : rp.slice(-window);
+  return histVarFromReturns(sub, conf, T, agg);
+}
+
+// ==================== 压力 VaR（历史压力窗口） ====================
+const STRESS_MIN_OBS = 20;
+const STRESS_METHOD_LABEL = { normal: "正态参数法", t: "参数 t 法", cf: "修正 VaR 法", hist: "历史模拟法" };
+
+// 自动选窗：长度 L 的滑动窗口中 1 日历史模拟 VaR(conf) 最大者（并列取最早），返回 [lo, hi) 与该 VaR
+function worstVarWindow(r, L, conf) {
+  if (r.length < L) return null;
+  let best = null;
+  for (let lo = 0; lo + L <= r.length; lo++) {
+    const v = histVarFromReturns(r.slice(lo, lo + L), conf, 1, "overlap").var;
+    if (!best || v > best.var) best = { lo, hi: lo + L, var: v };
+  }
+  return best;
+}
+
+// 同一段收益 r 上的闭式方法表：σ 取段内等权标准差，t 的 ν(λ) 与 CF 的偏度 / 峰度也在段内重估
+// 返回 [{ method, cells }]，cells[i][j] = { var, es } 对应 (confs[i], Ts[j])
+function windowVarTable(r, confs, Ts, opts) {
+  const n = r.length;
+  const flat = { model: "window" };
+  const table = [];
+  const add = (method, f) => table.push({ method, cells: confs.map((c) => Ts.map((T) => f(c, T))) });
+  add("normal", (c, T) => normalVarSingle(r, c, T, n, flat, opts.legacyZ));
+  if (opts.tParam) {
+    const { mu } = meanStd(r);
+    const fit = fitTMLE(r.map((v) => v - mu), opts.dfMax, opts.tDist === "skewt");
+    add("t", (c, T) => tVarSingle(r, c, T, n, flat, fit ? fit.nu : 5, fit ? fit.lam : 0));
+  }
+  if (opts.cfOn) {
+    const mom = sampleMoments(r);
+    add("cf", (c, T) => cfVarSingle(r, c, T, n, flat, mom, opts.legacyZ));
+  }
+  if (opts.histAgg !== "off") add("hist", (c, T) => histVarFromReturns(r, c, T, opts.histAgg));
+  return table;
+}
+
+// ==================== 情景压力测试（假设冲击） ====================
+// 情景：{ name, shocks: [{ sym, value, unit }], corr: [{ a, b, rho }] }，数值保留原始输入串，计算时再解析
+const SCENARIO_STORAGE_KEY = "varCalc.scenarios.v1";
+const SCENARIO_UNIT_LABEL = { pct: "%", sigma: "σ" };
+
+function loadScenarios() {
+  try {
+    const arr = JSON.parse(localStorage.getItem(SCENARIO_STORAGE_KEY) || "[]");
+    if (!Array.isArray(arr)) return [];
+    return arr.map((sc) => ({
+      name: String(sc?.name ?? ""),
+      shocks: Array.isArray(sc?.shocks) ? sc.shocks : [],
+      corr: Array.isArray(sc?.corr) ? sc.corr : [],
+    }));
+  } catch (_) {
+    return [];
+  }
+}
+
+// 相关矩阵是否正定（Cholesky 主元全为正）
+function isPosDef(A) {
+  const n = A.length;
+  const L = A.map(() => new Array(n).fill(0));
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j <= i; j++) {
+      let s = A[i][j];
+      for (let k = 0; k < j; k++) s -= L[i][k] * L[j][k];
+      if (i === j) {
+        if (!(s > 1e-12)) return false;
+        L[i][i] = Math.sqrt(s);
+      } else {
+        L[i][j] = s / L[j][j];
+      }
+    }
+  }
+  return true;
+}
+
+// 冲击传导：given[i] 为第 i 个品种给定的对数收益冲击（null = 未给定）
+// 未给定的品种取正态条件期望 E[r_u | r_s = s] = Σ_us Σ_ss⁻¹ s（μ=0），Σ_ij = σ_i σ_j ρ_ij
+// solved=false 表示 Σ_ss 奇异（如给定品种间 ρ=±1），此时未给定品种按 0 处理
+function propagateShocks(sigmas, corr, given) {
+  const idx = given.map((_, i) => i);
+  const S = idx.filter((i) => given[i] != null);
+  const U = idx.filter((i) => given[i] == null);
+  const cov = (i, j) => sigmas[i] * sigmas[j] * corr[i][j];
+  const r = given.map((g) => g ?? 0);
+  let solved = true;
+  if (S.length && U.length) {
+    const inv = invertSmall(S.map((i) => S.map((j) => cov(i, j))));
+    if (inv) {
+      const b = inv.map((row) => row.reduce((s, v, k) => s + v * given[S[k]], 0));
+      U.forEach((u) => (r[u] = S.reduce((s, i, k) => s + cov(u, i) * b[k], 0)));
+    } else {
+      solved = false;
+    }
+  }
+  return { r, solved };
+}
+
+// 单个情景（数值已解析）对当前头寸的损益。universe 为参与品种（持仓腿 + 情景涉及且有数据的品种），sigmas / corr 与之对应
+// legs=[{ id, w, notional }]：w 为归一化权重（Σ|w|=1），notional 为本币名义（权重口径为 null）
+// 冲击 pct → ln(1+p)，σ 倍数 k → kσ_i；价格变动 e^r − 1，损益 = w_i(e^r − 1)，金额 = N_i(e^r − 1)
+function evalScenario(sc, legs, universe, sigmas, corr) {
+  const pos = Object.fromEntries(universe.map((id, i) => [id, i]));
+  const warnings = [];
+  const rho = corr.map((row) => row.slice());
+  for (const o of sc.corr) {
+    if (!(o.a in pos) || !(o.b in pos)) {
+      warnings.push(`相关覆盖 ${o.a}-${o.b} 含无数据品种，已忽略`);
+      continue;
+    }
+    rho[pos[o.a]][pos[o.b]] = rho[pos[o.b]][pos[o.a]] = o.rho;
+  }
+  if (sc.corr.length && !isPosDef(rho)) warnings.push("覆盖后的相关矩阵非正定，传导结果仅供参考");
+
+  const given = universe.map(() => null);
+  const input = {};
+  for (const s of sc.shocks) {
+    if (!(s.sym in pos)) {
+      warnings.push(`${s.sym} 无有效数据，冲击已忽略`);
+      continue;
+    }
+    const v = s.value;
+    const i = pos[s.sym];
+    given[i] = s.unit === "sigma" ? v * sigmas[i] : Math.log(1 + v / 100);
+    input[s.sym] = `${v}${SCENARIO_UNIT_LABEL[s.unit]}`;
+  }
+  const { r, solved } = propagateShocks(sigmas, rho, given);
+  if (!solved) warnings.push("给定冲击的品种间协方差奇异，未给定品种按不变处理");
+
+  const legById = Object.fromEntries(legs.map((l) => [l.id, l]));
+  const rows = universe
+    .filter((id) => id in legById || id in input)
+    .map((id) => {
+      const move = Math.exp(r[pos[id]]) - 1;
+      const l = legById[id];
+      return {
+        id,
+        source: id in input ? "given" : "implied",
+        input: input[id] ?? "",
+        move,
+        sigmaMult: r[pos[id]] / sigmas[pos[id]],
+        w: l ? l.w : NaN,
+        pnl: l ? l.w * move : NaN,
+        money: l && l.notional != null ? l.notional * move : NaN,
+      };
+    });
+  const held = rows.filter((x) => Number.isFinite(x.w));
+  const pnl = held.reduce((s, x) => s + x.pnl, 0);
+  const money = legs.some((l) => l.notional != null) ? held.reduce((s, x) => s + x.money, 0) : NaN;
+
+  // 1 日组合 σ（当前估计的相关，不含覆盖），用于换算“相当于几个 σ 的损益”
+  let sigP2 = 0;
+  for (const a of legs) {
+    for (const b of legs) sigP2 += a.w * b.w * sigmas[pos[a.id]] * sigmas[pos[b.id]] * corr[pos[a.id]][pos[b.id]];
+  }
+  return { name: sc.name, pnl, money, sigmaP: Math.sqrt(sigP2), rows, warnings };
+}
+
+// ==================== EVT：峰值超阈（POT）+ GPD 尾部 ====================
+// 损失 L=-r（同历史模拟，不中心化）。阈值 u 取损失的 pu 分位，超额 y=L-u（L>u）拟合 GPD(ξ, β)：
+//   P(L>x) ≈ (N_u/n)·(1+ξ(x-u)/β)^(-1/ξ)
+//   VaR_c = u + β/ξ·(((n/N_u)(1-c))^(-ξ) - 1)，ES_c = (VaR_c + β - ξu)/(1-ξ)（ξ<1）；ξ→0 时取指数分布极限
+// 多日按 √T 放大（同参数 t 法）
+const EVT_MIN_EXCEED = 10; // 超额样本少于此数时不拟合
+
+function gpdNll(y, xi, beta) {
+  if (!(beta > 0)) return Infinity;
+  if (Math.abs(xi) < 1e-8) return y.length * Math.log(beta) + y.reduce((s, v) => s + v, 0) / beta;
+  let s = 0;
+  for (const v of y) {
+    const t = 1 + (xi * v) / beta;
+    if (!(t > 0)) return Infinity;
+    s += Math.log(t);
+  }
+  return y.length * Math.log(beta) + (1 + 1 / xi) * s;
+}
+
+// GPD 极大似然：矩估计作初值，对 (ξ, ln β) 做 Nelder-Mead；标准误取渐近公式（ξ > -1/2 时成立）：
+//   Var(ξ) ≈ (1+ξ)²/N_u，Var(β) ≈ 2β²(1+ξ)/N_u
+function fitGpd(y) {
+  const n = y.length;
+  const { mu: m, sigma: sd } = meanStd(y);
+  const ratio = (m * m) / (sd * sd);
+  let xi0 = Math.min(Math.max(0.5 * (1 - ratio), -0.2), 0.8);
+  const beta0 = 0.5 * m * (ratio + 1);
+  if (!Number.isFinite(gpdNll(y, xi0, beta0))) xi0 = 0; // 负 ξ 的初值可能把最大超额排除在支撑外
+  const nll = (p) => {
+    const v = gpdNll(y, p[0], Math.exp(p[1]));
+    return Number.isFinite(v) ? v : 1e100;
+  };
+  let p = [xi0, Math.log(beta0)];
+  for (let i = 0; i < 2; i++) p = nelderMead(nll, p, 1000, 1e-12); // 重启一次，避免单纯形过早收缩
+  const xi = p[0];
+  const beta = Math.exp(p[1]);
+  const ok = xi > -0.5;
+  return {
+    xi,
+    beta,
+    ll: -gpdNll(y, xi, beta),
+    seXi: ok ? (1 + xi) / Math.sqrt(n) : NaN,
+    seBeta: ok ? beta * Math.sqrt((2 * (1 + xi)) / n) : NaN,
+  };
+}
+
+// 返回 { u, pu, n, nu, xi, beta, ll, seXi, seBeta }；超额样本不足 EVT_MIN_EXCEED 时返回 null
+function fitEvtTail(r, pu) {
+  const losses = r.filter(Number.isFinite).map((v) => -v);
+  const n = losses.length;
+  if (n < 2) return null;
+  const u = empiricalQuantile(losses, pu);
+  const y = losses.filter((x) => x > u).map((x) => x - u);
+  if (y.length < EVT_MIN_EXCEED) return null;
+  return { u, pu, n, nu: y.length, ...fitGpd(y) };
+}
+
+// c 须高于阈值分位（VaR 落在 GPD 拟合的尾部内），否则返回 NaN
+function evtVarEs(fit, conf, T) {
+  if (!fit || !(conf > fit.pu)) return { var: NaN, es: NaN };
+  const { u, n, nu, xi, beta } = fit;
+  const k = (n / nu) * (1 - conf);
+  const v = Math.abs(xi) < 1e-8 ? u - beta * Math.log(k) : u + (beta / xi) * (Math.pow(k, -xi) - 1);
+  const es = xi < 1 ? (v + beta - xi * u) / (1 - xi) : NaN;
+  const sT = Math.sqrt(T);
+  return { var: Math.max(0, v * sT), es: Number.isFinite(es) ? Math.max(0, es * sT) : NaN };
+}
+
+// 平均超额函数 e(u) = E[L-u | L>u]：阈值取损失的 50% 分位到“只剩 EVT_MIN_EXCEED 个超额”之间的等距分位。
+// 进入 GPD 区域后 e(u) 关于 u 近似线性（斜率 ξ/(1-ξ)），据此挑选阈值
+function meanExcessSeries(r, points = 60) {
+  const losses = r.filter(Number.isFinite).map((v) => -v);
+  const pMax = 1 - EVT_MIN_EXCEED / losses.length;
+  if (!(pMax > 0.5)) return [];
+  const out = [];
+  for (let i = 0; i < points; i++) {
+    const p = 0.5 + ((pMax - 0.5) * i) / (points - 1);
+    const u = empiricalQuantile(losses, p);
+    const ex = losses.filter((x) => x > u);
+    if (ex.length) out.push({ p, u, e: ex.reduce((s, x) => s + x - u, 0) / ex.length, n: ex.length });
+  }
+  return out;
+}
+
+// ==================== VaR 回测（Kupiec / Christoffersen / Basel） ====================
+// Abramowitz-Stegun 7.1.26，误差 < 1.5e-7
+function erf(x) {
+  const sgn = x < 0 ? -1 : 1;
+  const ax = Math.abs(x);
+  const t = 1 / (1 + 0.3275911 * ax);
+  const y =
+    1 -
+    ((((1.061405429 * t - 1.453152027) * t + 1.421413741) * t - 0.284496736) * t +
+      0.254829592) *
+      t *
+      Math.exp(-ax * ax);
+  return sgn * y;
+}
+
+// χ² 上尾 p 值（仅用到 1、2 自由度）
+function chi2Pvalue(x, df) {
+  if (!Number.isFinite(x) || x < 0) return NaN;
+  if (df === 1) return 1 - erf(Math.sqrt(x / 2));
+  if (df === 2) return Math.exp(-x / 2);
+  return NaN;
+}
+
+// x·ln(p)，约定 0·ln0 = 0
+const xlogp = (x, p) => (x === 0 ? 0 : x * Math.log(p));
+
+function kupiecPOF(N, x, p) {
+  if (N <= 0) return { lr: NaN, p: NaN };
+  const phat = x / N;
+  const l0 = xlogp(N - x, 1 - p) + xlogp(x, p);
+  const l1 = xlogp(N - x, 1 - phat) + xlogp(x, phat);
+  const lr = Math.max(0, -2 * (l0 - l1));
+  return { lr, p: chi2Pvalue(lr, 1) };
+}
+
+function christoffersenInd(hits) {
+  let n00 = 0, n01 = 0, n10 = 0, n11 = 0;
+  for (let i = 1; i < hits.length; i++) {
+    const a = hits[i - 1], b = hits[i];
+    if (!a && !b) n00++;
+    else if (!a && b) n01++;
+    else if (a && !b) n10++;
+    else n11++;
+  }
+  const n = n00 + n01 + n10 + n11;
+  if (n === 0) return { lr: NaN, p: NaN, n00, n01, n10, n11 };
+  const pi0 = n00 + n01 > 0 ? n01 / (n00 + n01) : 0;
+  const pi1 = n10 + n11 > 0 ? n11 / (n10 + n11) : 0;
+  const pi = (n01 + n11) / n;
+  const l0 = xlogp(n00 + n10, 1 - pi) + xlogp(n01 + n11, pi);
+  const l1 =
+    xlogp(n00, 1 - pi0) + xlogp(n01, pi0) + xlogp(n10, 1 - pi1) + xlogp(n11, pi1);
+  const lr = Math.max(0, -2 * (l0 - l1));
+  return { lr, p: chi2Pvalue(lr, 1), n00, n01, n10, n11 };
+}
+
+// 二项分布累积概率 P(X<=x)，对数空间累加避免下溢
+function binomCdf(x, N, p) {
+  if (x < 0) return 0;
+  if (x >= N) return 1;
+  let logPmf = N * Math.log(1 - p);
+  let cdf = Math.exp(logPmf);
+  for (let k = 0; k < x; k++) {
+    logPmf += Math.log((N - k) / (k + 1)) + Math.log(p / (1 - p));
+    cdf += Math.exp(logPmf);
+  }
+  return Math.min(1, cdf);
+}
+
+// Basel 交通灯：按突破数的二项累积概率分区（N=250、c=0.99 时即 0-4 绿 / 5-9 黄 / ≥10 红）
+function baselZone(x, N, p) {
+  const cum = binomCdf(x, N, p);
+  if (cum < 0.95) return { zone: "green", cum };
+  if (cum < 0.9999) return { zone: "yellow", cum };
+  return { zone: "red", cum };
+}
 
-  return { var: z * sigmaP * Math.sqrt(T), sigmas, corr, sigmaP, z };
+const BASEL_ZONE_LABEL = { green: "绿区", yellow: "黄区", red: "红区" };
+
+// GARCH 逐日条件 σ：out[t] = σ_{t+1|t}，只用 r[0..t]，无前视。
+// 扩展窗口每 refitEvery 日重估一次参数（以上次结果为初值）：在 r[0..k) 上拟合的参数
+// 用于 t = k-1 .. k+refitEvery-2，σ² 从该次拟合的起点沿 r 递推
+function garchSigmaSeries(r, refitEvery = ROLLING_REFIT_DAYS) {
+  const n = r.length;
+  const out = new Array(n).fill(NaN);
+  let prev = null;
+  for (let k = GARCH_MIN_OBS; k <= n; k += refitEvery) {
+    const fit = garchMle(r.slice(0, k), prev);
+    if (!fit) {
+      prev = null; // 拟合失败时下一次从默认初值重新开始，避免坏初值沿扩展窗口传递
+      continue;
+    }
+    prev = fit;
+    const end = Math.min(k - 1 + refitEvery, n);
+    const x = r.slice(0, end).map((v) => v - fit.mu);
+    const { sig2 } = garchFilter(x, fit.omega, fit.alpha, fit.beta, fit.v0);
+    for (let t = k - 1; t < end; t++) out[t] = Math.sqrt(sig2[t + 1]);
+  }
+  return out;
+}
+
+/**
+ * 滚动 1 日 VaR：对每个交易日 t，仅用 r[t-w..t-1] 预测（样本外），并与次日实际收益 r[t] 对照。
+ * series: [{date, r}]（已按日期升序、r 有限）。
+ * method="t" 时 σ 同正态参数法，分位改为方差匹配 t（tOpts.skew 为偏 t），ν(λ) 在 r[t-w..t-1] 上每 ROLLING_REFIT_DAYS 日重估。
+ */
+function rollingVarSeries(series, conf, window, method, vol, legacyZ = false, tOpts = { dfMax: 60, skew: false }) {
+  const r = series.map((x) => x.r);
+  const sig =
+    method === "hist"
+      ? null
+      : vol?.model === "ewma"
+      ? rollingEwmaSigmaSeries(r, vol.lambda)
+      : vol?.model === "garch"
+      ? garchSigmaSeries(r)
+      : rollingSigmaSeries(r, window);
+  const z = zFromConf(conf, legacyZ);
+  let q = z;
+  const points = [];
+  for (let t = window; t < series.length; t++) {
+    if (method === "t" && (t - window) % ROLLING_REFIT_DAYS === 0) {
+      const w = r.slice(t - window, t);
+      const { mu } = meanStd(w);
+      const fit = fitTMLE(w.map((v) => v - mu), tOpts.dfMax, tOpts.skew);
+      q = tParamFactors(conf, fit ? fit.nu : 5, fit ? fit.lam : 0).q;
+    }
+    const v =
+      method === "hist"
+        ? Math.max(0, -empiricalQuantile(r.slice(t - window, t), 1 - conf))
+        : q * sig[t - 1];
+    // GARCH 前 GARCH_MIN_OBS 日尚无样本外预测，不计入
+    if (!Number.isFinite(v)) continue;
+    points.push({ date: series[t].date, ret: r[t], var: v, breach: -r[t] > v });
+  }
+  return points;
+}
+
+// 回测统计：points 来自 rollingVarSeries；days>0 时只统计最近 days 个预测日
+function backtestVar(points, conf, days) {
+  const pts = days > 0 ? points.slice(-days) : points;
+  const N = pts.length;
+  const hits = pts.map((x) => x.breach);
+  const x = hits.filter(Boolean).length;
+  const p = 1 - conf;
+  const kupiec = kupiecPOF(N, x, p);
+  const ind = christoffersenInd(hits);
+  const ccLr = kupiec.lr + ind.lr;
+  return {
+    conf,
+    N,
+    x,
+    expected: N * p,
+    rate: N > 0 ? x / N : NaN,
+    kupiec,
+    ind,
+    cc: { lr: ccLr, p: chi2Pvalue(ccLr, 2) },
+    basel: baselZone(x, N, p),
+    points: pts,
+  };
+}
+
+const ROLLING_METHOD_LABEL = {
+  normal: "正态参数法",
+  t: "参数 t 法",
+  hist: "历史模拟法",
+};
+
+const MC_METHOD_LABEL = {
+  normal: "Normal MC",
+  t_mc: "t-MC",
+  bootstrap: "Bootstrap",
+  fhs: "FHS",
+  copula: "Copula",
+};
+
+const MC_ENGINE_LABEL = { backend: "后端 Python", local: "本地浏览器 Worker" };
+
+const BOOT_SCHEME_LABEL = { iid: "逐日独立", block: "移动块", stationary: "平稳（Politis-Romano）" };
+
+const MC_VR_LABEL = {
+  none: "无",
+  antithetic: "对偶变量",
+  sobol: "Sobol 准随机（RQMC）",
+  is: "重要性抽样（均值平移）",
+};
+const T_DIST_LABEL = { t: "对称 t", skewt: "Hansen 偏 t" };
+const MC_VR_BATCHES = 20; // 与 worker / 后端一致：方差缩减时 SE 取自 20 批批均值
+
+// 用户点击“取消”后由 MC 调用抛出，runCalc 据此保留已完成的部分结果
+class CalcCancelled extends Error {
+  constructor() {
+    super("计算已取消");
+    this.name = "CalcCancelled";
+  }
+}
+
+const LOCAL_THREADS = Math.max(1, navigator.hardwareConcurrency || 4);
+const LOCAL_CHUNKS = 64;
+const SEED_MAX = 2 ** 32 - 1;
+
+/**
+ * 本地 MC 引擎：Worker 池，与后端 /api/mcBatch 同口径（一次 run 覆盖 confs × Ts 全部组合）。
+ * 一次 run：首个 Worker 拟合参数（prepare）→ K 条路径分块派发到各 Worker 并行模拟（simulate）
+ * → 主线程按块偏移合并后交给一个 Worker 求各 (c, T) 的 VaR/ES（finish）。模拟结果均以 Transferable 传递。
+ */
+function createLocalEngine(size = LOCAL_THREADS) {
+  const workers = Array.from({ length: size }, () => new VarWorker());
+  const pending = new Map();
+  let seq = 0;
+  let jobSeq = 0;
+  const onMessage = (e) => {
+    const { id, ...out } = e.data;
+    pending.get(id)?.(out);
+    pending.delete(id);
+  };
+  const onError = (e) => {
+    pending.forEach((resolve) => resolve({ ok: false, error: e.message || "本地 Worker 异常" }));
+    pending.clear();
+  };
+  workers.forEach((w) => {
+    w.onmessage = onMessage;
+    w.onerror = onError;
+  });
+
+  const call = (worker, msg, transfer = []) =>
+    new Promise((resolve) => {
+      const id = ++seq;
+      pending.set(id, resolve);
+      worker.postMessage({ id, ...msg }, transfer);
+    });
+
+  const run = async (task, payload, onProgress) => {
+    const t0 = performance.now();
+    const job = ++jobSeq;
+    const prep = await call(workers[0], { task, stage: "prepare", job, payload });
+    if (!prep.ok) return prep;
+    if (prep.done) return prep.done;
+    const { params } = prep;
+    const t1 = performance.now();
+
+    // 固定 LOCAL_CHUNKS 块（与线程数无关，给定种子时结果可复现）；每条路径占 params.width 个值（各期限 × 各腿）
+    const { sims } = payload;
+    const { width } = params;
+    const nChunks = Math.min(sims, LOCAL_CHUNKS);
+    const base = Math.floor(sims / nChunks);
+    const sizes = Array.from({ length: nChunks }, (_, i) => base + (i < sims % nChunks ? 1 : 0));
+    const offsets = [];
+    sizes.reduce((off, k) => (offsets.push(off), off + k), 0);
+
+    // 数据与拟合参数每个 Worker 只发一次（workers[0] 在 prepare 时已缓存），之后每块只发块号 / 条数 / offset
+    const merged = new Float64Array(sims * width);
+    const loaded = new Set([workers[0]]);
+    let next = 0;
+    let done = 0;
+    let error = null;
+    const drain = async (worker) => {
+      while (next < nChunks && !error) {
+        const i = next++;
+        if (!loaded.has(worker)) {
+          loaded.add(worker);
+          const ack = await call(worker, { task, stage: "load", job, payload, params });
+          if (!ack.ok) {
+            error = ack.error;
+            return;
+          }
+        }
+        const out = await call(worker, { task, stage: "simulate", job, k: sizes[i], chunk: i, offset: offsets[i] });
+        if (!out.ok) {
+          error = out.error;
+          return;
+        }
+        merged.set(out.buf, offsets[i] * width);
+        onProgress?.(++done, nChunks);
+      }
+    };
+    await Promise.all(workers.map(drain));
+    // 释放其余 Worker 的缓存；workers[0] 在 finish 时释放（出错时同样显式释放）
+    loaded.forEach((w) => {
+      if (w !== workers[0] || error) call(w, { task, stage: "release", job });
+    });
+    if (error) return { ok: false, error };
+    const t2 = performance.now();
+
+    const out = await call(workers[0], { task, stage: "finish", job, buf: merged }, [merged.buffer]);
+    if (out.ok) {
+      // 与后端 diagnostics 同口径：拟合 / 路径模拟 / 总耗时（毫秒）
+      Object.assign(out.diagnostics, {
+        chunks: nChunks,
+        fitMs: +(t1 - t0).toFixed(1),
+        simMs: +(t2 - t1).toFixed(1),
+        totalMs: +(performance.now() - t0).toFixed(1),
+      });
+    }
+    return out;
+  };
+
+  // 终止全部 Worker；尚未返回的调用以“已取消”结束，避免 run 永久挂起
+  const terminate = () => {
+    workers.forEach((w) => w.terminate());
+    pending.forEach((resolve) => resolve({ ok: false, cancelled: true, error: "已取消" }));
+    pending.clear();
+  };
+
+  return { run, size, terminate };
+}
+
+// 后端健康检查（超时视为不可达）
+async function backendReachable(timeoutMs = 2000) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const resp = await fetch("/api/health", { signal: ctrl.signal });
+    if (!resp.ok) return false;
+    const j = await resp.json();
+    return j?.ok === true;
+  } catch (_) {
+    return false;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// 读取 /api/mcBatch 的 NDJSON 流：progress 事件回调 onProgress(done, total)，返回最后的 result / error
+async function readNdjson(resp, onProgress) {
+  const reader = resp.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = "";
+  const handle = (line) => {
+    if (!line.trim()) return null;
+    const msg = JSON.parse(line);
+    if (msg.type === "progress") {
+      onProgress?.(msg.done, msg.total);
+      return null;
+    }
+    if (msg.type === "error") return { ok: false, error: msg.error };
+    const { type, ...out } = msg;
+    return out;
+  };
+  for (;;) {
+    const { value, done } = await reader.read();
+    buf += decoder.decode(value ?? new Uint8Array(), { stream: !done });
+    const parts = buf.split("\n");
+    buf = parts.pop();
+    for (const line of parts) {
+      const out = handle(line);
+      if (out) return out;
+    }
+    if (done) return handle(buf) ?? { ok: false, error: "进度流意外结束" };
+  }
+}
+
+// 毫秒 → “12.3s” / “2m05s”
+function fmtDuration(ms) {
+  if (!Number.isFinite(ms)) return "—";
+  const s = ms / 1000;
+  if (s < 60) return `${s.toFixed(1)}s`;
+  return `${Math.floor(s / 60)}m${String(Math.round(s % 60)).padStart(2, "0")}s`;
+}
+
+// FHS 本地计算所需的 GARCH 参数与标准化残差（后端在 mc_single 内自行拟合）
+function garchPayload(r) {
+  const fit = fitGarch11(r);
+  if (!fit) return null;
+  const { mu } = meanStd(r);
+  const x = r.filter(Number.isFinite).map((v) => v - mu);
+  return {
+    omega: fit.omega,
+    alpha: fit.alpha,
+    beta: fit.beta,
+    sig2Next: fit.sig2[fit.sig2.length - 1],
+    resid: x.map((v, t) => v / Math.sqrt(fit.sig2[t])),
+  };
 }
 
+const COPULA_FAMILY_LABEL = { gaussian: "Gaussian copula", t: "t copula" };
+const COPULA_MARGINAL_LABEL = { normal: "正态边缘", t: "t 边缘", empirical: "经验边缘" };
+
+// 组合模式下走 /api/mcPortfolio 多元联合模拟的 MC 方法
+const PORTFOLIO_JOINT_LABEL = {
+  normal: "多元正态(Cholesky)",
+  t_mc: "多元t(Cholesky+共享χ²)",
+  bootstrap: "整行Bootstrap",
+  copula: "Copula",
+};
+
+const HIST_AGG_LABEL = {
+  off: "关闭",
+  overlap: "重叠T日",
+  nonoverlap: "不重叠T日",
+};
+
 // ==================== UI 小组件 ====================
 // 扁平化 Card
 const Card = ({ title, children, className, actions }) => (
@@ -736,6 +2167,33 @@ const RowField = ({ label, children }) => (
   </div>
 );
 
+// MC 作业进度条：百分比 / 已用时 / 预计剩余（ETA 按已完成比例线性外推）
+const ProgressBar = ({ progress, text }) => {
+  const { label, done, total, unit, elapsedMs } = progress;
+  const frac = total > 0 ? done / total : 0;
+  const eta = done > 0 ? (elapsedMs * (total - done)) / done : NaN;
+  return (
+    <div className="flex items-center gap-2 text-xs text-gray-500 min-w-0">
+      <span className="truncate max-w-[280px]">{text || label}</span>
+      <div className="w-40 h-2 bg-gray-200 rounded-full overflow-hidden flex-shrink-0">
+        <div className="h-full bg-blue-600 transition-all" style={{ width: `${(frac * 100).toFixed(1)}%` }} />
+      </div>
+      {total > 0 ? (
+        <>
+          <span className="font-mono font-bold text-gray-700">{(frac * 100).toFixed(0)}%</span>
+          <span>已用 {fmtDuration(elapsedMs)}</span>
+          <span>剩余 {fmtDuration(eta)}</span>
+          <span className="text-gray-400">
+            （{done.toLocaleString()}/{total.toLocaleString()} {unit}）
+          </span>
+        </>
+      ) : (
+        <span>拟合参数…</span>
+      )}
+    </div>
+  );
+};
+
 const SymbolSelectorModal = ({
   open,
   onClose,
@@ -906,6 +2364,143 @@ const SymbolSelectorModal = ({
   );
 };
 
+// 情景编辑器：冲击与相关覆盖均保留原始输入串（便于输入负号 / 小数），计算时再解析
+const ScenarioModal = ({ open, onClose, ids, idToName, scenarios, setScenarios }) => {
+  if (!open) return null;
+
+  const inputCls = "border border-gray-300 rounded px-2 py-1 text-sm focus:outline-none focus:ring-1 focus:ring-blue-500";
+  const update = (k, f) => setScenarios((prev) => prev.map((sc, i) => (i === k ? f(sc) : sc)));
+  const setItem = (k, key, j, patch) =>
+    update(k, (sc) => ({ ...sc, [key]: sc[key].map((x, i) => (i === j ? { ...x, ...patch } : x)) }));
+  const addItem = (k, key, item) => update(k, (sc) => ({ ...sc, [key]: [...sc[key], item] }));
+  const removeItem = (k, key, j) => update(k, (sc) => ({ ...sc, [key]: sc[key].filter((_, i) => i !== j) }));
+
+  const addScenario = () =>
+    setScenarios((prev) => [
+      ...prev,
+      { name: `情景 ${prev.length + 1}`, shocks: [{ sym: ids[0] ?? "", value: "", unit: "pct" }], corr: [] },
+    ]);
+
+  // 已保存情景里的品种可能不在当前数据中，仍保留为可选项
+  const symSelect = (value, onChange) => (
+    <select className={clsx(inputCls, "flex-1 min-w-0 bg-white")} value={value} onChange={(e) => onChange(e.target.value)}>
+      <option value="">选择品种</option>
+      {(ids.includes(value) || !value ? ids : [value, ...ids]).map((id) => (
+        <option key={id} value={id}>
+          {idToName[id] ? `${id}（${idToName[id]}）` : id}
+        </option>
+      ))}
+    </select>
+  );
+  const removeBtn = (onClick) => (
+    <button className="text-gray-400 hover:text-red-500 px-1" onClick={onClick} title="删除">
+      ×
+    </button>
+  );
+  const addBtn = (label, onClick) => (
+    <button className="px-2 py-1 rounded bg-gray-100 text-gray-600 hover:bg-gray-200 text-xs" onClick={onClick}>
+      {label}
+    </button>
+  );
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 backdrop-blur-sm">
+      <div className="bg-white w-[92vw] max-w-3xl rounded-xl shadow-2xl p-5 space-y-4 animate-in fade-in zoom-in-95">
+        <div className="flex items-center justify-between border-b pb-3">
+          <div className="text-lg font-bold text-gray-800">情景编辑器</div>
+          <button
+            className="text-gray-400 hover:text-gray-600 p-1 rounded-full hover:bg-gray-100 transition"
+            onClick={onClose}
+          >
+            <svg className="w-6 h-6" fill="none" stroke="currentColor" viewBox="0 0 24 24"><path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M6 18L18 6M6 6l12 12"></path></svg>
+          </button>
+        </div>
+
+        <div className="text-xs text-gray-500">
+          冲击按价格涨跌 %（如 -8）或当前 1 日 σ 的倍数（如 -3）填写；情景中未给冲击的持仓品种按相关性传导，要保持不变请显式填 0。
+          修改即时保存在本浏览器中。
+        </div>
+
+        <div className="flex gap-2 text-xs">
+          {addBtn("+ 新建情景", addScenario)}
+        </div>
+
+        <div className="border border-gray-200 rounded-lg p-2 max-h-[60vh] overflow-y-auto custom-scrollbar space-y-3 bg-gray-50">
+          {scenarios.length === 0 && (
+            <div className="text-sm text-gray-400 text-center py-4">尚无情景，点击“新建情景”开始</div>
+          )}
+          {scenarios.map((sc, k) => (
+            <div key={k} className="bg-white rounded shadow-sm border border-gray-100 p-3 space-y-2">
+              <div className="flex items-center gap-2">
+                <input
+                  className={clsx(inputCls, "flex-1 font-semibold")}
+                  value={sc.name}
+                  onChange={(e) => update(k, (x) => ({ ...x, name: e.target.value }))}
+                  placeholder="情景名称"
+                />
+                <button
+                  className="text-xs px-2 py-1 rounded text-red-500 hover:bg-red-50"
+                  onClick={() => setScenarios((prev) => prev.filter((_, i) => i !== k))}
+                >
+                  删除情景
+                </button>
+              </div>
+
+              <div className="text-xs font-semibold text-gray-500">品种冲击</div>
+              {sc.shocks.map((s, j) => (
+                <div key={j} className="flex items-center gap-2">
+                  {symSelect(s.sym, (v) => setItem(k, "shocks", j, { sym: v }))}
+                  <input
+                    className={clsx(inputCls, "w-24")}
+                    value={s.value}
+                    onChange={(e) => setItem(k, "shocks", j, { value: e.target.value })}
+                    placeholder="冲击"
+                  />
+                  <select
+                    className={clsx(inputCls, "w-20 bg-white")}
+                    value={s.unit}
+                    onChange={(e) => setItem(k, "shocks", j, { unit: e.target.value })}
+                  >
+                    <option value="pct">%</option>
+                    <option value="sigma">σ 倍数</option>
+                  </select>
+                  {removeBtn(() => removeItem(k, "shocks", j))}
+                </div>
+              ))}
+              {addBtn("+ 冲击", () => addItem(k, "shocks", { sym: "", value: "", unit: "pct" }))}
+
+              <div className="text-xs font-semibold text-gray-500 pt-1">相关覆盖（可选）</div>
+              {sc.corr.map((o, j) => (
+                <div key={j} className="flex items-center gap-2">
+                  {symSelect(o.a, (v) => setItem(k, "corr", j, { a: v }))}
+                  {symSelect(o.b, (v) => setItem(k, "corr", j, { b: v }))}
+                  <input
+                    className={clsx(inputCls, "w-20")}
+                    value={o.rho}
+                    onChange={(e) => setItem(k, "corr", j, { rho: e.target.value })}
+                    placeholder="ρ"
+                  />
+                  {removeBtn(() => removeItem(k, "corr", j))}
+                </div>
+              ))}
+              {addBtn("+ 相关覆盖", () => addItem(k, "corr", { a: "", b: "", rho: "" }))}
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-end pt-2 border-t">
+          <button
+            className="px-4 py-2 rounded-lg bg-blue-600 text-white hover:bg-blue-700 text-sm font-medium shadow-sm transition"
+            onClick={onClose}
+          >
+            完成
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
 
 // ==================== 主 App ====================
 export default function App() {
@@ -928,15 +2523,56 @@ export default function App() {
   const [T3, setT3] = useState(22);
   const [window, setWindow] = useState(66);
 
-  const [mcMethod, setMcMethod] = useState("normal"); // normal | t_mc | bootstrap
+  const [mcEngine, setMcEngine] = useState("auto"); // auto | backend | local
+  const [mcMethod, setMcMethod] = useState("normal"); // normal | t_mc | bootstrap | fhs | copula（仅组合）
+  const [copulaFamily, setCopulaFamily] = useState("gaussian"); // gaussian | t
+  const [copulaMarginal, setCopulaMarginal] = useState("t"); // normal | t | empirical
   const [sims, setSims] = useState(200000);
   const [dfMax, setDfMax] = useState(15);
+  const [seedText, setSeedText] = useState(""); // 留空 = 每次自动抽取
+  const [mcTol, setMcTol] = useState(0.05); // MC 95% 区间半宽 / 点估计 的容差
+  const [mcVr, setMcVr] = useState("none"); // none | antithetic | sobol | is
+  const [bootScheme, setBootScheme] = useState("iid"); // iid | block | stationary
+  const [blockLenText, setBlockLenText] = useState(""); // 留空 = 按自相关自动选择
+  const [volModel, setVolModel] = useState("window"); // window | ewma | garch
+  const [ewmaLambda, setEwmaLambda] = useState(0.94);
+  const [histAgg, setHistAgg] = useState("overlap"); // off | overlap | nonoverlap
+  const [tParam, setTParam] = useState(false); // 参数 t 法（闭式）
+  const [tDist, setTDist] = useState("t"); // t | skewt（Hansen 偏 t）
+  const [legacyZ, setLegacyZ] = useState(false); // true = 旧版 z（1.645 / 2.33 + Moro）
+  const [cfOn, setCfOn] = useState(false); // Cornish-Fisher 修正 VaR
+  const [evtOn, setEvtOn] = useState(false); // EVT（POT-GPD）尾部法
+  const [evtThreshold, setEvtThreshold] = useState(0.9); // 阈值 = 全历史损失的该分位
+  const [stressMode, setStressMode] = useState("off"); // off | auto | manual
+  const [stressStart, setStressStart] = useState("2015-06-01");
+  const [stressEnd, setStressEnd] = useState("2016-05-31");
+  const [stressLen, setStressLen] = useState(250); // 自动选窗的窗口长度（交易日）
+  const [scenarioOn, setScenarioOn] = useState(false);
+  const [scenarios, setScenarios] = useState(loadScenarios); // 保存在 localStorage，跨会话保留
+  const [scenarioOpen, setScenarioOpen] = useState(false);
+
+  const [btEnabled, setBtEnabled] = useState(false);
+  const [rollMethod, setRollMethod] = useState("normal"); // normal | t | hist（修正 VaR / EVT / MC 不支持逐日滚动）
+  const [btDays, setBtDays] = useState(250);
 
   const [mode, setMode] = useState("single");
   const [singleId, setSingleId] = useState("");
   const [portfolioIds, setPortfolioIds] = useState([]);
   const [weightsText, setWeightsText] = useState("");
 
+  // 派生开关：须放在所依赖的 state 声明之后
+  // 方差缩减只作用于单序列 Normal / t-MC（组合模式下这两种方法走多元联合模拟）
+  const mcUsesVr = mode !== "portfolio" && (mcMethod === "normal" || (mcMethod === "t_mc" && tDist === "t"));
+  // ν 搜索上限对 t-MC 与含 t 成分的 copula 生效
+  const mcUsesNu =
+    tParam ||
+    mcMethod === "t_mc" ||
+    (mcMethod === "copula" && (copulaFamily === "t" || copulaMarginal === "t"));
+  // t 分布形态作用于参数 t 法与单序列 t-MC（组合 t-MC 为多元 t，不受影响）
+  const tUsesDist = tParam || (mode !== "portfolio" && mcMethod === "t_mc");
+  // 块 bootstrap 只作用于单序列 Bootstrap（组合 Bootstrap 走多元逐日重采样）
+  const mcUsesBoot = mode !== "portfolio" && mcMethod === "bootstrap";
+
   // 选择弹窗
   const [selectorOpen, setSelectorOpen] = useState(false);
   const [selectorSearch, setSelectorSearch] = useState("");
@@ -944,6 +2580,12 @@ export default function App() {
   // 权重弹窗（多品种）
   const [weightsOpen, setWeightsOpen] = useState(false);
   const [weightsById, setWeightsById] = useState({});
+  const [sizing, setSizing] = useState("weight"); // weight | position
+  const [positionsById, setPositionsById] = useState({}); // { id: { lots, mult, ccy, fx } }
+  const [baseCcyText, setBaseCcyText] = useState("CNY"); // 保留原始输入，便于清空后重输
+  // 计算与展示统一用规范化后的本币代码：去空格、转大写，留空即 CNY
+  const baseCcy = baseCcyText.trim().toUpperCase() || "CNY";
+  const [moneyInfo, setMoneyInfo] = useState(null); // { gross, ccy }：持仓口径下金额换算基数
 
 
   const [showManual, setShowManual] = useState(false);
@@ -951,6 +2593,7 @@ export default function App() {
 
   const [loading, setLoading] = useState(false);
   const [progressText, setProgressText] = useState("");
+  const [mcProgress, setMcProgress] = useState(null); // 当前 MC 作业进度 { label, done, total, elapsedMs, unit }
   const [resultRows, setResultRows] = useState([]);
   const [summary, setSummary] = useState("");
   const [summaryWinOpen, setSummaryWinOpen] = useState(false);
@@ -959,6 +2602,17 @@ export default function App() {
   const [priceSeriesIds, setPriceSeriesIds] = useState([]);
 
   const [lastCalcMode, setLastCalcMode] = useState("single"); // 记录上一次“开始计算”的模式
+  const [partial, setPartial] = useState(false); // 上次计算被取消，结果不完整
+  const cancelRef = useRef(null); // 当前计算的 AbortController
+
+  const [rollingVar, setRollingVar] = useState(null); // { label, method, window, confs, data: [{date, ret, v0, v1}] }
+  const [backtest, setBacktest] = useState(null); // { label, method, window, results: [...] }
+  const [btConfIdx, setBtConfIdx] = useState(0);
+  const [decomp, setDecomp] = useState([]); // [{ method, conf, T, rows: [{ id, weight, marginal, component, pct, incremental, componentEs? }] }]
+  const [decompIdx, setDecompIdx] = useState(0);
+  const [meanExcess, setMeanExcess] = useState(null); // { label, pu, u, data: [{p, u, e, n}] }
+  const [scenarioRes, setScenarioRes] = useState(null); // { label, n, results: [evalScenario 结果] }
+  const [stressed, setStressed] = useState(null); // { label, mode, start, end, n, critVar, cur: {start, end, n}, Ts, rows: [{ method, conf, metric, cur, stress }] }
 
   const [idToName, setIdToName] = useState({});
 
@@ -1147,7 +2801,7 @@ export default function App() {
     setWeightsById((prev) => {
       const next = { ...prev };
       portfolioIds.forEach((id) => {
-        if (next[id] == null || !Number.isFinite(next[id])) next[id] = 1;
+        if (!Number.isFinite(toNumber(next[id]))) next[id] = 1;
       });
       Object.keys(next).forEach((id) => {
         if (!portfolioIds.includes(id)) delete next[id];
@@ -1156,6 +2810,13 @@ export default function App() {
     });
   }, [mode, portfolioIds.join("|")]);
 
+  // 情景随编辑自动保存，次日打开即可重跑
+  React.useEffect(() => {
+    try {
+      localStorage.setItem(SCENARIO_STORAGE_KEY, JSON.stringify(scenarios));
+    } catch (_) {}
+  }, [scenarios]);
+
 
 
   const parseWeights = (ids) => {
@@ -1173,17 +2834,75 @@ export default function App() {
       throw new Error("有品种权重为空或非数字，请在权重弹窗中补全");
     }
 
-    const s = arr.reduce((a, b) => a + b, 0);
-    if (s <= 0) throw new Error("权重和必须大于 0");
+    // 按绝对值之和归一化：允许空头（负权重）与净额为 0 的价差组合
+    const s = arr.reduce((a, b) => a + Math.abs(b), 0);
+    if (s <= 0) throw new Error("权重不能全为 0");
 
     const norm = {};
     ids.forEach((id, i) => (norm[id] = arr[i] / s));
     return norm;
   };
 
+  // 持仓口径：名义金额 N_i = 手数 × 合约乘数 × 最新结算价 × 汇率（折本币），空头手数为负
+  const parsePositions = (ids) => {
+    const legs = ids.map((id) => {
+      const p = positionsById[id] || {};
+      const lots = toNumber(p.lots);
+      const mult = toNumber(p.mult);
+      const ccy = String(p.ccy ?? "").trim().toUpperCase() || baseCcy;
+      const fx = ccy === baseCcy ? 1 : toNumber(p.fx);
+      if (!Number.isFinite(lots)) throw new Error(`${id} 手数为空或非数字，请在持仓弹窗中补全`);
+      if (!(mult > 0)) throw new Error(`${id} 合约乘数必须大于 0`);
+      if (!(fx > 0)) throw new Error(`${id} 币种为 ${ccy}，需填写折算 ${baseCcy} 的汇率（>0）`);
+
+      const last = [...(groupedAll[id] || [])].reverse().find((x) => Number.isFinite(x.price));
+      if (!last) throw new Error(`${id} 无有效结算价`);
+      return {
+        id,
+        lots,
+        mult,
+        ccy,
+        fx,
+        price: last.price,
+        date: last.date.toISOString().slice(0, 10),
+        notional: lots * mult * last.price * fx,
+      };
+    });
+
+    const gross = legs.reduce((s, l) => s + Math.abs(l.notional), 0);
+    if (!(gross > 0)) throw new Error("持仓名义金额合计为 0，请至少填写一条非零手数");
+    const net = legs.reduce((s, l) => s + l.notional, 0);
+    const weights = Object.fromEntries(legs.map((l) => [l.id, l.notional / gross]));
+    return { legs, gross, net, weights };
+  };
+
+  const fmtMoney = (v, ccy) =>
+    Number.isFinite(v)
+      ? `${v.toLocaleString("zh-CN", { maximumFractionDigits: 0 })} ${ccy}`
+      : "—";
+
+  const fmtPositionLeg = (l) =>
+    `${l.id} ${l.lots >= 0 ? "多" : "空"} ${Math.abs(l.lots)} 手 × 乘数 ${l.mult} × 结算价 ${l.price}（${l.date}）` +
+    (l.ccy !== baseCcy ? ` × 汇率 ${l.fx}（${l.ccy}→${baseCcy}）` : "") +
+    ` = ${fmtMoney(l.notional, baseCcy)}`;
+
   const fmtPct2 = (v) =>
     Number.isFinite(v) ? `${(v * 100).toFixed(2)}%` : "—";
 
+  // 回测图：实际收益、-VaR 预测线，突破日单独打点
+  const backtestChartData = useMemo(() => {
+    const b = backtest?.results?.[btConfIdx];
+    if (!b) return [];
+    return b.points.map((p) => ({
+      date: p.date,
+      ret: p.ret,
+      negVar: -p.var,
+      breach: p.breach ? p.ret : null,
+    }));
+  }, [backtest, btConfIdx]);
+
+  const decompSel = decomp[decompIdx] || null;
+
   // ============ 导出结果（Excel 内含摘要 / 表格 / 价格数据 / 走势图） ============
   const exportResults = () => {
     const wb = XLSX.utils.book_new();
@@ -1199,6 +2918,144 @@ export default function App() {
     const wsTable = XLSX.utils.json_to_sheet(resultRows || []);
     XLSX.utils.book_append_sheet(wb, wsTable, "VaR Table");
 
+    // Rolling VaR
+    if (rollingVar) {
+      const rollRows = rollingVar.data.map((d) => {
+        const row = { date: d.date, ret: d.ret };
+        rollingVar.confs.forEach((c, k) => (row[`VaR_c${c}`] = d[`v${k}`]));
+        return row;
+      });
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(rollRows), "Rolling VaR");
+    }
+
+    // Backtest
+    if (backtest) {
+      const wsBt = XLSX.utils.json_to_sheet(
+        backtest.results.map((b) => ({
+          target: backtest.label,
+          method: ROLLING_METHOD_LABEL[backtest.method],
+          window: backtest.window,
+          conf: b.conf,
+          N: b.N,
+          breaches: b.x,
+          expected: b.expected,
+          breachRate: b.rate,
+          kupiecLR: b.kupiec.lr,
+          kupiecP: b.kupiec.p,
+          indLR: b.ind.lr,
+          indP: b.ind.p,
+          ccLR: b.cc.lr,
+          ccP: b.cc.p,
+          baselZone: BASEL_ZONE_LABEL[b.basel.zone],
+          baselCumProb: b.basel.cum,
+        }))
+      );
+      XLSX.utils.book_append_sheet(wb, wsBt, "Backtest");
+
+      const seriesRows = backtest.results[0].points.map((p, i) => {
+        const row = { date: p.date, ret: p.ret };
+        backtest.results.forEach((b) => {
+          const q = b.points[i];
+          row[`VaR_c${b.conf}`] = q.var;
+          row[`breach_c${b.conf}`] = q.breach ? 1 : 0;
+        });
+        return row;
+      });
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(seriesRows), "Backtest Series");
+    }
+
+    // EVT 平均超额
+    if (meanExcess && meanExcess.data.length) {
+      const meRows = meanExcess.data.map((d) => ({ quantile: d.p, threshold: d.u, meanExcess: d.e, exceedances: d.n }));
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(meRows), "EVT Mean Excess");
+    }
+
+    // 压力 VaR：每个 (方法, c, 指标, T) 一行，当前 / 压力并列
+    if (stressed) {
+      const stressRows = stressed.rows.flatMap((r) =>
+        stressed.Ts.map((T, j) => ({
+          target: stressed.label,
+          method: r.method,
+          conf: r.conf,
+          metric: r.metric,
+          T,
+          current: r.cur[j],
+          stressed: r.stress[j],
+          ratio: r.cur[j] > 0 ? r.stress[j] / r.cur[j] : "",
+          ...(moneyInfo
+            ? {
+                currentMoney: r.cur[j] * moneyInfo.gross,
+                stressedMoney: r.stress[j] * moneyInfo.gross,
+                currency: moneyInfo.ccy,
+              }
+            : {}),
+          stressStart: stressed.start,
+          stressEnd: stressed.end,
+          stressDays: stressed.n,
+          currentStart: stressed.cur.start,
+          currentEnd: stressed.cur.end,
+          windowMode: stressed.mode,
+        }))
+      );
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(stressRows), "Stressed VaR");
+    }
+
+    // 情景压力测试：每个情景逐品种一行，末行为组合合计
+    if (scenarioRes) {
+      const scRows = scenarioRes.results.flatMap((res) => [
+        ...res.rows.map((x) => ({
+          scenario: res.name,
+          symbol: x.id,
+          source: x.source === "given" ? "given" : "implied",
+          input: x.input,
+          priceMove: x.move,
+          sigmaMult: x.sigmaMult,
+          weight: Number.isFinite(x.w) ? x.w : "",
+          pnl: Number.isFinite(x.pnl) ? x.pnl : "",
+          ...(scenarioRes.ccy ? { pnlMoney: Number.isFinite(x.money) ? x.money : "", currency: scenarioRes.ccy } : {}),
+        })),
+        {
+          scenario: res.name,
+          symbol: "TOTAL",
+          source: "",
+          input: "",
+          priceMove: "",
+          sigmaMult: res.pnl / res.sigmaP,
+          weight: "",
+          pnl: res.pnl,
+          ...(scenarioRes.ccy ? { pnlMoney: res.money, currency: scenarioRes.ccy } : {}),
+          warnings: res.warnings.join("; "),
+        },
+      ]);
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(scRows), "Scenarios");
+    }
+
+    // VaR Decomposition
+    if (decomp.length) {
+      const decompRows = decomp.flatMap((d) =>
+        d.rows.map((r) => ({
+          method: d.method,
+          conf: d.conf,
+          T: d.T,
+          symbol: r.id,
+          weight: r.weight,
+          marginalVaR: r.marginal,
+          componentVaR: r.component,
+          componentPct: r.pct,
+          incrementalVaR: r.incremental,
+          componentES: r.componentEs ?? "",
+          ...(moneyInfo
+            ? {
+                componentVaRMoney: r.component * moneyInfo.gross,
+                incrementalVaRMoney: r.incremental * moneyInfo.gross,
+                currency: moneyInfo.ccy,
+              }
+            : {}),
+        }))
+      );
+      XLSX.utils.book_append_sheet(wb, XLSX.utils.json_to_sheet(decompRows), "VaR Decomposition");
+    }
+
     // Prices
     const wsPrices = XLSX.utils.json_to_sheet(priceSeries || []);
     XLSX.utils.book_append_sheet(wb, wsPrices, "Prices(last w days)");
@@ -1270,38 +3127,487 @@ export default function App() {
     setSummary("");
     setPriceSeries([]);
     setPriceSeriesIds([]);
+    setRollingVar(null);
+    setBacktest(null);
+    setDecomp([]);
+    setDecompIdx(0);
+    setMeanExcess(null);
+    setStressed(null);
+    setScenarioRes(null);
+    setMoneyInfo(null);
+    setPartial(false);
+
+    const ctrl = new AbortController();
+    cancelRef.current = ctrl;
 
     const confs = [conf1, conf2];
     const Ts = [T1, T2, T3];
 
+    // 参数法波动率口径：等权窗口 / EWMA
+    const vol = { model: volModel, lambda: ewmaLambda };
+    const volTxt =
+      volModel === "ewma"
+        ? `EWMA(λ=${ewmaLambda}, 半衰期=${ewmaHalfLife(ewmaLambda).toFixed(1)}日)`
+        : volModel === "garch"
+        ? "GARCH(1,1) 全样本 MLE"
+        : `等权窗口(w=${window})`;
+    const fmtGarch = (g) =>
+      `ω=${g.omega.toExponential(3)}, α=${g.alpha.toFixed(4)}, β=${g.beta.toFixed(4)}` +
+      ` | α+β=${g.persistence.toFixed(4)} | 长期σ=${g.longRunSigma.toFixed(6)}` +
+      ` | 当前条件σ(次日)=${g.sigma.toFixed(6)} | logL=${g.ll.toFixed(2)} | n=${g.n}`;
+    const copulaTxt = `${COPULA_FAMILY_LABEL[copulaFamily]} + ${COPULA_MARGINAL_LABEL[copulaMarginal]}`;
+    const mcLabel =
+      mcMethod === "copula"
+        ? `Copula（${copulaTxt}）`
+        : mcUsesBoot && bootScheme !== "iid"
+        ? `Bootstrap（${BOOT_SCHEME_LABEL[bootScheme]}）`
+        : MC_METHOD_LABEL[mcMethod] || mcMethod;
+    const blockLen = blockLenText.trim() === "" ? 0 : Number(blockLenText.trim());
+    // FHS 需要全历史拟合 GARCH，其余 MC 方法仍用最近 w 日
+    const mcScopeTxt = mcMethod === "fhs" ? "全历史GARCH过滤" : `最近${window}日`;
+
+    // 随机种子：留空时自动抽取，并在摘要中写出，保证任何结果都可复算
+    const seedAuto = seedText.trim() === "";
+    const seed = seedAuto ? Math.floor(Math.random() * (SEED_MAX + 1)) : Number(seedText.trim());
+
+    // MC 计算引擎：auto 先探测后端，不可达时改用浏览器内 Worker
+    let useLocal = mcEngine === "local";
+    let local = null;
+    ctrl.signal.addEventListener("abort", () => local?.terminate());
+    if (mcEngine === "auto") {
+      setProgressText("检测后端…");
+      useLocal = !(await backendReachable());
+    }
+
     let lines = [];
     let rows = [];
     lines.push(
       `共用参数： c1=${conf1.toFixed(3)}, c2=${conf2.toFixed(
         3
-      )} | T1/T2/T3=${T1}/${T2}/${T3} 交易日 | σ窗口=${window}日`
+      )} | T1/T2/T3=${T1}/${T2}/${T3} 交易日 | σ窗口=${window}日` +
+        ` | 参数法波动率=${volTxt} | 历史模拟=${HIST_AGG_LABEL[histAgg]}` +
+        ` | 修正 VaR=${cfOn ? "开" : "关"} | EVT=${evtOn ? `开(阈值分位 ${evtThreshold})` : "关"}` +
+        ` | 参数 t=${tParam ? "开" : "关"}${tUsesDist ? ` | t 形态=${T_DIST_LABEL[tDist]}` : ""} | z 口径=${legacyZ ? "旧版(1.645/2.33)" : "精确 Φ⁻¹"}`
     );
     lines.push(
-      `Monte Carlo：方法=${
-        mcMethod === "t_mc" ? "t-MC" : mcMethod === "normal" ? "Normal MC" : "Bootstrap"
-      } | K=${sims}${mcMethod === "t_mc" ? ` | ν_max=${dfMax}` : ""} | 口径=最近${window}日`
+      `Monte Carlo：方法=${mcLabel} | K=${sims}${
+        mcUsesNu ? ` | ν_max=${dfMax}` : ""
+      } | 种子=${seed}${seedAuto ? "（自动）" : ""} | 口径=${mcScopeTxt} | 引擎=${MC_ENGINE_LABEL[useLocal ? "local" : "backend"]}` +
+        (useLocal ? `×${LOCAL_THREADS}` : "") +
+        (mcEngine === "auto" && useLocal ? "（后端不可达，自动切换）" : "")
     );
     lines.push("");
 
-    const callWorkerSingle = async (r, conf, T) => {
-      const resp = await fetch("/api/mcSingle", {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({ r, conf, T, sims, method: mcMethod, dfMax }),
+    // 持仓口径下的金额换算基数 { gross, ccy }（总名义 Σ|N_i|），权重口径为 null
+    let money = null;
+
+    // 文本摘要：一行列出各 T 的数值（小数 + 百分比，持仓口径附金额）
+    const fmtTLine = (vals) =>
+      Ts.map(
+        (T, i) =>
+          `T=${T}: ${vals[i].toFixed(6)} (${(vals[i] * 100).toFixed(3)}%` +
+          (money ? ` ≈ ${fmtMoney(vals[i] * money.gross, money.ccy)}` : "") +
+          ")"
+      ).join(" | ");
+    const moneyCols = (vals) =>
+      money
+        ? {
+            m1: fmtMoney(vals[0] * money.gross, money.ccy),
+            m2: fmtMoney(vals[1] * money.gross, money.ccy),
+            m3: fmtMoney(vals[2] * money.gross, money.ccy),
+          }
+        : {};
+
+    // 每个 (方法, c) 输出一对行：VaR 与 ES（ES 行在参数细节中附口径说明）
+    // mcErr（可选，见 mcErrorInfo）：MC 行在参数细节中分别附 VaR / ES 的 95% 区间与 SE
+    const pushVarEsRows = (method, c, extra, vList, esList, esNote, mcErr) => {
+      rows.push({
+        method,
+        conf: c.toFixed(3),
+        metric: "VaR",
+        extra: mcErr ? `${extra} | ${mcErr.var.txt}` : extra,
+        v1: fmtPct2(vList[0]),
+        v2: fmtPct2(vList[1]),
+        v3: fmtPct2(vList[2]),
+        ...moneyCols(vList),
       });
+      rows.push({
+        method,
+        conf: c.toFixed(3),
+        metric: "ES",
+        extra: `${extra} | ${esNote}` + (mcErr ? ` | ${mcErr.es.txt}` : ""),
+        v1: fmtPct2(esList[0]),
+        v2: fmtPct2(esList[1]),
+        v3: fmtPct2(esList[2]),
+        ...moneyCols(esList),
+      });
+    };
+
+    // MC 抽样误差：cells 为同一 c 下各 T 的批量结果；95% 区间半宽 / 点估计 > mcTol 时标记
+    const fmtPct3 = (v) => (Number.isFinite(v) ? `${(v * 100).toFixed(3)}%` : "—");
+    const mcErrorInfo = (cells) => {
+      const part = (key) => {
+        const ciOf = (g) => g[`${key}Ci`];
+        const wide = cells
+          .filter((g) => ciOf(g) && g[key] > 0 && (ciOf(g)[1] - ciOf(g)[0]) / 2 / g[key] > mcTol)
+          .map((g) => g.T);
+        const txt =
+          "95%CI " +
+          cells.map((g) => `T=${g.T}:${ciOf(g) ? `[${fmtPct3(ciOf(g)[0])}, ${fmtPct3(ciOf(g)[1])}]` : "—"}`).join(" ") +
+          " | SE " +
+          cells.map((g) => fmtPct3(g[`${key}Se`] ?? NaN)).join("/") +
+          (key === "var" && cells.some((g) => "vrFactor" in g)
+            ? " | 方差缩减 " + cells.map((g) => (Number.isFinite(g.vrFactor) ? `×${g.vrFactor.toFixed(1)}` : "—")).join("/")
+            : "") +
+          (wide.length ? ` | ⚠ 半宽>${(mcTol * 100).toFixed(1)}%（T=${wide.join(",")}）` : "");
+        return { txt, wide };
+      };
+      return { var: part("var"), es: part("es") };
+    };
+    const pushMcErrorLines = (err) => {
+      lines.push(`    VaR ${err.var.txt}`);
+      lines.push(`    ES  ${err.es.txt}`);
+      if (err.var.wide.length || err.es.wide.length) {
+        lines.push(
+          `    ⚠ MC 抽样误差偏大：95% 区间半宽超过点估计的 ${(mcTol * 100).toFixed(1)}%，建议提高 K`
+        );
+      }
+    };
+
+    // 滚动 VaR：series=[{date, r}]，对每个 c 逐日滚动 1 日 VaR；开启回测时在同一序列上做覆盖检验
+    const runRolling = (series, label) => {
+      const pointsByConf = confs.map((c) =>
+        rollingVarSeries(series, c, window, rollMethod, vol, legacyZ, { dfMax, skew: tDist === "skewt" })
+      );
+      setRollingVar({
+        label,
+        method: rollMethod,
+        window,
+        confs,
+        data: pointsByConf[0].map((p, i) => ({
+          date: p.date,
+          ret: p.ret,
+          ...Object.fromEntries(pointsByConf.map((pts, k) => [`v${k}`, pts[i].var])),
+        })),
+      });
+      if (!btEnabled) return;
+
+      const results = confs.map((c, k) => backtestVar(pointsByConf[k], c, btDays));
+      lines.push(
+        `\n— VaR 回测（${ROLLING_METHOD_LABEL[rollMethod]}，1日，滚动窗口 w=${window}，` +
+          `${btDays > 0 ? `最近${btDays}日` : "全样本"}）—`
+      );
+      for (const b of results) {
+        lines.push(
+          `  c=${b.conf.toFixed(3)} | N=${b.N} | 突破=${b.x}（期望 ${b.expected.toFixed(1)}，突破率 ${fmtPct2(b.rate)}）` +
+            ` | Kupiec LR=${b.kupiec.lr.toFixed(3)} p=${b.kupiec.p.toFixed(4)}` +
+            ` | 独立性 LR=${b.ind.lr.toFixed(3)} p=${b.ind.p.toFixed(4)}` +
+            ` | 条件覆盖 LR=${b.cc.lr.toFixed(3)} p=${b.cc.p.toFixed(4)}` +
+            ` | Basel=${BASEL_ZONE_LABEL[b.basel.zone]}`
+        );
+      }
+      if (results[0].N === 0) {
+        lines.push(`  ⚠ 有效样本不足 w+1=${window + 1} 日，无法回测`);
+      }
+      setBacktest({ label, method: rollMethod, window, results });
+      setBtConfIdx(results.length - 1);
+    };
+
+    // 后端请求失败（网络层）且引擎为 auto 时，后续请求全部改走本地 Worker
+    // 进度：后端按已完成路径数流式回报，本地按已完成块数回报；ETA = 已用时 × 剩余 / 已完成
+    // toLocal 在真正走本地时补齐 Worker 额外需要的输入（含请求中途回退的情形）
+    const postMC = async (url, task, body, label, toLocal = (b) => b) => {
+      if (ctrl.signal.aborted) throw new CalcCancelled();
+      const t0 = performance.now();
+      const report = (unit) => (done, total) =>
+        setMcProgress({ label, done, total, unit, elapsedMs: performance.now() - t0 });
+      setMcProgress({ label, done: 0, total: 0, unit: "", elapsedMs: 0 });
+      if (!useLocal) {
+        try {
+          const resp = await fetch(url, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ ...body, stream: true }),
+            signal: ctrl.signal,
+          });
+
+          if (!resp.ok) {
+            let error = `HTTP ${resp.status}`;
+            try {
+              const j = await resp.json();
+              if (j?.error) error += `：${j.error}`;
+            } catch (_) {}
+            return { ok: false, error };
+          }
+          return await readNdjson(resp, report("条路径"));
+        } catch (err) {
+          if (ctrl.signal.aborted) throw new CalcCancelled();
+          if (mcEngine !== "auto") return { ok: false, error: `后端不可达：${err.message}` };
+          useLocal = true;
+          lines.push(`⚠ 后端请求失败（${err.message}），其余 MC 改用${MC_ENGINE_LABEL.local}`);
+        }
+      }
+      local ??= createLocalEngine();
+      const onChunk = report("块");
+      const out = await local.run(task, toLocal(body), (done, total) => {
+        setProgressText(`${label}（本地 ${local.size} 线程）`);
+        onChunk(done, total);
+      });
+      if (ctrl.signal.aborted) throw new CalcCancelled();
+      return out;
+    };
+
+    // 批量 MC：一次请求覆盖 confs × Ts，返回 grid[i][j] 对应 (confs[i], Ts[j])
+    const batchLabel = `${confs.length} 个置信水平 × ${Ts.length} 个期限`;
+    const callSingleBatch = (r) => {
+      const body = { r, confs, Ts, sims, method: mcMethod, dfMax, seed };
+      if (mcUsesVr) body.vr = mcVr;
+      if (mcMethod === "t_mc") body.tDist = tDist;
+      if (mcUsesBoot && bootScheme !== "iid") Object.assign(body, { boot: bootScheme, blockLen });
+      // FHS：后端自行拟合 GARCH，本地 Worker 需要前端拟合好的参数与标准化残差
+      const toLocal = (b) => (mcMethod === "fhs" ? { ...b, garch: garchPayload(r) } : b);
+      return postMC("/api/mcBatch", "mcSingle", body, `MC 批量（${batchLabel}）`, toLocal);
+    };
+
+    // 组合多元 MC：R 为 n×m 对齐收益矩阵，w 为与列对应的权重
+    const callPortfolioBatch = (R, w) =>
+      postMC(
+        "/api/mcBatch",
+        "mcPortfolio",
+        {
+          R, w, confs, Ts, sims, method: mcMethod, dfMax, seed,
+          copula: copulaFamily,
+          marginal: copulaMarginal,
+        },
+        `组合 MC 批量（${batchLabel}）`
+      );
+
+    const fmtBatchDiag = (d) =>
+      `  批量模拟：参数拟合 1 次，${Ts.length} 个期限共享日度抽样（T_max=${d.tMax}）` +
+      ` | n=${d.n} | ${d.chunks} 块 | 拟合 ${d.fitMs}ms · 模拟 ${d.simMs}ms · 合计 ${d.totalMs}ms`;
+    const fmtVrDiag = (d) =>
+      `  方差缩减：${MC_VR_LABEL[d.vr]}` +
+      (d.vr === "is" ? ` | 逐日均值平移 θ=${d.isTheta.toFixed(4)}σ` : "") +
+      ` | SE 取 ${MC_VR_BATCHES} 批批均值 | 缩减倍数 = 同 K 普通 MC 的 VaR 方差 / 实际方差`;
+    const fmtFhsFit = (g) =>
+      `  GARCH(1,1)：ω=${g.omega.toExponential(3)}, α=${g.alpha.toFixed(4)}, β=${g.beta.toFixed(4)} | 当前条件σ(次日)=${g.sigma.toFixed(6)}`;
+    // Cornish-Fisher 矩估计摘要；非单调时给出提示
+    const fmtMoments = (mom) =>
+      `偏度 S=${mom.skew.toFixed(3)}(±${mom.seSkew.toFixed(3)}) | 超额峰度 K=${mom.exKurt.toFixed(3)}(±${mom.seKurt.toFixed(3)})`;
+    const CF_NON_MONO_WARN = "  ⚠ 在当前 (S, K) 下 Cornish-Fisher 展开非单调，分位数可能倒挂（偏度/峰度过大），修正 VaR 仅供参考";
+
+    // EVT 尾部：全历史损失上的 POT-GPD；n 为样本日数，返回 null 时说明超额样本不足
+    const runEvt = (r, name, label, extraTail) => {
+      const fit = fitEvtTail(r, evtThreshold);
+      lines.push(`— EVT（POT-GPD 尾部）VaR / ES（全历史 ${r.length} 日，阈值 = 损失的 ${evtThreshold} 分位，√T 放大）—`);
+      setMeanExcess({ label, pu: evtThreshold, u: fit ? fit.u : NaN, data: meanExcessSeries(r) });
+      if (!fit) {
+        lines.push(`  ⚠ 超过阈值的样本少于 ${EVT_MIN_EXCEED} 个，未拟合；请降低阈值分位或使用更长的历史`);
+        return;
+      }
+      const pm = (v, se, d) => `${v.toFixed(d)}(±${Number.isFinite(se) ? se.toFixed(d) : "—"})`;
+      const fitTxt = `u=${fmtPct2(fit.u)} | N_u=${fit.nu}/${fit.n} | ξ=${pm(fit.xi, fit.seXi, 4)} | β=${pm(fit.beta, fit.seBeta, 6)}`;
+      lines.push(`  GPD：${fitTxt} | logL=${fit.ll.toFixed(2)}`);
+      if (fit.xi >= 1) lines.push(`  ⚠ ξ ≥ 1：GPD 尾部均值不存在，ES 无法给出`);
+      for (const c of confs) {
+        const out = Ts.map((T) => evtVarEs(fit, c, T));
+        const vList = out.map((o) => o.var);
+        const esList = out.map((o) => o.es);
+        lines.push(`  c=${c.toFixed(3)} | ` + fmtTLine(vList));
+        lines.push(`    ES | ` + fmtTLine(esList));
+        if (!(c > evtThreshold)) lines.push(`    ⚠ c 不高于阈值分位 ${evtThreshold}，VaR 不在 GPD 尾部内，未给出结果`);
+        pushVarEsRows(name, c, `${fitTxt}${extraTail}`, vList, esList, "ES=(VaR₁+β-ξu)/(1-ξ)·√T");
+      }
+      lines.push("");
+    };
+
+    // t 连续 MLE 拟合：估计值(±标准误)，ν 落在搜索边界时无标准误
+    const fmtTFit = (g) => {
+      const pm = (v, se, d) => `${v.toFixed(d)}(±${Number.isFinite(se) ? se.toFixed(d) : "—"})`;
+      return (
+        `  ${T_DIST_LABEL[g.skew ? "skewt" : "t"]} MLE（n=${g.n}）：μ=${pm(g.mu, g.se.mu, 6)}, σ=${pm(g.sigma, g.se.sigma, 6)}, ν=${pm(g.nu, g.se.nu, 2)}` +
+        (g.skew ? `, λ=${pm(g.lam, g.se.lam, 3)}` : "") +
+        ` | logL=${g.ll.toFixed(2)}, AIC=${g.aic.toFixed(2)}`
+      );
+    };
 
-      if (!resp.ok) {
-        return { ok: false, error: `HTTP ${resp.status}` };
+    // 压力 VaR：series=[{date, r}] 为全历史，当前窗口取最近 window 日，压力窗口按日期区间或自动搜索
+    // 闭式方法在两段上分别重新校准；mcStress(lo, hi) 在压力段 [lo, hi) 上重跑 MC 批量（null 表示不参与），mcCur 为主计算的 MC 结果
+    const runStressed = async (series, label, mcName, mcCur, mcStress) => {
+      if (stressMode === "off") return;
+      const r = series.map((p) => p.r);
+      let lo = 0;
+      let hi = 0;
+      let critVar = NaN;
+      if (stressMode === "auto") {
+        const found = worstVarWindow(r, stressLen, confs[0]);
+        if (found) ({ lo, hi, var: critVar } = found);
+      } else {
+        lo = series.findIndex((p) => p.date >= stressStart);
+        if (lo < 0) lo = series.length;
+        hi = lo;
+        while (hi < series.length && series[hi].date <= stressEnd) hi++;
+      }
+      lines.push(
+        `\n— 压力 VaR（${label}，` +
+          (stressMode === "auto"
+            ? `自动选窗：1日历史模拟 VaR(c=${confs[0].toFixed(3)}) 最大的 ${stressLen} 日窗口`
+            : `指定区间 ${stressStart} ~ ${stressEnd}`) +
+          "）—"
+      );
+      if (stressMode === "auto" && hi === 0) {
+        lines.push(`  ⚠ 有效收益仅 ${r.length} 日，不足窗口长度 ${stressLen}，未计算`, "");
+        return;
+      }
+      if (hi - lo < STRESS_MIN_OBS) {
+        lines.push(`  ⚠ 区间内有效收益仅 ${hi - lo} 日（至少 ${STRESS_MIN_OBS} 日），未计算`, "");
+        return;
+      }
+
+      const cLo = Math.max(0, r.length - window);
+      const opts = { legacyZ, tParam, tDist, dfMax, cfOn, histAgg };
+      const stressTab = windowVarTable(r.slice(lo, hi), confs, Ts, opts);
+      const methods = windowVarTable(r.slice(cLo), confs, Ts, opts).map((m, k) => ({
+        name: STRESS_METHOD_LABEL[m.method],
+        cur: m.cells,
+        stress: stressTab[k].cells,
+      }));
+      if (mcStress) {
+        setProgressText(`压力窗口 MC 批量计算中：${batchLabel} …`);
+        const out = await mcStress(lo, hi);
+        if (out.ok) methods.push({ name: mcName, cur: mcCur, stress: out.grid });
+        else lines.push(`  ⚠ 压力窗口 MC 失败：${out.error}`);
+      }
+
+      const win = { start: series[lo].date, end: series[hi - 1].date, n: hi - lo };
+      const cur = { start: series[cLo].date, end: series[r.length - 1].date, n: r.length - cLo };
+      lines.push(
+        `  压力窗口：${win.start} ~ ${win.end}（${win.n} 日）` +
+          (Number.isFinite(critVar) ? ` | 1日历史模拟 VaR=${fmtPct2(critVar)}` : "")
+      );
+      lines.push(`  当前窗口：${cur.start} ~ ${cur.end}（最近 ${cur.n} 日）| 闭式方法 σ 取窗口内等权标准差，形状参数在各窗口内重估`);
+      const stressRows = [];
+      for (const m of methods) {
+        confs.forEach((c, i) => {
+          for (const [metric, key] of [["VaR", "var"], ["ES", "es"]]) {
+            const curV = m.cur[i].map((g) => g[key] ?? NaN);
+            const stV = m.stress[i].map((g) => g[key] ?? NaN);
+            stressRows.push({ method: m.name, conf: c, metric, cur: curV, stress: stV });
+            lines.push(
+              `  ${m.name} c=${c.toFixed(3)} ${metric} 当前 → 压力 | ` +
+                Ts.map((T, j) => {
+                  const x = curV[j] > 0 ? stV[j] / curV[j] : NaN;
+                  return `T=${T}: ${fmtPct2(curV[j])} → ${fmtPct2(stV[j])}` + (Number.isFinite(x) ? `（×${x.toFixed(2)}）` : "");
+                }).join(" | ")
+            );
+          }
+        });
+      }
+      lines.push("");
+      setStressed({ label, mode: stressMode, ...win, critVar, cur, Ts, rows: stressRows });
+    };
+
+    // 情景解析：数值统一 toNumber，非法输入直接报错并指明情景
+    const parseScenarios = () =>
+      scenarios.map((sc, k) => {
+        const name = String(sc.name ?? "").trim() || `情景 ${k + 1}`;
+        const fail = (msg) => {
+          throw new Error(`情景「${name}」：${msg}`);
+        };
+        const shocks = sc.shocks
+          .filter((s) => s.sym)
+          .map((s) => {
+            const value = toNumber(s.value);
+            if (!Number.isFinite(value)) fail(`${s.sym} 的冲击为空或非数字`);
+            if (s.unit === "pct" && !(value > -100)) fail(`${s.sym} 的跌幅须小于 100%`);
+            return { sym: s.sym, value, unit: s.unit };
+          });
+        if (!shocks.length) fail("至少需要给一个品种设置冲击");
+        if (new Set(shocks.map((s) => s.sym)).size < shocks.length) fail("同一品种重复设置了冲击");
+        const corr = (sc.corr || [])
+          .filter((o) => o.a && o.b)
+          .map((o) => {
+            const rho = toNumber(o.rho);
+            if (o.a === o.b) fail(`相关覆盖 ${o.a}-${o.b} 须为两个不同品种`);
+            if (!(Math.abs(rho) <= 1)) fail(`相关覆盖 ${o.a}-${o.b} 的 ρ 须在 [-1, 1] 内`);
+            return { a: o.a, b: o.b, rho };
+          });
+        return { name, shocks, corr };
+      });
+    let scenarioList = [];
+
+    // 情景压力测试：legs=[{ id, w, notional }] 为当前头寸；σ 同参数法口径，相关取全部对齐历史（同正态参数组合法）
+    // 情景涉及但未持仓的品种也纳入协方差，以便把冲击传导到持仓腿
+    const runScenarios = (legs, label) => {
+      if (!scenarioList.length) return;
+      const shocked = scenarioList.flatMap((sc) => sc.shocks.map((s) => s.sym)).filter((id) => groupedAll[id]);
+      const universe = [...new Set([...legs.map((l) => l.id), ...shocked])];
+      const wide = alignedWideReturns(Object.fromEntries(universe.map((id) => [id, groupedAll[id]]))).filter((row) =>
+        universe.every((id) => Number.isFinite(row[id]))
+      );
+      lines.push(`\n— 情景压力测试（${label}，${volTxt}，相关取 ${wide.length} 日对齐样本）—`);
+      if (universe.length > 1 && wide.length < 2) {
+        lines.push("  ⚠ 持仓与情景品种的对齐交集日期不足，无法估计相关，未计算", "");
+        return;
       }
-      return resp.json();
+      const sigmas = universe.map((id) => sigmaEstimate(groupedAll[id].map((x) => x.logRet), window, vol));
+      const corr =
+        universe.length === 1
+          ? [[1]]
+          : vol.model === "ewma"
+          ? ewmaCorrMatrix(wide, universe, vol.lambda)
+          : corrMatrix(wide, universe);
+      const results = scenarioList.map((sc) => evalScenario(sc, legs, universe, sigmas, corr));
+      for (const res of results) {
+        lines.push(
+          `  [${res.name}] 组合损益 ${fmtPct2(res.pnl)}` +
+            (Number.isFinite(res.money) ? `（≈ ${fmtMoney(res.money, money.ccy)}）` : "") +
+            ` | 相当于 ${(res.pnl / res.sigmaP).toFixed(2)} 倍 1日组合 σ`
+        );
+        lines.push(
+          "    " +
+            res.rows
+              .map(
+                (x) =>
+                  `${x.id} ${fmtPct2(x.move)}` +
+                  (x.source === "given" ? `（给定 ${x.input}）` : "（相关传导）") +
+                  (Number.isFinite(x.w) ? ` → 损益 ${fmtPct2(x.pnl)}` : "（未持仓）")
+              )
+              .join(" | ")
+        );
+        res.warnings.forEach((w) => lines.push(`    ⚠ ${w}`));
+      }
+      lines.push("");
+      setScenarioRes({ label, n: wide.length, ccy: money?.ccy ?? null, results });
     };
 
     try {
+      if (!(Number.isInteger(seed) && seed >= 0 && seed <= SEED_MAX)) {
+        throw new Error(`随机种子须为 0 ~ ${SEED_MAX} 的整数（留空则自动）`);
+      }
+      if (volModel === "ewma" && !(ewmaLambda > 0 && ewmaLambda < 1)) {
+        throw new Error("EWMA λ 必须在 (0, 1) 内");
+      }
+      if (mcUsesBoot && bootScheme !== "iid" && !(blockLen >= 0 && Number.isFinite(blockLen))) {
+        throw new Error("块长度须为 ≥0 的数（0 或留空 = 自动选择）");
+      }
+      if (evtOn && !(evtThreshold >= 0.5 && evtThreshold < 1)) {
+        throw new Error("EVT 阈值分位须在 [0.5, 1) 内");
+      }
+      if (stressMode === "manual" && !(stressStart && stressEnd && stressStart <= stressEnd)) {
+        throw new Error("压力窗口的起止日期无效（起始日须不晚于结束日）");
+      }
+      if (stressMode === "auto" && !(Number.isInteger(stressLen) && stressLen >= STRESS_MIN_OBS)) {
+        throw new Error(`压力窗口长度须为不小于 ${STRESS_MIN_OBS} 的整数`);
+      }
+      if (scenarioOn) {
+        scenarioList = parseScenarios();
+        if (!scenarioList.length) throw new Error("情景压力测试已开启，但尚未定义任何情景");
+      }
+      if (mcMethod === "copula" && mode !== "portfolio") {
+        throw new Error("Copula MC 仅适用于组合模式，单品种请选择其他 MC 方法");
+      }
+
       if (mode === "single") {
         // singleId 为空/失效时，兜底取第一个可用品种
         const cid =
@@ -1312,7 +3618,15 @@ export default function App() {
         if (!cid || !groupedAll[cid]) {
           throw new Error("单品种未选择或该品种无有效数据");
         }
-        const sub = groupedAll[cid];
+        // 持仓口径：空头的损益与价格收益反向，直接对收益取负后沿用同一套计算
+        const book = sizing === "position" ? parsePositions([cid]) : null;
+        if (book && book.legs[0].lots === 0) throw new Error("单品种持仓手数不能为 0");
+        const side = book && book.legs[0].lots < 0 ? -1 : 1;
+        const sub =
+          side < 0
+            ? groupedAll[cid].map((x) => ({ ...x, logRet: -x.logRet }))
+            : groupedAll[cid];
+        if (book) money = { gross: book.gross, ccy: baseCcy };
         const rAll = sub.map((x) => x.logRet).filter(Number.isFinite);
 
         const rMC = rAll.length > window ? rAll.slice(-window) : rAll;
@@ -1324,76 +3638,194 @@ export default function App() {
         const { mu: muW_raw, sigma: sigmaW } = meanStd(rMC);
         const muW = 0;
         const sigmaLatest = latestSigmaRolling(rAll, window);
+        const sigmaParam = sigmaEstimate(rAll, window, vol);
+        const garchFit = volModel === "garch" ? fitGarch11(rAll) : null;
+        const sigmaParamTxt =
+          volModel === "ewma"
+            ? `σ_ewma=${sigmaParam.toFixed(6)} | λ=${ewmaLambda}`
+            : volModel === "garch"
+            ? garchFit
+              ? `σ_t+1=${garchFit.sigma.toFixed(6)} | α=${garchFit.alpha.toFixed(4)} | β=${garchFit.beta.toFixed(4)}`
+              : rAll.filter(Number.isFinite).length < GARCH_MIN_OBS
+              ? "GARCH 样本不足"
+              : "GARCH 拟合失败"
+            : `σ_w=${sigmaLatest.toFixed(6)} | window=${window}`;
 
         lines.push(`[单品种] ${cid}${idToName[cid] ? `（${idToName[cid]}）` : ""}`);
+        if (book) {
+          lines.push(`持仓：${fmtPositionLeg(book.legs[0])}`);
+          lines.push(
+            `  金额口径：VaR/ES 金额 = 百分比 × |N|（${fmtMoney(book.gross, baseCcy)}）` +
+              (side < 0 ? "；空头按收益取负计算（上涨为亏损）" : "")
+          );
+        }
         lines.push(
           `MC口径(最近${window}日)：μ=0, σ_w=${sigmaW.toFixed(6)}`
         );
-        lines.push(`最新 σ_w(窗口) = ${sigmaLatest.toFixed(6)}\n`);
-        
-        // 正态参数
-        lines.push("— 正态参数 VaR（收益率口径）—");
-        for (const c of confs) {
-          const z = zFromConf(c);
-          const vList = Ts.map((T) => normalVarSingle(rAll, c, T, window).var);
+        lines.push(`最新 σ_w(窗口) = ${sigmaLatest.toFixed(6)}`);
+        if (volModel === "ewma") {
           lines.push(
-            `  c=${c.toFixed(3)}(z=${z.toFixed(3)}) | ` +
-              Ts.map(
-                (T, i) =>
-                  `T=${T}: ${vList[i].toFixed(6)} (${(vList[i] * 100).toFixed(
-                    3
-                  )}%)`
-              ).join(" | ")
+            `最新 σ_ewma = ${sigmaParam.toFixed(6)}（λ=${ewmaLambda}，半衰期=${ewmaHalfLife(ewmaLambda).toFixed(1)}日）`
+          );
+        }
+        if (volModel === "garch") {
+          lines.push(
+            garchFit
+              ? `GARCH(1,1)：${fmtGarch(garchFit)}`
+              : `GARCH(1,1)：有效收益不足 ${GARCH_MIN_OBS} 条，无法拟合`
           );
-          rows.push({
-            method: `正态参数法（${cid}）`,
-            conf: c.toFixed(3),
-            extra: `z=${z.toFixed(3)} | σ_w=${sigmaLatest.toFixed(
-              6
-            )} | window=${window}`,
-            v1: fmtPct2(vList[0]),
-            v2: fmtPct2(vList[1]),
-            v3: fmtPct2(vList[2]),
-          });
         }
         lines.push("");
 
-        // MC
-        lines.push(`— 蒙特卡洛 VaR（${mcMethod === "t_mc" ? "t-MC" : mcMethod}；最近${window}日口径）—`);
+        // 正态参数
+        lines.push(`— 正态参数 VaR / ES（收益率口径，${volTxt}）—`);
         for (const c of confs) {
-          const z = zFromConf(c);
-          const vList = [];
-          let nuFit = null;
-
-          for (const T of Ts) {
-            setProgressText(`MC 计算中：c=${c.toFixed(3)} T=${T} …`);
-            const out = await callWorkerSingle(rMC0, c, T);
-            vList.push(out.var);
-            if (mcMethod === "t_mc") nuFit = out.nu ?? out.df ?? nuFit;
+          const z = zFromConf(c, legacyZ);
+          const outS = Ts.map((T) => normalVarSingle(rAll, c, T, window, vol, legacyZ));
+          const vList = outS.map((o) => o.var);
+          const esList = outS.map((o) => o.es);
+          lines.push(`  c=${c.toFixed(3)}(z=${z.toFixed(3)}) | ` + fmtTLine(vList));
+          lines.push(`    ES | ` + fmtTLine(esList));
+          const extra = `z=${z.toFixed(3)} | ${sigmaParamTxt}`;
+          pushVarEsRows(
+            `${volModel === "garch" ? "GARCH 参数法" : "正态参数法"}（${cid}）`,
+            c,
+            extra,
+            vList,
+            esList,
+            volModel === "garch" ? "σ_T=√ΣE[σ²_t+h] | ES=σ_T·φ(z)/(1-c)" : "ES=σ√T·φ(z)/(1-c)"
+          );
+        }
+        lines.push("");
+
+        // 参数 t：ν 在最近 window 日收益上拟合（与 t-MC 同口径），σ 同正态参数法，闭式无需模拟
+        if (tParam) {
+          const fitT = fitTMLE(rMC0, dfMax, tDist === "skewt");
+          const nuT = fitT ? fitT.nu : 5;
+          const lamT = fitT ? fitT.lam : 0;
+          const shapeT = `ν=${nuT.toFixed(2)}` + (tDist === "skewt" ? ` | λ=${lamT.toFixed(3)}` : "");
+          lines.push(`— 参数 t VaR / ES（收益率口径，${volTxt}，${T_DIST_LABEL[tDist]}，${shapeT}，闭式）—`);
+          if (fitT) lines.push(fmtTFit(fitT));
+          for (const c of confs) {
+            const outT = Ts.map((T) => tVarSingle(rAll, c, T, window, vol, nuT, lamT));
+            const vList = outT.map((o) => o.var);
+            const esList = outT.map((o) => o.es);
+            const { tc, q } = outT[0];
+            lines.push(`  c=${c.toFixed(3)}(t_c=${tc.toFixed(3)}, 单位方差分位=${q.toFixed(3)}) | ` + fmtTLine(vList));
+            lines.push(`    ES | ` + fmtTLine(esList));
+            if (!Number.isFinite(q)) lines.push(`    ⚠ 偏 t 的 λ 过大，1-c 超出左支概率 (1-λ)/2，无法给出闭式分位`);
+            pushVarEsRows(
+              `参数 t 法（${cid}）`,
+              c,
+              `${shapeT} | t_c=${tc.toFixed(3)} | q=${q.toFixed(3)} | ${sigmaParamTxt}`,
+              vList,
+              esList,
+              tDist === "skewt" ? "ES=σ√T·(a+(1-λ)s·f_ν(t_P)/P·(ν+t_P²)/(ν-1))/b" : "ES=σ√T·s·f_ν(t_c)/(1-c)·(ν+t_c²)/(ν-1)"
+            );
+          }
+          lines.push("");
+        }
+
+        // 修正 VaR：偏度 / 峰度取最近 window 日收益（与 σ 窗口一致），σ 同正态参数法
+        if (cfOn) {
+          const mom = sampleMoments(rMC0);
+          lines.push(`— 修正 VaR / ES（Cornish-Fisher，收益率口径，${volTxt}）—`);
+          lines.push(`  矩估计（最近 ${mom.n} 日）：${fmtMoments(mom)}`);
+          const mono = cornishFisherFactors(confs[0], mom.skew, mom.exKurt).monotone;
+          if (!mono) lines.push(CF_NON_MONO_WARN);
+          for (const c of confs) {
+            const outC = Ts.map((T) => cfVarSingle(rAll, c, T, window, vol, mom, legacyZ));
+            const vList = outC.map((o) => o.var);
+            const esList = outC.map((o) => o.es);
+            const { z, q } = outC[0];
+            lines.push(`  c=${c.toFixed(3)}(z=${z.toFixed(3)}, z_cf=${q.toFixed(3)}) | ` + fmtTLine(vList));
+            lines.push(`    ES | ` + fmtTLine(esList));
+            pushVarEsRows(
+              `修正 VaR 法（${cid}）`,
+              c,
+              `z=${z.toFixed(3)} | z_cf=${q.toFixed(3)} | S=${mom.skew.toFixed(3)} | K=${mom.exKurt.toFixed(3)} | ${sigmaParamTxt}` +
+                (mono ? "" : " | ⚠非单调"),
+              vList,
+              esList,
+              "ES=σ√T·φ(z)/(1-c)·[1-zS/6+(z²-1)K/24-(2z²-1)S²/36]"
+            );
           }
+          lines.push("");
+        }
+
+        // 历史模拟
+        if (histAgg !== "off") {
+          lines.push(`— 历史模拟 VaR / ES（最近${window}日，${HIST_AGG_LABEL[histAgg]}）—`);
+          for (const c of confs) {
+            const outH = Ts.map((T) => histVarSingle(rAll, c, T, window, histAgg));
+            const vList = outH.map((o) => o.var);
+            const esList = outH.map((o) => o.es);
+            const nTxt = Ts.map((T, i) => `N(T=${T})=${outH[i].n}`).join(", ");
+            lines.push(`  c=${c.toFixed(3)} | ` + fmtTLine(vList) + ` | ${nTxt}`);
+            lines.push(`    ES | ` + fmtTLine(esList));
+            const thin = outH.some((o) => o.n * (1 - c) < 1);
+            if (thin) lines.push(`    ⚠ 样本数 N·(1-c) < 1：分位点落在最差样本上，建议增大 w 或改用重叠口径`);
+            const extra =
+              `${HIST_AGG_LABEL[histAgg]} | ${nTxt} | window=${window}` +
+              (thin ? " | ⚠样本不足" : "");
+            pushVarEsRows(`历史模拟法（${cid}）`, c, extra, vList, esList, "ES=历史尾部(≥VaR)平均损失");
+          }
+          lines.push("");
+        }
+
+        // EVT：需要足够多的超额样本，因此使用全部历史而不只是最近 window 日
+        if (evtOn) runEvt(rAll, `EVT 法（${cid}）`, cid, "");
+
+        // MC
+        const rMCIn =
+          mcMethod === "fhs"
+            ? (() => {
+                const { mu } = meanStd(rAll);
+                return rAll.map((v) => v - mu);
+              })()
+            : rMC0;
+        lines.push(`— 蒙特卡洛 VaR / ES（${mcLabel}；${mcScopeTxt}口径）—`);
+        setProgressText(`MC 批量计算中：${batchLabel} …`);
+        const mcOut = await callSingleBatch(rMCIn);
+        if (!mcOut.ok) throw new Error(`MC 失败：${mcOut.error}`);
+        if (mcOut.diagnostics?.chunks) lines.push(fmtBatchDiag(mcOut.diagnostics));
+        if (mcOut.diagnostics?.vr && mcOut.diagnostics.vr !== "none") lines.push(fmtVrDiag(mcOut.diagnostics));
+        const nuFit = mcMethod === "t_mc" ? mcOut.nu : null;
+        const lamFit = mcOut.tFit?.skew ? mcOut.tFit.lam : null;
+        const fhsFit = mcMethod === "fhs" && mcOut.omega != null ? mcOut : null;
+        if (fhsFit) lines.push(fmtFhsFit(fhsFit));
+        if (mcOut.tFit) lines.push(fmtTFit(mcOut.tFit));
+        const blockTxt = mcOut.boot
+          ? `${BOOT_SCHEME_LABEL[mcOut.boot]}块 | ${mcOut.boot === "stationary" ? "平均块长" : "块长"}=${
+              mcOut.boot === "block" ? Math.round(mcOut.blockLen) : mcOut.blockLen.toFixed(1)
+            }${mcOut.blockAuto ? "（自动）" : ""}`
+          : "";
+        if (blockTxt) lines.push(`  块 Bootstrap：${blockTxt}`);
+        for (const [ci, c] of confs.entries()) {
+          const z = zFromConf(c, legacyZ);
+          const vList = mcOut.grid[ci].map((g) => g.var ?? NaN);
+          const esList = mcOut.grid[ci].map((g) => g.es ?? NaN);
+          const mcErr = mcErrorInfo(mcOut.grid[ci]);
 
           lines.push(
             `  c=${c.toFixed(3)} | ` +
-              Ts.map(
-                (T, i) =>
-                  `T=${T}: ${vList[i].toFixed(6)} (${(vList[i] * 100).toFixed(
-                    3
-                  )}%)`
-              ).join(" | ") +
+              fmtTLine(vList) +
               (mcMethod === "t_mc" && nuFit ? ` | ν=${Number(nuFit).toFixed(3)}` : "")
           );
-
-          rows.push({
-            method: `${mcMethod === "t_mc" ? "t-MC" : "MC " + mcMethod}（${cid}）`,
-            conf: c.toFixed(3),
-            extra:
-              `z=${z.toFixed(3)} | μ=0 | σ_w=${sigmaW.toFixed(6)}` +
-              (mcMethod === "t_mc" && nuFit ? ` | ν=${Number(nuFit).toFixed(3)}` : "") +
-              ` | window=${window} | K=${sims}`,
-            v1: fmtPct2(vList[0]),
-            v2: fmtPct2(vList[1]),
-            v3: fmtPct2(vList[2]),
-          });
+          lines.push(`    ES | ` + fmtTLine(esList));
+          pushMcErrorLines(mcErr);
+
+          const extra =
+            (fhsFit
+              ? `μ=0 | σ_t+1=${fhsFit.sigma.toFixed(6)} | α=${fhsFit.alpha.toFixed(4)} | β=${fhsFit.beta.toFixed(4)} | n=${rMCIn.length}`
+              : `z=${z.toFixed(3)} | μ=0 | σ_w=${sigmaW.toFixed(6)}` +
+                (mcMethod === "t_mc" && nuFit ? ` | ν=${Number(nuFit).toFixed(3)}` : "") +
+                (lamFit != null ? ` | λ=${lamFit.toFixed(3)}` : "") +
+                (blockTxt ? ` | ${blockTxt}` : "") +
+                ` | window=${window}`) +
+            ` | K=${sims} | seed=${seed}` +
+            (mcUsesVr && mcVr !== "none" ? ` | 方差缩减=${MC_VR_LABEL[mcVr]}` : "");
+          pushVarEsRows(`${mcMethod === "t_mc" ? "t-MC" : "MC " + mcMethod}（${cid}）`, c, extra, vList, esList, "ES=尾部(≥VaR)平均损失", mcErr);
         }
 
         // 行情图：最近 window 天
@@ -1413,6 +3845,26 @@ export default function App() {
         setPriceSeriesIds([cid]);
         setPriceSeries(fullSeries.slice(-window));
         setLastCalcMode(mode);
+
+        const retSeries = sub
+          .filter((x) => Number.isFinite(x.logRet))
+          .map((x) => ({ date: x.date.toISOString().slice(0, 10), r: x.logRet }));
+        runRolling(retSeries, cid);
+        // 压力窗口 MC 与主计算同口径：窗口内中心化（FHS 依赖全历史 GARCH，不参与）
+        await runStressed(
+          retSeries,
+          cid,
+          `${mcMethod === "t_mc" ? "t-MC" : "MC " + mcMethod}（${cid}）`,
+          mcOut.grid,
+          mcMethod === "fhs"
+            ? null
+            : (lo, hi) => {
+                const rS = rAll.slice(lo, hi);
+                const { mu } = meanStd(rS);
+                return callSingleBatch(rS.map((v) => v - mu));
+              }
+        );
+        runScenarios([{ id: cid, w: side, notional: book ? book.legs[0].notional : null }], cid);
       } else {
         // ==================== portfolio 模式 ====================
         let ids = portfolioIds;
@@ -1429,7 +3881,9 @@ export default function App() {
         }
 
         const grouped = Object.fromEntries(validIds.map((id) => [id, grouped0[id]]));
-        const weights = parseWeights(validIds);
+        const book = sizing === "position" ? parsePositions(validIds) : null;
+        const weights = book ? book.weights : parseWeights(validIds);
+        if (book) money = { gross: book.gross, ccy: baseCcy };
         ids = validIds;
 
         let wideRaw = alignedWideReturns(grouped);
@@ -1446,41 +3900,172 @@ export default function App() {
 
         lines.push("[多品种组合]");
         lines.push("参与品种： " + ids.join(", "));
-        lines.push("权重（归一化后）： " + wTxt);
+        lines.push("权重（归一化后，Σ|w|=1）： " + wTxt);
+        if (book) {
+          lines.push(`持仓（本币 ${baseCcy}，名义 = 手数 × 乘数 × 最新结算价 × 汇率）：`);
+          book.legs.forEach((l) => lines.push("  " + fmtPositionLeg(l)));
+          lines.push(
+            `  总名义 Σ|N|=${fmtMoney(book.gross, baseCcy)} | 净名义=${fmtMoney(book.net, baseCcy)}` +
+              ` | 百分比均相对总名义，金额 = 百分比 × Σ|N|`
+          );
+        }
+
+        // VaR 分解：每个 (方法, c, T) 一组，按品种列出
+        const decompList = [];
+        const withIds = (list) => list.map((d, i) => ({ id: ids[i], ...d }));
+        const fmtDecompShare = (list) =>
+          list.map((d, i) => `${ids[i]}=${(d.pct * 100).toFixed(1)}%`).join(", ");
 
         // 正态参数组合 VaR
-        lines.push("\n— 正态参数 组合 VaR（收益率口径）—");
+        const paramName = volModel === "garch" ? "GARCH 参数法（组合）" : "正态参数法（组合）";
+        lines.push(`\n— 正态参数 组合 VaR / ES（收益率口径，${volTxt}）—`);
+        if (volModel === "garch") {
+          // CCC：各腿单独拟合 GARCH(1,1)，相关矩阵仍用对齐样本相关
+          ids.forEach((id) => {
+            const rLeg = grouped[id].map((x) => x.logRet);
+            const g = fitGarch11(rLeg);
+            const why =
+              rLeg.filter(Number.isFinite).length < GARCH_MIN_OBS ? `有效收益不足 ${GARCH_MIN_OBS} 条，无法拟合` : "拟合失败";
+            lines.push(`  ${id} GARCH(1,1)：` + (g ? fmtGarch(g) : why));
+          });
+        }
         for (const c of confs) {
           const outP = Ts.map((T) =>
-            normalVarPortfolio(grouped, c, T, window, weights)
+            normalVarPortfolio(grouped, c, T, window, weights, vol, legacyZ)
           );
           const vList = outP.map((o) => o.var);
+          const esList = outP.map((o) => o.es);
           const z = outP[0].z;
           const sigmaP = outP[0].sigmaP;
 
-          lines.push(
-            `  c=${c.toFixed(3)}(z=${z.toFixed(3)}) | ` +
-              Ts.map(
-                (T, i) =>
-                  `T=${T}: ${vList[i].toFixed(6)} (${(vList[i] * 100).toFixed(
-                    3
-                  )}%)`
-              ).join(" | ")
+          lines.push(`  c=${c.toFixed(3)}(z=${z.toFixed(3)}) | ` + fmtTLine(vList));
+          lines.push(`    ES | ` + fmtTLine(esList));
+          // 正态口径下各腿占比与 c、T 无关，只写一次
+          if (c === confs[0]) lines.push(`    成分 VaR 占比 | ` + fmtDecompShare(outP[0].decomp));
+          outP.forEach((o, k) =>
+            decompList.push({ method: paramName, conf: c, T: Ts[k], rows: withIds(o.decomp) })
           );
 
-          rows.push({
-            method: "正态参数法（组合）",
-            conf: c.toFixed(3),
-            extra: `z=${z.toFixed(3)} | σ_p=${sigmaP.toFixed(
-              6
-            )} | window=${window} | w=[${wTxt}]`,
-            v1: fmtPct2(vList[0]),
-            v2: fmtPct2(vList[1]),
-            v3: fmtPct2(vList[2]),
-          });
+          const extra =
+            `z=${z.toFixed(3)} | σ_p=${sigmaP.toFixed(6)} | ` +
+            (volModel === "ewma"
+              ? `EWMA λ=${ewmaLambda}`
+              : volModel === "garch"
+              ? "GARCH(1,1) 各腿"
+              : `window=${window}`) +
+            ` | w=[${wTxt}]`;
+          pushVarEsRows(
+            paramName,
+            c,
+            extra,
+            vList,
+            esList,
+            volModel === "garch" ? "CCC-GARCH | ES=σ_p,T·φ(z)/(1-c)" : "ES=σ_p√T·φ(z)/(1-c)"
+          );
+        }
+
+        // 参数 t 组合：σ_p 同正态参数法，ν 在最近 window 日历史组合收益上拟合
+        if (tParam) {
+          const wArr = ids.map((id) => weights[id]);
+          const rpWin = wideClean
+            .slice(-window)
+            .map((row) => ids.reduce((s, id, i) => s + row[id] * wArr[i], 0));
+          const fitP = fitTMLE(rpWin, dfMax, tDist === "skewt");
+          const nuP = fitP ? fitP.nu : 5;
+          const lamP = fitP ? fitP.lam : 0;
+          const shapeP = `ν=${nuP.toFixed(2)}` + (tDist === "skewt" ? ` | λ=${lamP.toFixed(3)}` : "");
+          const tName = "参数 t 法（组合）";
+          lines.push(`\n— 参数 t 组合 VaR / ES（收益率口径，${volTxt}，${T_DIST_LABEL[tDist]}，${shapeP}，闭式）—`);
+          if (fitP) lines.push(fmtTFit(fitP));
+          for (const c of confs) {
+            const f = tParamFactors(c, nuP, lamP);
+            const outP = Ts.map((T) => normalVarPortfolio(grouped, c, T, window, weights, vol, legacyZ));
+            const vList = outP.map((o, k) => f.q * o.sigmaP * Math.sqrt(Ts[k]));
+            const esList = outP.map((o, k) => f.es * o.sigmaP * Math.sqrt(Ts[k]));
+            lines.push(`  c=${c.toFixed(3)}(t_c=${f.tc.toFixed(3)}, 单位方差分位=${f.q.toFixed(3)}) | ` + fmtTLine(vList));
+            lines.push(`    ES | ` + fmtTLine(esList));
+            outP.forEach((o, k) => {
+              if (!o.corr) return;
+              const d = varDecomposition(o.sigmas, o.corr, wArr, f.q * Math.sqrt(Ts[k]));
+              decompList.push({ method: tName, conf: c, T: Ts[k], rows: withIds(d) });
+            });
+            pushVarEsRows(
+              tName,
+              c,
+              `${shapeP} | t_c=${f.tc.toFixed(3)} | q=${f.q.toFixed(3)} | σ_p=${outP[0].sigmaP.toFixed(6)} | w=[${wTxt}]`,
+              vList,
+              esList,
+              tDist === "skewt" ? "ES=σ_p√T·(a+(1-λ)s·f_ν(t_P)/P·(ν+t_P²)/(ν-1))/b" : "ES=σ_p√T·s·f_ν(t_c)/(1-c)·(ν+t_c²)/(ν-1)"
+            );
+          }
         }
 
-        // 组合 MC：历史组合收益 i.i.d.
+        // 修正 VaR 组合：σ_p 同正态参数法，偏度 / 峰度取最近 window 日历史组合收益
+        if (cfOn) {
+          const wArr = ids.map((id) => weights[id]);
+          const rpWin = wideClean
+            .slice(-window)
+            .map((row) => ids.reduce((s, id, i) => s + row[id] * wArr[i], 0));
+          const mom = sampleMoments(rpWin);
+          const cfName = "修正 VaR 法（组合）";
+          lines.push(`\n— 修正 VaR 组合 VaR / ES（Cornish-Fisher，收益率口径，${volTxt}）—`);
+          lines.push(`  矩估计（最近 ${mom.n} 日组合收益）：${fmtMoments(mom)}`);
+          const mono = cornishFisherFactors(confs[0], mom.skew, mom.exKurt).monotone;
+          if (!mono) lines.push(CF_NON_MONO_WARN);
+          for (const c of confs) {
+            const f = cornishFisherFactors(c, mom.skew, mom.exKurt, legacyZ);
+            const outP = Ts.map((T) => normalVarPortfolio(grouped, c, T, window, weights, vol, legacyZ));
+            const vList = outP.map((o, k) => Math.max(0, f.q * o.sigmaP * Math.sqrt(Ts[k])));
+            const esList = outP.map((o, k) => Math.max(0, f.es * o.sigmaP * Math.sqrt(Ts[k])));
+            lines.push(`  c=${c.toFixed(3)}(z=${f.z.toFixed(3)}, z_cf=${f.q.toFixed(3)}) | ` + fmtTLine(vList));
+            lines.push(`    ES | ` + fmtTLine(esList));
+            outP.forEach((o, k) => {
+              if (!o.corr || !(f.q > 0)) return;
+              const d = varDecomposition(o.sigmas, o.corr, wArr, f.q * Math.sqrt(Ts[k]));
+              decompList.push({ method: cfName, conf: c, T: Ts[k], rows: withIds(d) });
+            });
+            pushVarEsRows(
+              cfName,
+              c,
+              `z=${f.z.toFixed(3)} | z_cf=${f.q.toFixed(3)} | S=${mom.skew.toFixed(3)} | K=${mom.exKurt.toFixed(3)} | σ_p=${outP[0].sigmaP.toFixed(6)} | w=[${wTxt}]` +
+                (mono ? "" : " | ⚠非单调"),
+              vList,
+              esList,
+              "ES=σ_p√T·φ(z)/(1-c)·[1-zS/6+(z²-1)K/24-(2z²-1)S²/36]"
+            );
+          }
+        }
+
+        // 历史模拟组合 VaR：按权重合成历史组合收益后直接读经验分位数
+        if (histAgg !== "off") {
+          lines.push(`\n— 历史模拟 组合 VaR / ES（最近${window}日，${HIST_AGG_LABEL[histAgg]}）—`);
+          for (const c of confs) {
+            const outH = Ts.map((T) =>
+              histVarPortfolio(grouped, c, T, window, weights, histAgg)
+            );
+            const vList = outH.map((o) => o.var);
+            const esList = outH.map((o) => o.es);
+            const nTxt = Ts.map((T, i) => `N(T=${T})=${outH[i].n}`).join(", ");
+            lines.push(`  c=${c.toFixed(3)} | ` + fmtTLine(vList) + ` | ${nTxt}`);
+            lines.push(`    ES | ` + fmtTLine(esList));
+            const thin = outH.some((o) => o.n * (1 - c) < 1);
+            if (thin) lines.push(`    ⚠ 样本数 N·(1-c) < 1：分位点落在最差样本上，建议增大 w 或改用重叠口径`);
+            const extra =
+              `${HIST_AGG_LABEL[histAgg]} | ${nTxt} | window=${window} | w=[${wTxt}]` +
+              (thin ? " | ⚠样本不足" : "");
+            pushVarEsRows("历史模拟法（组合）", c, extra, vList, esList, "ES=历史尾部(≥VaR)平均损失");
+          }
+        }
+
+        // EVT 组合：按当前权重合成全部对齐历史的组合收益
+        if (evtOn) {
+          const wArr = ids.map((id) => weights[id]);
+          const rpAll = wideClean.map((row) => ids.reduce((s, id, i) => s + row[id] * wArr[i], 0));
+          lines.push("");
+          runEvt(rpAll, "EVT 法（组合）", "组合", ` | w=[${wTxt}]`);
+        }
+
+        // 组合 MC：Normal / t-MC / Bootstrap 走多元联合模拟；FHS 仍基于历史组合收益序列
         const wVec = ids.map((id) => weights[id]);
         const rpHist = wideClean
           .map((r) => ids.reduce((s, id, i) => s + r[id] * wVec[i], 0))
@@ -1495,43 +4080,101 @@ export default function App() {
         const { mu: muW_raw, sigma: sigmaW } = meanStd(rpMC);
         const muW = 0;
 
-        lines.push(`\n— 蒙特卡洛 组合 VaR（历史组合收益 i.i.d.，${mcMethod === "t_mc" ? "t-MC" : mcMethod}；最近${window}日口径）—`);
+        const rpMCIn =
+          mcMethod === "fhs"
+            ? (() => {
+                const { mu } = meanStd(rpHist);
+                return rpHist.map((v) => v - mu);
+              })()
+            : rpMC0;
+
+        const multiMC = mcMethod in PORTFOLIO_JOINT_LABEL;
+        const jointTxt = mcMethod === "copula" ? copulaTxt : PORTFOLIO_JOINT_LABEL[mcMethod];
+        // 多元口径：最近 window 日对齐收益矩阵，逐列中心化（μ=0）
+        const RMC0 = (() => {
+          const wideMC = wideClean.length > window ? wideClean.slice(-window) : wideClean;
+          const mus = ids.map((id) => meanStd(wideMC.map((row) => row[id])).mu);
+          return wideMC.map((row) => ids.map((id, i) => row[id] - mus[i]));
+        })();
+
+        lines.push(
+          `\n— 蒙特卡洛 组合 VaR / ES（${
+            multiMC ? `多元联合模拟：${jointTxt}` : "历史组合收益"
+          }，${mcLabel}；${mcScopeTxt}口径）—`
+        );
         lines.push(`  μ=0, σ_w=${sigmaW.toFixed(6)}`);
 
-        for (const c of confs) {
-          const z = zFromConf(c);
-          const vList = [];
-          let nuFit = null;
-
-          for (const T of Ts) {
-            setProgressText(`组合 MC：c=${c.toFixed(3)} T=${T} …`);
-            const out = await callWorkerSingle(rpMC0, c, T);
-            vList.push(out.var);
-            if (mcMethod === "t_mc") nuFit = out.nu ?? out.df ?? nuFit;
-          }
+        setProgressText(`组合 MC 批量计算中：${batchLabel} …`);
+        const mcOut = multiMC
+          ? await callPortfolioBatch(RMC0, wVec)
+          : await callSingleBatch(rpMCIn);
+        if (!mcOut.ok) throw new Error(`组合 MC 失败：${mcOut.error}`);
+        if (mcOut.diagnostics?.chunks) lines.push(fmtBatchDiag(mcOut.diagnostics));
+        if (mcOut.diagnostics?.vr && mcOut.diagnostics.vr !== "none") lines.push(fmtVrDiag(mcOut.diagnostics));
+        const nuFit = mcMethod === "t_mc" ? mcOut.nu : null;
+        const fhsFit = mcMethod === "fhs" && mcOut.omega != null ? mcOut : null;
+        const copulaFit = mcMethod === "copula" && mcOut.rho ? mcOut : null;
+        // copula 参数与 (c, T) 无关，只写一次
+        if (copulaFit) {
+          const margTxt = copulaFit.marginals
+            .map((mg, i) => `${ids[i]}:${mg.type}${mg.nu ? `(ν=${mg.nu})` : ""}`)
+            .join(", ");
+          lines.push(
+            `  ${COPULA_FAMILY_LABEL[copulaFit.copula]}` +
+              (copulaFit.nuCopula ? `（ν_c=${copulaFit.nuCopula}）` : "") +
+              ` | 边缘：${margTxt}`
+          );
+          lines.push(
+            `  copula 相关矩阵 ρ：` +
+              copulaFit.rho.map((row) => `[${row.map((v) => v.toFixed(3)).join(", ")}]`).join(" ")
+          );
+        }
+        if (fhsFit) lines.push(fmtFhsFit(fhsFit));
+
+        for (const [ci, c] of confs.entries()) {
+          const z = zFromConf(c, legacyZ);
+          const cells = mcOut.grid[ci];
+          const vList = cells.map((g) => g.var ?? NaN);
+          const esList = cells.map((g) => g.es ?? NaN);
+          const mcErr = mcErrorInfo(cells);
+          const mcDecomp = cells
+            .filter((g) => g.decomp)
+            .map((g) => ({
+              T: g.T,
+              rows: g.decomp.component.map((cv, i) => ({
+                id: ids[i],
+                weight: wVec[i],
+                marginal: g.decomp.marginal[i],
+                component: cv,
+                pct: g.var > 0 ? cv / g.var : NaN,
+                incremental: g.decomp.incremental[i],
+                componentEs: g.decomp.componentEs[i],
+              })),
+            }));
 
           lines.push(
             `  c=${c.toFixed(3)} | ` +
-              Ts.map(
-                (T, i) =>
-                  `T=${T}: ${vList[i].toFixed(6)} (${(vList[i] * 100).toFixed(
-                    3
-                  )}%)`
-              ).join(" | ") +
+              fmtTLine(vList) +
               (mcMethod === "t_mc" && nuFit ? ` | ν=${Number(nuFit).toFixed(3)}` : "")
           );
-
-          rows.push({
-            method: `${mcMethod === "t_mc" ? "t-MC" : "MC " + mcMethod}（组合）`,
-            conf: c.toFixed(3),
-            extra:
-              `z=${z.toFixed(3)} | μ=0 | σ_w=${sigmaW.toFixed(6)}` +
-              (mcMethod === "t_mc" && nuFit ? ` | ν=${Number(nuFit).toFixed(3)}` : "") +
-              ` | window=${window} | w=[${wTxt}] | K=${sims}`,
-            v1: fmtPct2(vList[0]),
-            v2: fmtPct2(vList[1]),
-            v3: fmtPct2(vList[2]),
-          });
+          lines.push(`    ES | ` + fmtTLine(esList));
+          pushMcErrorLines(mcErr);
+
+          const extra =
+            (fhsFit
+              ? `μ=0 | σ_t+1=${fhsFit.sigma.toFixed(6)} | α=${fhsFit.alpha.toFixed(4)} | β=${fhsFit.beta.toFixed(4)} | n=${rpMCIn.length}`
+              : `z=${z.toFixed(3)} | μ=0 | σ_w=${sigmaW.toFixed(6)}` +
+                (mcMethod === "t_mc" && nuFit ? ` | ν=${Number(nuFit).toFixed(3)}` : "") +
+                ` | window=${window}`) +
+            (multiMC ? ` | ${jointTxt}` : "") +
+            (copulaFit?.nuCopula ? ` | ν_c=${copulaFit.nuCopula}` : "") +
+            ` | w=[${wTxt}] | K=${sims} | seed=${seed}`;
+          const mcName = `${mcMethod === "t_mc" ? "t-MC" : mcMethod === "copula" ? "Copula MC" : "MC " + mcMethod}（组合）`;
+          pushVarEsRows(mcName, c, extra, vList, esList, "ES=尾部(≥VaR)平均损失", mcErr);
+          mcDecomp.forEach((d) => decompList.push({ method: mcName, conf: c, ...d }));
+          if (mcDecomp.length) {
+            lines.push(`    成分 VaR 占比(T=${mcDecomp[0].T}) | ` + fmtDecompShare(mcDecomp[0].rows));
+          }
         }
 
         // 行情图：最近 window 天
@@ -1542,13 +4185,59 @@ export default function App() {
 
         setPriceSeriesIds(ids);
         setPriceSeries(widePriceFull.slice(-window));
+
+        const retSeries = wideClean.map((row) => ({
+          date: row.date.toISOString().slice(0, 10),
+          r: ids.reduce((s, id, i) => s + row[id] * wVec[i], 0),
+        }));
+        runRolling(retSeries, "组合");
+        // 压力窗口：闭式方法用窗口内的历史组合收益，多元 MC 用窗口内逐列中心化的对齐收益矩阵
+        await runStressed(
+          retSeries,
+          "组合",
+          `${mcMethod === "t_mc" ? "t-MC" : mcMethod === "copula" ? "Copula MC" : "MC " + mcMethod}（组合）`,
+          mcOut.grid,
+          multiMC
+            ? (lo, hi) => {
+                const rows = wideClean.slice(lo, hi);
+                const mus = ids.map((id) => meanStd(rows.map((row) => row[id])).mu);
+                return callPortfolioBatch(
+                  rows.map((row) => ids.map((id, i) => row[id] - mus[i])),
+                  wVec
+                );
+              }
+            : null
+        );
+        runScenarios(
+          ids.map((id, i) => ({ id, w: wVec[i], notional: book ? book.legs[i].notional : null })),
+          "组合"
+        );
+        setDecomp(decompList);
       }
 
+      setMoneyInfo(money);
       setSummary(lines.join("\n"));
       setResultRows(rows);
     } catch (err) {
-      setSummary("计算失败：" + err.message);
+      if (err instanceof CalcCancelled || ctrl.signal.aborted) {
+        // 只保留已完成的方法行；滚动 VaR / 回测可能已在压力 VaR 的 MC 之前写入，与压力 VaR / 情景 / 分解一并清空，取消时不输出
+        setRollingVar(null);
+        setBacktest(null);
+        setStressed(null);
+        setScenarioRes(null);
+        setDecomp([]);
+        lines.push("", "⚠ 计算已取消：以上为取消前已完成的部分结果");
+        setSummary(lines.join("\n"));
+        setResultRows(rows);
+        setMoneyInfo(money);
+        setPartial(true);
+      } else {
+        setSummary("计算失败：" + err.message);
+      }
     } finally {
+      cancelRef.current = null;
+      setMcProgress(null);
+      local?.terminate();
       setProgressText("");
       setLoading(false);
     }
@@ -1561,15 +4250,21 @@ export default function App() {
     idToName,
     weightsById,
     setWeightsById,
+    sizing,
+    positionsById,
+    setPositionsById,
+    baseCcy,
   }) => {
     if (!open) return null;
+    const byPosition = sizing === "position";
 
+    // 保留原始输入串（便于输入负号 / 小数），计算时再统一 toNumber
     const setOne = (id, v) => {
-      const n = Number(v);
-      setWeightsById((prev) => ({
-        ...prev,
-        [id]: Number.isFinite(n) ? n : "",
-      }));
+      setWeightsById((prev) => ({ ...prev, [id]: v }));
+    };
+
+    const setPos = (id, key, v) => {
+      setPositionsById((prev) => ({ ...prev, [id]: { ...prev[id], [key]: v } }));
     };
 
     const setEqual = () => {
@@ -1582,7 +4277,7 @@ export default function App() {
       <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/40 backdrop-blur-sm">
         <div className="bg-white w-[92vw] max-w-2xl rounded-xl shadow-2xl p-5 space-y-4 animate-in fade-in zoom-in-95">
           <div className="flex items-center justify-between border-b pb-3">
-            <div className="text-lg font-bold text-gray-800">设置组合权重</div>
+            <div className="text-lg font-bold text-gray-800">{byPosition ? "设置持仓" : "设置组合权重"}</div>
             <button
               className="text-gray-400 hover:text-gray-600 p-1 rounded-full hover:bg-gray-100 transition"
               onClick={onClose}
@@ -1595,20 +4290,26 @@ export default function App() {
             当前已选 <span className="font-bold text-blue-600">{ids.length}</span> 个品种
           </div>
 
-          <div className="flex gap-2 text-xs">
-            <button
-              className="px-2 py-1 rounded bg-gray-100 text-gray-600 hover:bg-gray-200"
-              onClick={setEqual}
-            >
-              等权(全部=1)
-            </button>
-            <button
-              className="px-2 py-1 rounded bg-gray-100 text-gray-600 hover:bg-gray-200"
-              onClick={() => setWeightsById({})}
-            >
-              清空
-            </button>
-          </div>
+          {byPosition ? (
+            <div className="text-xs text-gray-500">
+              手数：多头为正、空头为负；币种留空即本币 {baseCcy}，外币需填写汇率（1 单位外币 = ? {baseCcy}）。
+            </div>
+          ) : (
+            <div className="flex gap-2 text-xs">
+              <button
+                className="px-2 py-1 rounded bg-gray-100 text-gray-600 hover:bg-gray-200"
+                onClick={setEqual}
+              >
+                等权(全部=1)
+              </button>
+              <button
+                className="px-2 py-1 rounded bg-gray-100 text-gray-600 hover:bg-gray-200"
+                onClick={() => setWeightsById({})}
+              >
+                清空
+              </button>
+            </div>
+          )}
 
           <div className="border border-gray-200 rounded-lg p-2 max-h-[50vh] overflow-y-auto custom-scrollbar space-y-2 bg-gray-50">
             {ids.map((id) => {
@@ -1616,15 +4317,35 @@ export default function App() {
                 ? `${id}（${idToName[id]}）`
                 : id;
               const val = weightsById[id] ?? "";
+              const pos = positionsById[id] || {};
+              const posInput = (key, placeholder, width = "w-20") => (
+                <input
+                  className={clsx("border border-gray-300 rounded px-2 py-1 text-sm focus:outline-none focus:ring-1 focus:ring-blue-500", width)}
+                  value={pos[key] ?? ""}
+                  onChange={(e) => setPos(id, key, e.target.value)}
+                  placeholder={placeholder}
+                />
+              );
               return (
                 <div key={id} className="flex items-center gap-2 p-1 bg-white rounded shadow-sm border border-gray-100">
                   <div className="flex-1 text-sm pl-2">{label}</div>
-                  <input
-                    className="border border-gray-300 rounded px-2 py-1 w-28 text-sm focus:outline-none focus:ring-1 focus:ring-blue-500"
-                    value={val}
-                    onChange={(e) => setOne(id, e.target.value)}
-                    placeholder="权重"
-                  />
+                  {byPosition ? (
+                    <>
+                      {posInput("lots", "手数")}
+                      {posInput("mult", "乘数")}
+                      {posInput("ccy", baseCcy, "w-16")}
+                      {String(pos.ccy ?? "").trim() && String(pos.ccy).trim().toUpperCase() !== baseCcy
+                        ? posInput("fx", "汇率")
+                        : null}
+                    </>
+                  ) : (
+                    <input
+                      className="border border-gray-300 rounded px-2 py-1 w-28 text-sm focus:outline-none focus:ring-1 focus:ring-blue-500"
+                      value={val}
+                      onChange={(e) => setOne(id, e.target.value)}
+                      placeholder="权重"
+                    />
+                  )}
                 </div>
               );
             })}
@@ -1753,6 +4474,62 @@ export default function App() {
               <RowField label={<>σ 窗口(天) <Help tip={HELP_TEXT.window} /></>}>
                 <input type="number" min="5" className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={window} onChange={(e) => setWindow(+e.target.value)} />
               </RowField>
+              <RowField label={<>参数法波动率 <Help tip={HELP_TEXT.volModel} /></>}>
+                <select className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={volModel} onChange={(e) => setVolModel(e.target.value)}>
+                  <option value="window">等权窗口（σ_w）</option>
+                  <option value="ewma">EWMA（RiskMetrics）</option>
+                  <option value="garch">GARCH(1,1)</option>
+                </select>
+              </RowField>
+              {volModel === "ewma" && (
+                <RowField label={<>EWMA λ <Help tip={HELP_TEXT.ewmaLambda} /></>}>
+                  <input type="number" min="0.5" max="0.999" step="0.01" className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={ewmaLambda} onChange={(e) => setEwmaLambda(+e.target.value)} />
+                </RowField>
+              )}
+              <RowField label={<>历史模拟法 <Help tip={HELP_TEXT.histAgg} /></>}>
+                <select className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={histAgg} onChange={(e) => setHistAgg(e.target.value)}>
+                  <option value="overlap">重叠 T 日收益</option>
+                  <option value="nonoverlap">不重叠 T 日收益</option>
+                  <option value="off">关闭</option>
+                </select>
+              </RowField>
+              <RowField label={<>修正 VaR <Help tip={HELP_TEXT.cfOn} /></>}>
+                <select className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={cfOn ? "on" : "off"} onChange={(e) => setCfOn(e.target.value === "on")}>
+                  <option value="off">关闭</option>
+                  <option value="on">开启（Cornish-Fisher）</option>
+                </select>
+              </RowField>
+              <RowField label={<>EVT 尾部法 <Help tip={HELP_TEXT.evtOn} /></>}>
+                <select className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={evtOn ? "on" : "off"} onChange={(e) => setEvtOn(e.target.value === "on")}>
+                  <option value="off">关闭</option>
+                  <option value="on">开启（POT-GPD）</option>
+                </select>
+              </RowField>
+              {evtOn && (
+                <RowField label={<>EVT 阈值分位 <Help tip={HELP_TEXT.evtThreshold} /></>}>
+                  <input type="number" min="0.5" max="0.99" step="0.01" className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={evtThreshold} onChange={(e) => setEvtThreshold(+e.target.value)} />
+                </RowField>
+              )}
+              <RowField label={<>参数 t 法 <Help tip={HELP_TEXT.tParam} /></>}>
+                <select className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={tParam ? "on" : "off"} onChange={(e) => setTParam(e.target.value === "on")}>
+                  <option value="off">关闭</option>
+                  <option value="on">开启（闭式）</option>
+                </select>
+              </RowField>
+              {tUsesDist && (
+                <RowField label={<>t 分布形态 <Help tip={HELP_TEXT.tDist} /></>}>
+                  <select className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={tDist} onChange={(e) => setTDist(e.target.value)}>
+                    <option value="t">对称 t</option>
+                    <option value="skewt">Hansen 偏 t</option>
+                  </select>
+                </RowField>
+              )}
+              <RowField label={<>z 值口径 <Help tip={HELP_TEXT.legacyZ} /></>}>
+                <select className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={legacyZ ? "legacy" : "exact"} onChange={(e) => setLegacyZ(e.target.value === "legacy")}>
+                  <option value="exact">精确 Φ⁻¹(c)</option>
+                  <option value="legacy">旧版（1.645 / 2.33）</option>
+                </select>
+              </RowField>
             </div>
           </div>
 
@@ -1760,17 +4537,73 @@ export default function App() {
           <div>
             <label className="block text-xs font-bold text-gray-400 uppercase tracking-wider mb-2">4. Monte Carlo 参数</label>
             <div className="space-y-1">
+              <RowField label={<>计算引擎 <Help tip={HELP_TEXT.mcEngine} /></>}>
+                <select className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={mcEngine} onChange={(e) => setMcEngine(e.target.value)}>
+                  <option value="auto">自动（后端优先）</option>
+                  <option value="backend">后端 Python</option>
+                  <option value="local">本地浏览器</option>
+                </select>
+              </RowField>
               <RowField label={<>MC 方法 <Help tip={HELP_TEXT.mcMethod} /></>}>
                 <select className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={mcMethod} onChange={(e) => setMcMethod(e.target.value)}>
                   <option value="normal">Normal MC（正态）</option>
                   <option value="t_mc">t-MC（厚尾拟合）</option>
                   <option value="bootstrap">Bootstrap（重采样）</option>
+                  <option value="fhs">FHS（GARCH 过滤历史模拟）</option>
+                  <option value="copula" disabled={mode !== "portfolio"}>Copula（仅组合）</option>
                 </select>
               </RowField>
+              {mcMethod === "copula" && (
+                <>
+                  <RowField label={<>Copula 类型 <Help tip={HELP_TEXT.copulaFamily} /></>}>
+                    <select className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={copulaFamily} onChange={(e) => setCopulaFamily(e.target.value)}>
+                      <option value="gaussian">Gaussian copula</option>
+                      <option value="t">t copula（尾部相依）</option>
+                    </select>
+                  </RowField>
+                  <RowField label={<>各腿边缘 <Help tip={HELP_TEXT.copulaMarginal} /></>}>
+                    <select className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={copulaMarginal} onChange={(e) => setCopulaMarginal(e.target.value)}>
+                      <option value="t">t（逐腿拟合 ν）</option>
+                      <option value="normal">正态</option>
+                      <option value="empirical">经验分布</option>
+                    </select>
+                  </RowField>
+                </>
+              )}
               <RowField label={<>模拟次数 K <Help tip={HELP_TEXT.sims} /></>}>
                 <input type="number" min="1000" step="10000" className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={sims} onChange={(e) => setSims(+e.target.value)} />
               </RowField>
-              {mcMethod === "t_mc" && (
+              <RowField label={<>随机种子 <Help tip={HELP_TEXT.seed} /></>}>
+                <input type="text" inputMode="numeric" placeholder="留空=自动" className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={seedText} onChange={(e) => setSeedText(e.target.value)} />
+              </RowField>
+              <RowField label={<>误差容差 <Help tip={HELP_TEXT.mcTol} /></>}>
+                <input type="number" min="0.001" max="1" step="0.01" className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={mcTol} onChange={(e) => setMcTol(+e.target.value)} />
+              </RowField>
+              {mcUsesVr && (
+                <RowField label={<>方差缩减 <Help tip={HELP_TEXT.mcVr} /></>}>
+                  <select className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={mcVr} onChange={(e) => setMcVr(e.target.value)}>
+                    <option value="none">无（普通 MC）</option>
+                    <option value="antithetic">对偶变量</option>
+                    <option value="sobol">Sobol 准随机</option>
+                    <option value="is">重要性抽样（深尾）</option>
+                  </select>
+                </RowField>
+              )}
+              {mcUsesBoot && (
+                <RowField label={<>Bootstrap 方案 <Help tip={HELP_TEXT.bootScheme} /></>}>
+                  <select className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={bootScheme} onChange={(e) => setBootScheme(e.target.value)}>
+                    <option value="iid">逐日独立（i.i.d.）</option>
+                    <option value="block">移动块</option>
+                    <option value="stationary">平稳 bootstrap</option>
+                  </select>
+                </RowField>
+              )}
+              {mcUsesBoot && bootScheme !== "iid" && (
+                <RowField label={<>块长度 <Help tip={HELP_TEXT.blockLen} /></>}>
+                  <input type="text" inputMode="decimal" placeholder="自动" className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={blockLenText} onChange={(e) => setBlockLenText(e.target.value)} />
+                </RowField>
+              )}
+              {mcUsesNu && (
                 <RowField label={<>t ν 搜索上限 <Help tip={HELP_TEXT.dfMax} /></>}>
                   <select className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={dfMax} onChange={(e) => setDfMax(+e.target.value)}>
                     <option value={5}>5 (非常厚尾/保守)</option>
@@ -1800,6 +4633,20 @@ export default function App() {
               </button>
             </div>
 
+            <div className="space-y-1 mb-2">
+              <RowField label={<>头寸口径 <Help tip={HELP_TEXT.sizing} /></>}>
+                <select className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={sizing} onChange={(e) => setSizing(e.target.value)}>
+                  <option value="weight">权重（收益率 %）</option>
+                  <option value="position">持仓（手数 × 乘数，金额）</option>
+                </select>
+              </RowField>
+              {sizing === "position" && (
+                <RowField label={<>本币 <Help tip={HELP_TEXT.baseCcy} /></>}>
+                  <input type="text" className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" placeholder="CNY" value={baseCcyText} onChange={(e) => setBaseCcyText(e.target.value)} />
+                </RowField>
+              )}
+            </div>
+
             {mode === "single" ? (
               <div className="bg-blue-50 border border-blue-100 rounded-lg p-3">
                 <button
@@ -1810,6 +4657,15 @@ export default function App() {
                   {singleId ? (idToName[singleId] ? `${singleId} (${idToName[singleId]})` : singleId) : "选择品种..."}
                 </button>
                 <div className="text-[10px] text-blue-400 text-center">点击上方按钮切换品种</div>
+                {sizing === "position" && (
+                  <button
+                    className="w-full mt-2 bg-white border border-blue-200 text-blue-700 text-xs py-1.5 rounded hover:bg-blue-50 transition"
+                    onClick={() => setWeightsOpen(true)}
+                    disabled={!singleId}
+                  >
+                    设置持仓
+                  </button>
+                )}
               </div>
             ) : (
               <div className="bg-blue-50 border border-blue-100 rounded-lg p-3 space-y-2">
@@ -1825,7 +4681,7 @@ export default function App() {
                   onClick={() => setWeightsOpen(true)}
                   disabled={portfolioIds.length === 0}
                 >
-                  设置权重
+                  {sizing === "position" ? "设置持仓" : "设置权重"}
                 </button>
                 <div className="text-[10px] text-blue-400">
                   {portfolioIds.length ? `已选: ${portfolioIds.slice(0,3).join(", ")}${portfolioIds.length>3?"...":""}` : "请先选择品种"}
@@ -1834,6 +4690,80 @@ export default function App() {
             )}
           </div>
 
+          {/* 6. 滚动 VaR / 回测 */}
+          <div>
+            <label className="block text-xs font-bold text-gray-400 uppercase tracking-wider mb-2">6. 滚动 VaR / 回测</label>
+            <div className="space-y-1">
+              <RowField label={<>逐日 VaR 方法 <Help tip={HELP_TEXT.rollMethod} /></>}>
+                <select className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={rollMethod} onChange={(e) => setRollMethod(e.target.value)}>
+                  <option value="normal">正态参数法</option>
+                  <option value="t">参数 t 法</option>
+                  <option value="hist">历史模拟法</option>
+                </select>
+              </RowField>
+              <div className="text-[10px] text-gray-400 mb-1.5">修正 VaR、EVT 与 MC 方法不支持逐日滚动，滚动 VaR / 回测仅覆盖以上三种方法</div>
+              <RowField label={<>启用回测 <Help tip={HELP_TEXT.btEnabled} /></>}>
+                <select className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={btEnabled ? "on" : "off"} onChange={(e) => setBtEnabled(e.target.value === "on")}>
+                  <option value="off">关闭</option>
+                  <option value="on">开启</option>
+                </select>
+              </RowField>
+              {btEnabled && (
+                <RowField label={<>回测天数 <Help tip={HELP_TEXT.btDays} /></>}>
+                  <input type="number" min="0" step="50" className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={btDays} onChange={(e) => setBtDays(+e.target.value)} />
+                </RowField>
+              )}
+            </div>
+          </div>
+
+          {/* 7. 压力 VaR */}
+          <div>
+            <label className="block text-xs font-bold text-gray-400 uppercase tracking-wider mb-2">7. 压力 VaR</label>
+            <div className="space-y-1">
+              <RowField label={<>压力窗口 <Help tip={HELP_TEXT.stressMode} /></>}>
+                <select className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={stressMode} onChange={(e) => setStressMode(e.target.value)}>
+                  <option value="off">关闭</option>
+                  <option value="auto">自动（最差窗口）</option>
+                  <option value="manual">指定日期区间</option>
+                </select>
+              </RowField>
+              {stressMode === "auto" && (
+                <RowField label={<>窗口长度 <Help tip={HELP_TEXT.stressLen} /></>}>
+                  <input type="number" min={STRESS_MIN_OBS} step="50" className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={stressLen} onChange={(e) => setStressLen(+e.target.value)} />
+                </RowField>
+              )}
+              {stressMode === "manual" && (
+                <>
+                  <RowField label={<>起始日期 <Help tip={HELP_TEXT.stressRange} /></>}>
+                    <input type="date" className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={stressStart} onChange={(e) => setStressStart(e.target.value)} />
+                  </RowField>
+                  <RowField label="结束日期">
+                    <input type="date" className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={stressEnd} onChange={(e) => setStressEnd(e.target.value)} />
+                  </RowField>
+                </>
+              )}
+            </div>
+          </div>
+
+          {/* 8. 情景压力测试 */}
+          <div>
+            <label className="block text-xs font-bold text-gray-400 uppercase tracking-wider mb-2">8. 情景压力测试</label>
+            <div className="space-y-1">
+              <RowField label={<>情景测试 <Help tip={HELP_TEXT.scenarioOn} /></>}>
+                <select className="w-full text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors" value={scenarioOn ? "on" : "off"} onChange={(e) => setScenarioOn(e.target.value === "on")}>
+                  <option value="off">关闭</option>
+                  <option value="on">开启</option>
+                </select>
+              </RowField>
+              <button
+                className="w-full bg-white border border-blue-200 text-blue-700 text-xs py-1.5 rounded hover:bg-blue-50 transition"
+                onClick={() => setScenarioOpen(true)}
+              >
+                编辑情景（已保存 {scenarios.length} 个）
+              </button>
+            </div>
+          </div>
+
         </div>
 
         {/* 底部按钮 */}
@@ -1856,6 +4786,15 @@ export default function App() {
               </>
             )}
           </motion.button>
+          {loading && (
+            <button
+              type="button"
+              onClick={() => cancelRef.current?.abort()}
+              className="w-full mt-2 bg-white border border-red-200 text-red-600 hover:bg-red-50 text-xs font-bold py-2 rounded-lg transition"
+            >
+              取消计算
+            </button>
+          )}
         </div>
       </aside>
 
@@ -1867,9 +4806,21 @@ export default function App() {
           <div className="flex items-center gap-2 text-sm text-gray-500">
             <span>当前状态:</span>
             {loading ? (
-              <span className="text-blue-600 font-bold flex items-center gap-1">
-                <span className="w-2 h-2 rounded-full bg-blue-600 animate-pulse"></span>
-                处理中
+              <>
+                <span className="text-blue-600 font-bold flex items-center gap-1">
+                  <span className="w-2 h-2 rounded-full bg-blue-600 animate-pulse"></span>
+                  处理中
+                </span>
+                {mcProgress ? (
+                  <ProgressBar progress={mcProgress} text={progressText} />
+                ) : progressText ? (
+                  <span className="text-xs text-gray-500">{progressText}</span>
+                ) : null}
+              </>
+            ) : partial ? (
+              <span className="text-amber-600 font-bold flex items-center gap-1">
+                <span className="w-2 h-2 rounded-full bg-amber-500"></span>
+                已取消（部分结果）
               </span>
             ) : resultRows.length > 0 ? (
               <span className="text-green-600 font-bold flex items-center gap-1">
@@ -1901,6 +4852,9 @@ export default function App() {
             title={
               <div className="flex items-center gap-3">
                 <span>计算结果</span>
+                {partial && (
+                  <span className="text-xs font-bold px-2 py-0.5 rounded bg-amber-100 text-amber-700">部分结果</span>
+                )}
 
                 <button
                   type="button"
@@ -1924,6 +4878,7 @@ export default function App() {
                   <tr>
                     <th className="px-4 py-3">方法</th>
                     <th className="px-4 py-3">置信度 c</th>
+                    <th className="px-4 py-3">指标</th>
                     <th className="px-4 py-3">参数细节</th>
                     <th className="px-4 py-3 text-right">T1 ({T1}天)</th>
                     <th className="px-4 py-3 text-right">T2 ({T2}天)</th>
@@ -1933,17 +4888,27 @@ export default function App() {
                 <tbody className="divide-y divide-gray-100">
                   {resultRows.length === 0 ? (
                     <tr>
-                      <td colSpan="6" className="px-4 py-8 text-center text-gray-400 italic">暂无数据</td>
+                      <td colSpan="7" className="px-4 py-8 text-center text-gray-400 italic">暂无数据</td>
                     </tr>
                   ) : (
                     resultRows.map((r, i) => (
                       <tr key={i} className="hover:bg-blue-50/30 transition">
                         <td className="px-4 py-3 font-medium text-gray-800">{r.method}</td>
                         <td className="px-4 py-3 text-gray-600">{r.conf}</td>
+                        <td className="px-4 py-3 text-gray-600">{r.metric}</td>
                         <td className="px-4 py-3 text-xs text-gray-500 truncate max-w-[200px]" title={r.extra}>{r.extra}</td>
-                        <td className="px-4 py-3 text-right font-mono text-blue-600 font-bold">{r.v1}</td>
-                        <td className="px-4 py-3 text-right font-mono text-blue-600 font-bold">{r.v2}</td>
-                        <td className="px-4 py-3 text-right font-mono text-blue-600 font-bold">{r.v3}</td>
+                        <td className={clsx("px-4 py-3 text-right font-mono font-bold", r.metric === "ES" ? "text-amber-600" : "text-blue-600")}>
+                          {r.v1}
+                          {r.m1 && <div className="text-[11px] font-normal text-gray-500">{r.m1}</div>}
+                        </td>
+                        <td className={clsx("px-4 py-3 text-right font-mono font-bold", r.metric === "ES" ? "text-amber-600" : "text-blue-600")}>
+                          {r.v2}
+                          {r.m2 && <div className="text-[11px] font-normal text-gray-500">{r.m2}</div>}
+                        </td>
+                        <td className={clsx("px-4 py-3 text-right font-mono font-bold", r.metric === "ES" ? "text-amber-600" : "text-blue-600")}>
+                          {r.v3}
+                          {r.m3 && <div className="text-[11px] font-normal text-gray-500">{r.m3}</div>}
+                        </td>
                       </tr>
                     ))
                   )}
@@ -2010,6 +4975,395 @@ export default function App() {
                 )}
               </div>
             </Card>
+
+            {rollingVar && (
+              <Card title={`滚动 VaR（1日，${rollingVar.label}，${ROLLING_METHOD_LABEL[rollingVar.method]}，w=${rollingVar.window}）`}>
+                <div className="h-[280px] w-full bg-white rounded-lg p-2">
+                  {rollingVar.data.length > 0 ? (
+                    <ResponsiveContainer width="100%" height="100%">
+                      <LineChart data={rollingVar.data}>
+                        <XAxis
+                          dataKey="date"
+                          tick={{fontSize: 10, fill: '#9CA3AF'}}
+                          axisLine={{stroke: '#E5E7EB'}}
+                          tickLine={false}
+                          minTickGap={30}
+                        />
+                        <YAxis
+                          domain={["auto", "auto"]}
+                          tick={{fontSize: 10, fill: '#9CA3AF'}}
+                          axisLine={false}
+                          tickLine={false}
+                          width={48}
+                          tickFormatter={(v) => `${(v * 100).toFixed(1)}%`}
+                        />
+                        <Tooltip
+                          contentStyle={{borderRadius: '8px', border: 'none', boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)'}}
+                          itemStyle={{fontSize: '12px'}}
+                          labelStyle={{color: '#6B7280', marginBottom: '4px', fontSize: '11px'}}
+                          formatter={(v) => fmtPct2(v)}
+                        />
+                        <Legend iconType="circle" wrapperStyle={{fontSize: '11px', paddingTop: '10px'}}/>
+                        <Line type="monotone" dataKey="ret" name="实际次日收益" dot={false} strokeWidth={1} stroke="#9CA3AF" isAnimationActive={false} />
+                        {rollingVar.confs.map((c, k) => (
+                          <Line
+                            key={k}
+                            type="monotone"
+                            dataKey={(d) => -d[`v${k}`]}
+                            name={`-VaR c=${c.toFixed(3)}`}
+                            dot={false}
+                            strokeWidth={1.5}
+                            stroke={PALETTE[k % PALETTE.length]}
+                            isAnimationActive={false}
+                          />
+                        ))}
+                      </LineChart>
+                    </ResponsiveContainer>
+                  ) : (
+                    <div className="h-full flex items-center justify-center text-gray-400 text-sm bg-gray-50 rounded border border-dashed">
+                      有效样本不足 w+1 日，无法生成滚动 VaR
+                    </div>
+                  )}
+                </div>
+              </Card>
+            )}
+
+            {meanExcess && (
+              <Card title={`EVT 平均超额图（${meanExcess.label}，阈值分位 ${meanExcess.pu}）`}>
+                <div className="h-[280px] w-full bg-white rounded-lg p-2">
+                  {meanExcess.data.length > 0 ? (
+                    <ResponsiveContainer width="100%" height="100%">
+                      <LineChart data={meanExcess.data}>
+                        <XAxis
+                          type="number"
+                          dataKey="u"
+                          domain={["auto", "auto"]}
+                          tick={{fontSize: 10, fill: '#9CA3AF'}}
+                          axisLine={{stroke: '#E5E7EB'}}
+                          tickLine={false}
+                          tickFormatter={(v) => `${(v * 100).toFixed(1)}%`}
+                        />
+                        <YAxis
+                          domain={["auto", "auto"]}
+                          tick={{fontSize: 10, fill: '#9CA3AF'}}
+                          axisLine={false}
+                          tickLine={false}
+                          width={48}
+                          tickFormatter={(v) => `${(v * 100).toFixed(2)}%`}
+                        />
+                        <Tooltip
+                          contentStyle={{borderRadius: '8px', border: 'none', boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)'}}
+                          itemStyle={{fontSize: '12px'}}
+                          labelStyle={{color: '#6B7280', marginBottom: '4px', fontSize: '11px'}}
+                          labelFormatter={(v) => `阈值 u=${fmtPct2(v)}`}
+                          formatter={(v, name, item) => [`${fmtPct2(v)}（N_u=${item.payload.n}，分位 ${item.payload.p.toFixed(3)}）`, name]}
+                        />
+                        <Legend iconType="circle" wrapperStyle={{fontSize: '11px', paddingTop: '10px'}}/>
+                        <Line type="monotone" dataKey="e" name="平均超额 e(u)" dot={{ r: 2 }} strokeWidth={1.5} stroke={PALETTE[0]} isAnimationActive={false} />
+                        {Number.isFinite(meanExcess.u) && (
+                          <ReferenceLine x={meanExcess.u} stroke="#EF4444" strokeDasharray="4 3" label={{ value: "当前阈值", fontSize: 10, fill: "#EF4444", position: "top" }} />
+                        )}
+                      </LineChart>
+                    </ResponsiveContainer>
+                  ) : (
+                    <div className="h-full flex items-center justify-center text-gray-400 text-sm bg-gray-50 rounded border border-dashed">
+                      有效样本不足，无法生成平均超额图
+                    </div>
+                  )}
+                </div>
+              </Card>
+            )}
+
+            {stressed && (
+              <Card
+                title={`压力 VaR（${stressed.label}，压力窗口 ${stressed.start} ~ ${stressed.end}，${stressed.n} 日）`}
+              >
+                <div className="text-xs text-gray-500 mb-2">
+                  {stressed.mode === "auto" ? "自动选窗（1日历史模拟 VaR 最大）" : "指定日期区间"}
+                  {Number.isFinite(stressed.critVar) && `，窗口 1日 HS VaR=${fmtPct2(stressed.critVar)}`}
+                  ；对比当前窗口 {stressed.cur.start} ~ {stressed.cur.end}（{stressed.cur.n} 日）。格式：当前 → 压力（倍数）
+                </div>
+                <div className="overflow-x-auto rounded-lg border border-gray-100">
+                  <table className="w-full text-sm text-left">
+                    <thead className="bg-gray-50 text-gray-600 font-semibold border-b border-gray-200">
+                      <tr>
+                        <th className="px-4 py-3">方法</th>
+                        <th className="px-4 py-3">置信度 c</th>
+                        <th className="px-4 py-3">指标</th>
+                        {stressed.Ts.map((T) => (
+                          <th key={T} className="px-4 py-3 text-right">T={T}</th>
+                        ))}
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {stressed.rows.map((r, i) => (
+                        <tr key={i} className="hover:bg-blue-50/30 transition">
+                          <td className="px-4 py-3 text-gray-800">{r.method}</td>
+                          <td className="px-4 py-3 text-gray-600">{r.conf.toFixed(3)}</td>
+                          <td className="px-4 py-3 text-gray-600">{r.metric}</td>
+                          {stressed.Ts.map((T, j) => {
+                            const x = r.cur[j] > 0 ? r.stress[j] / r.cur[j] : NaN;
+                            return (
+                              <td key={T} className="px-4 py-3 text-right font-mono whitespace-nowrap">
+                                <span className="text-gray-500">{fmtPct2(r.cur[j])}</span>
+                                {" → "}
+                                <span className={clsx("font-bold", x > 1 ? "text-red-600" : "text-gray-800")}>{fmtPct2(r.stress[j])}</span>
+                                {Number.isFinite(x) && <span className="text-xs text-gray-400">（×{x.toFixed(2)}）</span>}
+                                {moneyInfo && Number.isFinite(r.stress[j]) && (
+                                  <div className="text-xs text-gray-400">≈ {fmtMoney(r.stress[j] * moneyInfo.gross, moneyInfo.ccy)}</div>
+                                )}
+                              </td>
+                            );
+                          })}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </Card>
+            )}
+
+            {scenarioRes && (
+              <Card title={`情景压力测试（${scenarioRes.label}，${scenarioRes.results.length} 个情景）`}>
+                <div className="overflow-x-auto rounded-lg border border-gray-100">
+                  <table className="w-full text-sm text-left">
+                    <thead className="bg-gray-50 text-gray-600 font-semibold border-b border-gray-200">
+                      <tr>
+                        <th className="px-4 py-3">情景</th>
+                        <th className="px-4 py-3">品种</th>
+                        <th className="px-4 py-3">冲击</th>
+                        <th className="px-4 py-3 text-right">价格变动</th>
+                        <th className="px-4 py-3 text-right">σ 倍数</th>
+                        <th className="px-4 py-3 text-right">权重</th>
+                        <th className="px-4 py-3 text-right">损益</th>
+                        {scenarioRes.ccy && <th className="px-4 py-3 text-right">金额</th>}
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {scenarioRes.results.map((res, k) => (
+                        <React.Fragment key={k}>
+                          {res.rows.map((x, j) => (
+                            <tr key={j} className="hover:bg-blue-50/30 transition">
+                              <td className="px-4 py-2 text-gray-800">{j === 0 ? res.name : ""}</td>
+                              <td className="px-4 py-2 text-gray-600">{x.id}</td>
+                              <td className="px-4 py-2 text-xs text-gray-500">{x.source === "given" ? `给定 ${x.input}` : "相关传导"}</td>
+                              <td className="px-4 py-2 text-right font-mono">{fmtPct2(x.move)}</td>
+                              <td className="px-4 py-2 text-right font-mono">{Number.isFinite(x.sigmaMult) ? x.sigmaMult.toFixed(2) : "—"}</td>
+                              <td className="px-4 py-2 text-right font-mono">{Number.isFinite(x.w) ? x.w.toFixed(3) : "未持仓"}</td>
+                              <td className={clsx("px-4 py-2 text-right font-mono", x.pnl < 0 && "text-red-600")}>{fmtPct2(x.pnl)}</td>
+                              {scenarioRes.ccy && (
+                                <td className="px-4 py-2 text-right font-mono">{fmtMoney(x.money, scenarioRes.ccy)}</td>
+                              )}
+                            </tr>
+                          ))}
+                          <tr className="bg-gray-50 font-semibold">
+                            <td className="px-4 py-2 text-gray-800" colSpan={4}>
+                              合计
+                              {res.warnings.length > 0 && (
+                                <span className="ml-2 text-xs font-normal text-amber-600">⚠ {res.warnings.join("；")}</span>
+                              )}
+                            </td>
+                            <td className="px-4 py-2 text-right font-mono">{(res.pnl / res.sigmaP).toFixed(2)}σ_p</td>
+                            <td className="px-4 py-2"></td>
+                            <td className={clsx("px-4 py-2 text-right font-mono", res.pnl < 0 && "text-red-600")}>{fmtPct2(res.pnl)}</td>
+                            {scenarioRes.ccy && (
+                              <td className="px-4 py-2 text-right font-mono">{fmtMoney(res.money, scenarioRes.ccy)}</td>
+                            )}
+                          </tr>
+                        </React.Fragment>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </Card>
+            )}
+
+            {backtest && (
+              <Card
+                title={`VaR 回测（${backtest.label}，${ROLLING_METHOD_LABEL[backtest.method]}，w=${backtest.window}）`}
+                actions={backtest.results.map((b, i) => (
+                  <button
+                    key={i}
+                    type="button"
+                    onClick={() => setBtConfIdx(i)}
+                    className={clsx(
+                      "text-xs px-2 py-1 rounded border transition",
+                      btConfIdx === i
+                        ? "bg-blue-600 text-white border-blue-600"
+                        : "bg-white text-gray-600 border-gray-200 hover:bg-gray-50"
+                    )}
+                  >
+                    c={b.conf.toFixed(3)}
+                  </button>
+                ))}
+              >
+                <div className="overflow-x-auto rounded-lg border border-gray-100 mb-4">
+                  <table className="w-full text-sm text-left">
+                    <thead className="bg-gray-50 text-gray-600 font-semibold border-b border-gray-200">
+                      <tr>
+                        <th className="px-4 py-3">置信度 c</th>
+                        <th className="px-4 py-3 text-right">样本 N</th>
+                        <th className="px-4 py-3 text-right">突破数 / 期望</th>
+                        <th className="px-4 py-3 text-right">突破率</th>
+                        <th className="px-4 py-3 text-right">Kupiec POF (p)</th>
+                        <th className="px-4 py-3 text-right">独立性 (p)</th>
+                        <th className="px-4 py-3 text-right">条件覆盖 (p)</th>
+                        <th className="px-4 py-3">Basel</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {backtest.results.map((b, i) => (
+                        <tr key={i} className="hover:bg-blue-50/30 transition">
+                          <td className="px-4 py-3 text-gray-600">{b.conf.toFixed(3)}</td>
+                          <td className="px-4 py-3 text-right font-mono">{b.N}</td>
+                          <td className="px-4 py-3 text-right font-mono">{b.x} / {b.expected.toFixed(1)}</td>
+                          <td className="px-4 py-3 text-right font-mono">{fmtPct2(b.rate)}</td>
+                          <td className={clsx("px-4 py-3 text-right font-mono", b.kupiec.p < 0.05 && "text-red-600 font-bold")}>{b.kupiec.lr.toFixed(2)} ({b.kupiec.p.toFixed(3)})</td>
+                          <td className={clsx("px-4 py-3 text-right font-mono", b.ind.p < 0.05 && "text-red-600 font-bold")}>{b.ind.lr.toFixed(2)} ({b.ind.p.toFixed(3)})</td>
+                          <td className={clsx("px-4 py-3 text-right font-mono", b.cc.p < 0.05 && "text-red-600 font-bold")}>{b.cc.lr.toFixed(2)} ({b.cc.p.toFixed(3)})</td>
+                          <td className="px-4 py-3">
+                            <span
+                              className={clsx(
+                                "text-xs font-bold px-2 py-0.5 rounded",
+                                b.basel.zone === "green" && "bg-green-100 text-green-700",
+                                b.basel.zone === "yellow" && "bg-amber-100 text-amber-700",
+                                b.basel.zone === "red" && "bg-red-100 text-red-700"
+                              )}
+                            >
+                              {BASEL_ZONE_LABEL[b.basel.zone]}
+                            </span>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                <div className="h-[280px] w-full bg-white rounded-lg p-2">
+                  {backtestChartData.length > 0 ? (
+                    <ResponsiveContainer width="100%" height="100%">
+                      <ComposedChart data={backtestChartData}>
+                        <XAxis
+                          dataKey="date"
+                          tick={{fontSize: 10, fill: '#9CA3AF'}}
+                          axisLine={{stroke: '#E5E7EB'}}
+                          tickLine={false}
+                          minTickGap={30}
+                        />
+                        <YAxis
+                          domain={["auto", "auto"]}
+                          tick={{fontSize: 10, fill: '#9CA3AF'}}
+                          axisLine={false}
+                          tickLine={false}
+                          width={48}
+                          tickFormatter={(v) => `${(v * 100).toFixed(1)}%`}
+                        />
+                        <Tooltip
+                          contentStyle={{borderRadius: '8px', border: 'none', boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)'}}
+                          itemStyle={{fontSize: '12px'}}
+                          labelStyle={{color: '#6B7280', marginBottom: '4px', fontSize: '11px'}}
+                          formatter={(v) => fmtPct2(v)}
+                        />
+                        <Legend iconType="circle" wrapperStyle={{fontSize: '11px', paddingTop: '10px'}}/>
+                        <Line type="monotone" dataKey="ret" name="实际日收益" dot={false} strokeWidth={1} stroke="#9CA3AF" isAnimationActive={false} />
+                        <Line type="stepAfter" dataKey="negVar" name="-VaR(1日)" dot={false} strokeWidth={2} stroke="#2563eb" isAnimationActive={false} />
+                        <Line dataKey="breach" name="突破日" stroke="#ef4444" strokeWidth={0} legendType="circle" dot={{r: 3, fill: '#ef4444', stroke: '#ef4444'}} activeDot={false} isAnimationActive={false} />
+                      </ComposedChart>
+                    </ResponsiveContainer>
+                  ) : (
+                    <div className="h-full flex items-center justify-center text-gray-400 text-sm bg-gray-50 rounded border border-dashed">
+                      有效样本不足，无法回测
+                    </div>
+                  )}
+                </div>
+              </Card>
+            )}
+
+            {decompSel && (
+              <Card
+                title="组合 VaR 分解（成分 / 边际 / 增量）"
+                actions={
+                  <select
+                    className="text-xs border border-gray-300 rounded px-2 py-1 bg-white focus:ring-1 focus:ring-blue-500 focus:border-blue-500 transition-colors"
+                    value={decompIdx}
+                    onChange={(e) => setDecompIdx(+e.target.value)}
+                  >
+                    {decomp.map((d, i) => (
+                      <option key={i} value={i}>
+                        {d.method} · c={d.conf.toFixed(3)} · T={d.T}
+                      </option>
+                    ))}
+                  </select>
+                }
+              >
+                <div className="overflow-x-auto rounded-lg border border-gray-100 mb-4">
+                  <table className="w-full text-sm text-left">
+                    <thead className="bg-gray-50 text-gray-600 font-semibold border-b border-gray-200">
+                      <tr>
+                        <th className="px-4 py-3">品种</th>
+                        <th className="px-4 py-3 text-right">权重</th>
+                        <th className="px-4 py-3 text-right">边际 VaR</th>
+                        <th className="px-4 py-3 text-right">成分 VaR</th>
+                        <th className="px-4 py-3 text-right">占比</th>
+                        <th className="px-4 py-3 text-right">增量 VaR</th>
+                        {decompSel.rows[0]?.componentEs !== undefined && (
+                          <th className="px-4 py-3 text-right">成分 ES</th>
+                        )}
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {decompSel.rows.map((r) => (
+                        <tr key={r.id} className="hover:bg-blue-50/30 transition">
+                          <td className="px-4 py-3 text-gray-600">{r.id}</td>
+                          <td className="px-4 py-3 text-right font-mono">{r.weight.toFixed(3)}</td>
+                          <td className="px-4 py-3 text-right font-mono">{fmtPct2(r.marginal)}</td>
+                          <td className="px-4 py-3 text-right font-mono font-bold">
+                            {fmtPct2(r.component)}
+                            {moneyInfo && (
+                              <div className="text-[11px] font-normal text-gray-500">{fmtMoney(r.component * moneyInfo.gross, moneyInfo.ccy)}</div>
+                            )}
+                          </td>
+                          <td className={clsx("px-4 py-3 text-right font-mono", r.pct < 0 && "text-green-600")}>{fmtPct2(r.pct)}</td>
+                          <td className="px-4 py-3 text-right font-mono">{fmtPct2(r.incremental)}</td>
+                          {r.componentEs !== undefined && (
+                            <td className="px-4 py-3 text-right font-mono text-amber-600">{fmtPct2(r.componentEs)}</td>
+                          )}
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+
+                <div className="h-[240px] w-full bg-white rounded-lg p-2">
+                  <ResponsiveContainer width="100%" height="100%">
+                    <BarChart data={decompSel.rows}>
+                      <XAxis
+                        dataKey="id"
+                        tick={{fontSize: 10, fill: '#9CA3AF'}}
+                        axisLine={{stroke: '#E5E7EB'}}
+                        tickLine={false}
+                      />
+                      <YAxis
+                        tick={{fontSize: 10, fill: '#9CA3AF'}}
+                        axisLine={false}
+                        tickLine={false}
+                        width={48}
+                        tickFormatter={(v) => `${(v * 100).toFixed(1)}%`}
+                      />
+                      <Tooltip
+                        contentStyle={{borderRadius: '8px', border: 'none', boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)'}}
+                        itemStyle={{fontSize: '12px'}}
+                        labelStyle={{color: '#6B7280', marginBottom: '4px', fontSize: '11px'}}
+                        formatter={(v) => fmtPct2(v)}
+                      />
+                      <Legend iconType="circle" wrapperStyle={{fontSize: '11px', paddingTop: '10px'}}/>
+                      <Bar dataKey="component" name="成分 VaR" fill="#2563eb" isAnimationActive={false} />
+                      <Bar dataKey="incremental" name="增量 VaR" fill="#f59e0b" isAnimationActive={false} />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </div>
+              </Card>
+            )}
           </div>
 
           <div className="h-4"></div> {/* Bottom spacer */}
@@ -2182,10 +5536,22 @@ export default function App() {
       <WeightsModal
         open={weightsOpen}
         onClose={() => setWeightsOpen(false)}
-        ids={portfolioIds}
+        ids={mode === "single" ? (singleId ? [singleId] : []) : portfolioIds}
         idToName={idToName}
         weightsById={weightsById}
         setWeightsById={setWeightsById}
+        sizing={sizing}
+        positionsById={positionsById}
+        setPositionsById={setPositionsById}
+        baseCcy={baseCcy}
+      />
+      <ScenarioModal
+        open={scenarioOpen}
+        onClose={() => setScenarioOpen(false)}
+        ids={idsAll}
+        idToName={idToName}
+        scenarios={scenarios}
+        setScenarios={setScenarios}
       />
 
     </div>
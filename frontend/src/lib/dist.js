@@ -0,0 +1,121 @@
+// 分布函数：主线程（App.jsx）与本地 MC Worker 共用同一份实现
+
+// Acklam 有理逼近 Φ⁻¹（相对误差 < 1.2e-9，与 var_engine.norm_ppf 一致）
+export function normPpf(p) {
+  const a = [
+    -3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2,
+    1.38357751867269e2, -3.066479806614716e1, 2.506628277459239,
+  ];
+  const b = [
+    -5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2,
+    6.680131188771972e1, -1.328068155288572e1,
+  ];
+  const c = [
+    -7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838,
+    -2.549732539343734, 4.374664141464968, 2.938163982698783,
+  ];
+  const d = [7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996, 3.754408661907416];
+  if (!(p > 0 && p < 1)) return NaN;
+  const pLow = 0.02425;
+  if (p >= pLow && p <= 1 - pLow) {
+    const q = p - 0.5;
+    const r = q * q;
+    return (
+      ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q) /
+      (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1)
+    );
+  }
+  const q = Math.sqrt(-2 * Math.log(p < 0.5 ? p : 1 - p));
+  const x =
+    (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+    ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  return p < 0.5 ? x : -x;
+}
+
+export function normPdf(x) {
+  return Math.exp(-0.5 * x * x) / Math.sqrt(2 * Math.PI);
+}
+
+// ==================== Student-t 分布 ====================
+// Lanczos 近似 lgamma
+export function lgamma(z) {
+  const g = 7;
+  const p = [
+    0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+    -176.61502916214059, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+    1.5056327351493116e-7,
+  ];
+  if (z < 0.5) return Math.log(Math.PI) - Math.log(Math.sin(Math.PI * z)) - lgamma(1 - z);
+  z -= 1;
+  let x0 = p[0];
+  for (let i = 1; i < p.length; i++) x0 += p[i] / (z + i);
+  const t = z + g + 0.5;
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(x0);
+}
+
+// 不完全 Beta 函数的连分式部分（修正 Lentz 法，对齐 var_engine._betacf）
+function betacf(a, b, x) {
+  const tiny = 1e-300;
+  const guard = (v) => (Math.abs(v) > tiny ? v : tiny);
+  const qab = a + b, qap = a + 1, qam = a - 1;
+  let c = 1;
+  let d = 1 / guard(1 - (qab * x) / qap);
+  let h = d;
+  for (let m = 1; m <= 300; m++) {
+    const m2 = 2 * m;
+    let aa = (m * (b - m) * x) / ((qam + m2) * (a + m2));
+    d = 1 / guard(1 + aa * d);
+    c = guard(1 + aa / c);
+    h *= d * c;
+    aa = (-(a + m) * (qab + m) * x) / ((a + m2) * (qap + m2));
+    d = 1 / guard(1 + aa * d);
+    c = guard(1 + aa / c);
+    const de = d * c;
+    h *= de;
+    if (Math.abs(de - 1) < 1e-14) break;
+  }
+  return h;
+}
+
+// 正则化不完全 Beta 函数 I_x(a, b)
+function betaincReg(a, b, x) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const lbt = lgamma(a + b) - lgamma(a) - lgamma(b) + a * Math.log(x) + b * Math.log1p(-x);
+  if (x < (a + 1) / (a + b + 2)) return (Math.exp(lbt) * betacf(a, b, x)) / a;
+  return 1 - (Math.exp(lbt) * betacf(b, a, 1 - x)) / b;
+}
+
+export function tPdf(x, nu) {
+  return Math.exp(
+    lgamma((nu + 1) / 2) - lgamma(nu / 2) - 0.5 * Math.log(nu * Math.PI) -
+      ((nu + 1) / 2) * Math.log1p((x * x) / nu)
+  );
+}
+
+// 标准 Student-t 分位数（与 var_engine.t_ppf 一致）：对上尾概率 0.5·I_{ν/(ν+x²)}(ν/2, 1/2) = 1 − p
+// 做带区间保护的 Newton 迭代，深尾也保持相对精度
+export function tPpf(p, nu) {
+  if (!(p > 0 && p < 1) || !(nu > 0)) return NaN;
+  if (p === 0.5) return 0;
+  if (p < 0.5) return -tPpf(1 - p, nu);
+  const target = 1 - p;
+  const tail = (x) => 0.5 * betaincReg(nu / 2, 0.5, nu / (nu + x * x));
+  const z = normPpf(p);
+  let lo = 0;
+  let hi = Math.max(1, z);
+  while (tail(hi) > target) {
+    lo = hi;
+    hi *= 2;
+  }
+  let x = Math.min(Math.max(z, lo), hi);
+  for (let i = 0; i < 100; i++) {
+    const f = tail(x) - target; // 关于 x 递减
+    if (f > 0) lo = x;
+    else hi = x;
+    if (Math.abs(f) <= 1e-15 * target || hi - lo <= 1e-13 * hi) break;
+    const nx = x + f / tPdf(x, nu);
+    x = nx > lo && nx < hi ? nx : 0.5 * (lo + hi);
+  }
+  return x;
+}
@@ -0,0 +1,172 @@
+// 拟合工具：主线程（App.jsx）与本地 MC Worker 共用同一份实现
+import { lgamma } from "./dist.js";
+
+// 无约束 Nelder-Mead 单纯形
+export function nelderMead(f, x0, maxIter = 600, tol = 1e-9) {
+  const n = x0.length;
+  let pts = [x0.slice()];
+  for (let i = 0; i < n; i++) {
+    const p = x0.slice();
+    p[i] += p[i] === 0 ? 0.5 : 0.2 * Math.abs(p[i]) + 0.1;
+    pts.push(p);
+  }
+  let vals = pts.map(f);
+
+  for (let it = 0; it < maxIter; it++) {
+    const order = vals.map((_, k) => k).sort((a, b) => vals[a] - vals[b]);
+    pts = order.map((k) => pts[k]);
+    vals = order.map((k) => vals[k]);
+    if (Math.abs(vals[n] - vals[0]) <= tol * (Math.abs(vals[0]) + tol)) break;
+
+    const centroid = x0.map((_, i) => pts.slice(0, n).reduce((s, p) => s + p[i], 0) / n);
+    const worst = pts[n];
+    const xr = centroid.map((c, i) => c + (c - worst[i]));
+    const fr = f(xr);
+    if (fr < vals[0]) {
+      const xe = centroid.map((c, i) => c + 2 * (c - worst[i]));
+      const fe = f(xe);
+      [pts[n], vals[n]] = fe < fr ? [xe, fe] : [xr, fr];
+    } else if (fr < vals[n - 1]) {
+      [pts[n], vals[n]] = [xr, fr];
+    } else {
+      const xc = centroid.map((c, i) => c + 0.5 * (worst[i] - c));
+      const fc = f(xc);
+      if (fc < vals[n]) {
+        [pts[n], vals[n]] = [xc, fc];
+      } else {
+        const best = pts[0];
+        pts = [best, ...pts.slice(1).map((p) => p.map((v, i) => best[i] + 0.5 * (v - best[i])))];
+        vals = [vals[0], ...pts.slice(1).map(f)];
+      }
+    }
+  }
+  let k = 0;
+  for (let i = 1; i <= n; i++) if (vals[i] < vals[k]) k = i;
+  return pts[k];
+}
+
+// t 分布连续 MLE（对齐 var_engine.fit_t_mle）：
+// 同时估计位置 μ、标准差 σ、非整数自由度 ν ∈ [2.1, dfMax]；skew=true 时为 Hansen 偏 t，另估 λ ∈ (-1, 1)（λ<0 左尾更厚）
+// 数据先标准化，对 (μ, ln σ, ν 的 logistic 变换, λ 的 tanh 变换) 做 Nelder-Mead；标准误由数值 Hessian 求逆得到
+const T_FIT_NU_MIN = 2.1;
+const T_FIT_LAM_MAX = 0.99;
+const T_FIT_NU_GRID = [3, 4, 5, 7, 10, 15, 25, 40, 60]; // ν 初值的粗网格
+
+// Hansen 偏 t 常数：c = Γ((ν+1)/2)/(√(π(ν-2))Γ(ν/2))，a = 4λc(ν-2)/(ν-1)，b² = 1 + 3λ² - a²
+export function skewtConsts(nu, lam) {
+  const c = Math.exp(lgamma((nu + 1) / 2) - lgamma(nu / 2)) / Math.sqrt(Math.PI * (nu - 2));
+  const a = (4 * lam * c * (nu - 2)) / (nu - 1);
+  return { c, a, b: Math.sqrt(1 + 3 * lam * lam - a * a) };
+}
+
+// 方差为 1 的偏 t 对数似然之和；lam=0 即方差为 1 的对称 t
+function skewtLoglike(z, nu, lam = 0) {
+  const { c, a, b } = skewtConsts(nu, lam);
+  const k = Math.log(b * c);
+  let sum = 0;
+  for (const v of z) {
+    const u = (b * v + a) / (v < -a / b ? 1 - lam : 1 + lam);
+    sum += k - ((nu + 1) / 2) * Math.log1p((u * u) / (nu - 2));
+  }
+  return sum;
+}
+
+function tFitNll(th, z, skew) {
+  const [mu, s, nu] = th;
+  const lam = skew ? th[3] : 0;
+  if (!(s > 0) || !(nu > 2) || !(Math.abs(lam) < 1)) return Infinity;
+  return -(skewtLoglike(z.map((v) => (v - mu) / s), nu, lam) - z.length * Math.log(s));
+}
+
+// 小方阵求逆（部分主元高斯-约当）；奇异时返回 null
+export function invertSmall(A) {
+  const n = A.length;
+  const M = A.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+  for (let i = 0; i < n; i++) {
+    let p = i;
+    for (let r = i + 1; r < n; r++) if (Math.abs(M[r][i]) > Math.abs(M[p][i])) p = r;
+    if (!(Math.abs(M[p][i]) > 1e-300)) return null;
+    [M[i], M[p]] = [M[p], M[i]];
+    const d = M[i][i];
+    for (let j = 0; j < 2 * n; j++) M[i][j] /= d;
+    for (let r = 0; r < n; r++) {
+      if (r === i) continue;
+      const f = M[r][i];
+      for (let j = 0; j < 2 * n; j++) M[r][j] -= f * M[i][j];
+    }
+  }
+  return M.map((row) => row.slice(n));
+}
+
+// 负对数似然的中心差分 Hessian 求逆取对角线开方；free 之外（落在搜索边界）的参数 SE 为 NaN
+function hessianSe(f, th, free) {
+  const h = th.map((t) => 1e-4 * Math.max(1, Math.abs(t)));
+  const at = (...shifts) => {
+    const x = th.slice();
+    for (const [i, d] of shifts) x[i] += d * h[i];
+    return f(x);
+  };
+  const f0 = f(th);
+  const k = free.length;
+  const H = Array.from({ length: k }, () => new Array(k).fill(0));
+  for (let a = 0; a < k; a++) {
+    const i = free[a];
+    H[a][a] = (at([i, 1]) - 2 * f0 + at([i, -1])) / (h[i] * h[i]);
+    for (let b = a + 1; b < k; b++) {
+      const j = free[b];
+      H[a][b] = H[b][a] =
+        (at([i, 1], [j, 1]) - at([i, 1], [j, -1]) - at([i, -1], [j, 1]) + at([i, -1], [j, -1])) / (4 * h[i] * h[j]);
+    }
+  }
+  const se = th.map(() => NaN);
+  const cov = invertSmall(H);
+  if (cov) free.forEach((i, a) => cov[a][a] > 0 && (se[i] = Math.sqrt(cov[a][a])));
+  return se;
+}
+
+// 返回 { mu, sigma, nu, lam, skew, ll, aic, k, n, se:{mu, sigma, nu, lam?} }；有效样本不足 5 条或方差为 0 时返回 null
+export function fitTMLE(r, dfMax = 60, skew = false) {
+  const x = r.filter(Number.isFinite);
+  const n = x.length;
+  if (n < 5) return null;
+  const m = x.reduce((acc, v) => acc + v, 0) / n;
+  const sd = Math.sqrt(x.reduce((acc, v) => acc + (v - m) * (v - m), 0) / (n - 1));
+  if (!(sd > 0)) return null;
+  const z = x.map((v) => (v - m) / sd);
+  const hi = Math.max(dfMax, 3);
+  const unpack = (p) => [
+    p[0],
+    Math.exp(p[1]),
+    T_FIT_NU_MIN + (hi - T_FIT_NU_MIN) * 0.5 * (1 + Math.tanh(0.5 * p[2])),
+    ...(skew ? [T_FIT_LAM_MAX * Math.tanh(p[3])] : []),
+  ];
+  const nll = (p) => {
+    const v = tFitNll(unpack(p), z, skew);
+    return Number.isFinite(v) ? v : 1e100;
+  };
+
+  const grid = T_FIT_NU_GRID.filter((g) => g <= hi);
+  if (!grid.length) grid.push(hi);
+  let nu0 = grid[0];
+  let best = Infinity;
+  for (const g of grid) {
+    const v = tFitNll([0, 1, g, ...(skew ? [0] : [])], z, skew);
+    if (v < best) {
+      best = v;
+      nu0 = g;
+    }
+  }
+  const frac = Math.min(Math.max((nu0 - T_FIT_NU_MIN) / (hi - T_FIT_NU_MIN), 1e-3), 1 - 1e-3);
+  let p = [0, 0, Math.log(frac / (1 - frac)), ...(skew ? [0] : [])];
+  for (let i = 0; i < 2; i++) p = nelderMead(nll, p, 2000, 1e-12); // 重启一次，避免单纯形过早收缩
+
+  const th = unpack(p);
+  const atBound = th[2] - T_FIT_NU_MIN < 1e-3 || hi - th[2] < 1e-3 * hi;
+  const free = th.map((_, i) => i).filter((i) => !(i === 2 && atBound));
+  const seZ = hessianSe((v) => tFitNll(v, z, skew), th, free);
+  const k = th.length;
+  const ll = -tFitNll(th, z, skew) - n * Math.log(sd);
+  const se = { mu: sd * seZ[0], sigma: sd * seZ[1], nu: seZ[2] };
+  if (skew) se.lam = seZ[3];
+  return { mu: m + sd * th[0], sigma: sd * th[1], nu: th[2], lam: skew ? th[3] : 0, skew, ll, aic: 2 * k - 2 * ll, k, n, se };
+}
@@ -1,25 +1,10 @@
 /* eslint-disable no-restricted-globals */
+import { lgamma, normPpf } from "../lib/dist.js";
+import { fitTMLE, skewtConsts } from "../lib/fit.js";
+
+// 标准正态分位数（Φ⁻¹ 与主线程共用 lib/dist.js）
 function zFromConf(conf){
-  if (Math.abs(conf-0.95) < 1e-6) return 1.645;
-  if (Math.abs(conf-0.99) < 1e-6) return 2.33;
-  // Moro approximation (和你 Python 版一致)
-  const a=[2.50662823884,-18.61500062529,41.39119773534,-25.44106049637];
-  const b=[-8.47351093090,23.08336743743,-21.06224101826,3.13082909833];
-  const c=[0.3374754822726147,0.9761690190917186,0.1607979714918209,
-           0.0276438810333863,0.0038405729373609,0.0003951896511919,
-           0.0000321767881768,0.0000002888167364,0.0000003960315187];
-  const y=conf-0.5;
-  if (Math.abs(y)<0.42){
-    const r=y*y;
-    const num=y*(((a[3]*r+a[2])*r+a[1])*r+a[0]);
-    const den=((((b[3]*r+b[2])*r+b[1])*r+b[0])*r+1.0);
-    return num/den;
-  }
-  let r = y<=0? conf : 1-conf;
-  r = Math.log(-Math.log(r));
-  let x=c[0];
-  for(let i=1;i<c.length;i++) x += c[i]*Math.pow(r,i);
-  return y>0? x : -x;
+  return normPpf(conf);
 }
 
 function mean(arr){
@@ -31,54 +16,49 @@ function std(arr){
   return Math.sqrt(s/(arr.length-1));
 }
 
-// 简单 t df 拟合（你的网格 MLE）
-function studentTLoglike(x, df){
-  // 用近似 lgamma
-  function lgamma(z){
-    // Lanczos approx
-    const g=7;
-    const p=[0.99999999999980993,676.5203681218851,-1259.1392167224028,
-      771.32342877765313,-176.61502916214059,12.507343278686905,
-      -0.13857109526572012,9.9843695780195716e-6,1.5056327351493116e-7];
-    if(z<0.5) return Math.log(Math.PI)-Math.log(Math.sin(Math.PI*z))-lgamma(1-z);
-    z-=1;
-    let x0=p[0];
-    for(let i=1;i<p.length;i++) x0+=p[i]/(z+i);
-    const t=z+g+0.5;
-    return 0.5*Math.log(2*Math.PI)+(z+0.5)*Math.log(t)-t+Math.log(x0);
-  }
-  const a = lgamma((df+1)/2) - lgamma(df/2) - 0.5*Math.log(df*Math.PI);
-  let sum=0;
-  for(const v of x){
-    sum += a - (df+1)/2 * Math.log(1+(v*v)/df);
-  }
-  return sum;
+// 随机：未给种子时用 Math.random；给定种子时每个模拟块使用由 (seed, 块号) 派生的独立 sfc32 流，
+// 块的划分与线程数无关，因此同一种子在任何机器上得到相同结果
+let rand=Math.random;
+
+function splitmix32(a){
+  return ()=>{
+    a=(a+0x9e3779b9)|0;
+    let t=a^(a>>>16);
+    t=Math.imul(t,0x21f0aaad);
+    t^=t>>>15;
+    t=Math.imul(t,0x735a2d97);
+    return (t^(t>>>15))>>>0;
+  };
 }
-function fitTDfMLE(r, dfMin=3, dfMax=60){
-  const mu=mean(r), sigma=std(r);
-  if(sigma<=0) return 5;
-  const x=r.map(v=>(v-mu)/sigma);
-  let bestDf=dfMin, bestLL=-1e100;
-  for(let df=dfMin; df<=dfMax; df++){
-    const ll=studentTLoglike(x, df);
-    if(ll>bestLL){ bestLL=ll; bestDf=df; }
-  }
-  return bestDf;
+function seededUniform(seed, stream){
+  const sm=splitmix32((seed^Math.imul(stream+1,0x85ebca6b))>>>0);
+  let a=sm(), b=sm(), c=sm(), d=sm();
+  return ()=>{
+    const t=(((a+b)|0)+d)|0;
+    d=(d+1)|0;
+    a=b^(b>>>9);
+    b=(c+(c<<3))|0;
+    c=(c<<21)|(c>>>11);
+    c=(c+t)|0;
+    return (t>>>0)/4294967296;
+  };
+}
+function useSeed(seed, stream){
+  rand = seed==null ? Math.random : seededUniform(seed, stream);
 }
 
-// 随机
 function randn(){
   // Box-Muller
   let u=0,v=0;
-  while(u===0)u=Math.random();
-  while(v===0)v=Math.random();
+  while(u===0)u=rand();
+  while(v===0)v=rand();
   return Math.sqrt(-2.0*Math.log(u))*Math.cos(2.0*Math.PI*v);
 }
 // Marsaglia-Tsang Gamma sampler
 function randGamma(k){
   if (k < 1){
     // boost for k<1
-    const u = Math.random();
+    const u = rand();
     return randGamma(1+k) * Math.pow(u, 1/k);
   }
   const d = k - 1/3;
@@ -88,7 +68,7 @@ function randGamma(k){
     let v = 1 + c*x;
     if (v <= 0) continue;
     v = v*v*v;
-    const u = Math.random();
+    const u = rand();
     if (u < 1 - 0.0331*(x*x)*(x*x)) return d*v;
     if (Math.log(u) < 0.5*x*x + d*(1 - v + Math.log(v))) return d*v;
   }
@@ -108,67 +88,652 @@ function randStdT(df){
 
 // quantile
 function quantile(arr, q){
-  const a=[...arr].sort((x,y)=>x-y);
+  const a=Float64Array.from(arr).sort();
   const pos=(a.length-1)*q;
   const base=Math.floor(pos);
   const rest=pos-base;
   if(a[base+1]!==undefined) return a[base]+rest*(a[base+1]-a[base]);
   return a[base];
 }
+// VaR/ES 及 MC 抽样误差（对齐 var_engine._var_es + _mc_error，只排序一次）：
+// ES 为收益左尾（<= 分位点）均值取负，VaR/ES 及区间均按 0 截断；
+// VaR 区间取收益第 p(n-1) ± z√(np(1-p)) 个次序统计量（p=1-conf），ES 用渐近方差
+const CI_Z=1.959963984540054;
+function varEsCi(Rs, conf){
+  const a=Float64Array.from(Rs).sort();
+  const n=a.length, p=1-conf;
+  const pos=(n-1)*p, base=Math.floor(pos);
+  const q=base+1<n ? a[base]+(pos-base)*(a[base+1]-a[base]) : a[base];
+  let s=0, s2=0, m=0;
+  for(let i=0;i<n && a[i]<=q;i++){ s+=a[i]; s2+=a[i]*a[i]; m++; }
+  const tm=m>0 ? s/m : q;
+  const out={ var: Math.max(0,-q), es: Math.max(0,-tm) };
+  if(n<2) return out;
 
-self.onmessage = (e)=>{
-  const { task, payload } = e.data;
+  const half=CI_Z*Math.sqrt(n*p*(1-p));
+  const lo=Math.max(0,Math.floor(pos-half)), hi=Math.min(n-1,Math.ceil(pos+half));
+  const tailVar=m>1 ? Math.max(0,(s2-m*tm*tm)/(m-1)) : 0;
+  const esSe=Math.sqrt((tailVar+conf*(tm-q)**2)/(n*p));
+  const es=-tm;
+  out.varSe=(a[hi]-a[lo])/(2*CI_Z);
+  out.varCi=[Math.max(0,-a[hi]), Math.max(0,-a[lo])];
+  out.esSe=esSe;
+  out.esCi=[Math.max(0,es-CI_Z*esSe), Math.max(0,es+CI_Z*esSe)];
+  return out;
+}
 
-  if(task==="mcSingle"){
-    const { r, conf, T, sims, method, dfMax } = payload;
-    const ztail=1-conf;
+// 输入校验（与 var_engine._validate_inputs 一致）
+const MAX_SIMS=2000000, MAX_T=2500, MAX_SIM_ELEMS=60000000;
+function validate(conf, T, sims){
+  if(!(conf>0 && conf<1)) throw new Error("conf must be in (0, 1)");
+  if(!(T>=1)) throw new Error("T must be >= 1");
+  if(!(sims>=1)) throw new Error("sims must be >= 1");
+  if(sims>MAX_SIMS) throw new Error(`sims too large (max=${MAX_SIMS})`);
+  if(T>MAX_T) throw new Error(`T too large (max=${MAX_T})`);
+  if(sims*T>MAX_SIM_ELEMS) throw new Error(`sims*T too large (max=${MAX_SIM_ELEMS})`);
+}
 
-    if(r.length<2){
-      self.postMessage({ok:true, var:NaN});
-      return;
-    }
+// 批量口径（对齐 var_engine._validate_grid）：confs × Ts 一次算完
+const MAX_BATCH=10;
+function validateGrid(confs, Ts, sims, seed){
+  if(seed!=null && !(Number.isInteger(seed) && seed>=0 && seed<2**32)) throw new Error("seed must be an integer in [0, 2^32)");
+  if(!confs?.length || !Ts?.length) throw new Error("confs and Ts must be non-empty");
+  if(confs.length>MAX_BATCH || Ts.length>MAX_BATCH) throw new Error(`too many confs/Ts (max=${MAX_BATCH} each)`);
+  for(const c of confs) validate(c, Math.max(...Ts), sims);
+  if(Ts.some(T=>!(T>=1))) throw new Error("T must be >= 1");
+}
 
-    const mu=mean(r), sigma=std(r);
+// 共享日度抽样：每条路径只模拟到 max(Ts) 日，第 h 日结束时写入 slots[h] 中各期限的快照
+function horizonSlots(Ts){
+  const slots=Array.from({length:Math.max(...Ts)+1},()=>[]);
+  Ts.forEach((T,j)=>slots[T].push(j));
+  return slots;
+}
+
+// ==================== 方差缩减（对齐 var_engine._simulate_vr / _vr_error） ====================
+// 仅 normal / t_mc：按期限增量 R_{H_k} = scale·Σ_{j≤k} √V_j·Z_j 构造，只对 d 个正态维度 Z 做方差缩减
+// （antithetic 成对取 ±Z；sobol 用 Φ⁻¹(Sobol 点)，每批独立随机数字移位；is 把 Z 均值下移并记似然比）
+const VR_SCHEMES=["none","antithetic","sobol","is"];
+const VR_BATCHES=20;
+
+// Joe-Kuo new-joe-kuo-6.21201 第 2~11 维：[s, a, m_1..m_s]；第 1 维为 van der Corput
+const SOBOL_JK=[
+  [1,0,[1]], [2,1,[1,3]], [3,1,[1,3,1]], [3,2,[1,1,1]], [4,1,[1,1,3,3]],
+  [4,4,[1,3,5,13]], [5,2,[1,1,5,5,17]], [5,4,[1,1,5,5,5]], [5,7,[1,1,7,11,19]], [5,11,[1,1,5,1,1]],
+];
+function sobolDirections(d){
+  const V=[Uint32Array.from({length:32},(_,b)=>2**(31-b))];
+  for(let j=1;j<d;j++){
+    const [s,a,m]=SOBOL_JK[j-1];
+    const v=new Uint32Array(33);
+    for(let i=1;i<=s;i++) v[i]=m[i-1]*2**(32-i);
+    for(let i=s+1;i<=32;i++){
+      v[i]=v[i-s]^(v[i-s]>>>s);
+      for(let k=1;k<s;k++) if((a>>>(s-1-k))&1) v[i]^=v[i-k];
+    }
+    V.push(v.slice(1));
+  }
+  return V;
+}
+// 第 idx 个 Sobol 点（Gray 码构造）异或数字移位 shift，取格点中心 → (0,1)，写入 u
+function sobolPoint(V, idx, shift, u){
+  const gray=(idx^(idx>>>1))>>>0;
+  for(let j=0;j<V.length;j++){
+    let x=shift[j];
+    for(let b=0;b<32 && gray>>>b;b++) if((gray>>>b)&1) x^=V[j][b];
+    u[j]=((x>>>0)+0.5)/4294967296;
+  }
+}
 
-    if(method==="normal"){
-      const Rs=new Float64Array(sims);
-      for(let k=0;k<sims;k++){
-        let sum=0;
-        for(let t=0;t<T;t++) sum += mu + sigma*randn();
-        Rs[k]=sum;
+// k 条路径（全局下标 offset..offset+k-1）；每条路径写 Ts.length 个 T 日收益，is 时其后再写同样个数的似然比
+function simulateSingleVr({ Ts, sims, vr }, params, k, offset){
+  const { scale, nu, theta, shifts, width } = params;
+  const H=[...new Set(Ts)].sort((a,b)=>a-b), d=H.length;
+  const dH=H.map((h,j)=>h-(j ? H[j-1] : 0));
+  const col=Ts.map(T=>H.indexOf(T));
+  const muZ=dH.map(x=>vr==="is" ? -theta*Math.sqrt(x) : 0);
+  const V=vr==="sobol" ? sobolDirections(d) : null;
+  const nT=Ts.length;
+  const out=new Float64Array(k*width);
+  const Z=new Array(d), W=new Array(d), u=new Array(d), RH=new Array(d), LH=new Array(d);
+  for(let i=0;i<k;i++){
+    if(vr==="antithetic" && i%2===1){
+      for(let j=0;j<d;j++) Z[j]=-Z[j];
+    }else{
+      if(vr==="sobol"){
+        const g=offset+i, b=Math.floor(g*VR_BATCHES/sims);
+        sobolPoint(V, g-Math.floor((b*sims+VR_BATCHES-1)/VR_BATCHES), shifts[b], u);
+        for(let j=0;j<d;j++) Z[j]=normPpf(u[j]);
+      }else{
+        for(let j=0;j<d;j++) Z[j]=randn()+muZ[j];
+      }
+      for(let j=0;j<d;j++){
+        if(!nu){ W[j]=dH[j]; continue; }
+        let s=0;
+        for(let h=0;h<dH[j];h++) s+=nu/randChiSquare(nu);
+        W[j]=s;
       }
-      const v = -quantile(Rs, ztail);
-      self.postMessage({ok:true, var:v, mu, sigma});
-      return;
     }
+    let sum=0, ll=0;
+    for(let j=0;j<d;j++){
+      sum+=scale*Math.sqrt(W[j])*Z[j];
+      ll+=-muZ[j]*Z[j]+0.5*muZ[j]*muZ[j];
+      RH[j]=sum; LH[j]=ll;
+    }
+    for(let j=0;j<nT;j++){
+      out[i*width+j]=RH[col[j]];
+      if(vr==="is") out[i*width+nT+j]=Math.exp(LH[col[j]]);
+    }
+  }
+  return out;
+}
+
+// 损失的 q 分位数；w 为 IS 似然比时取满足 (1/n)·Σ w·1{L ≥ x} ≥ 1 − q 的最大 x
+function weightedLossQuantile(losses, q, w){
+  if(!w) return quantile(losses, q);
+  const n=losses.length;
+  const order=Uint32Array.from({length:n},(_,i)=>i).sort((a,b)=>losses[b]-losses[a]);
+  let tail=0;
+  for(let k=0;k<n;k++){
+    tail+=w[order[k]]/n;
+    if(tail>=1-q) return losses[order[k]];
+  }
+  return losses[order[n-1]];
+}
+function weightedVarEs(Rs, conf, w){
+  if(!w){
+    const { var: v, es } = varEsCi(Rs, conf);
+    return { var: v, es };
+  }
+  const losses=Rs.map(x=>-x);
+  const v=weightedLossQuantile(losses, conf, w);
+  let sw=0, swl=0;
+  for(let i=0;i<losses.length;i++) if(losses[i]>=v){ sw+=w[i]; swl+=w[i]*losses[i]; }
+  return { var: Math.max(0,v), es: Math.max(0, sw>0 ? swl/sw : v) };
+}
+// 批均值 SE / 95% 区间 与 vrFactor（普通 MC 同 K 下的 VaR 方差 / 实际方差）
+function vrError(Rs, conf, w, est){
+  const n=Rs.length;
+  if(n<2*VR_BATCHES) return {};
+  const per=[];
+  for(let b=0;b<VR_BATCHES;b++){
+    const s=Math.floor((b*n+VR_BATCHES-1)/VR_BATCHES), e=Math.floor(((b+1)*n+VR_BATCHES-1)/VR_BATCHES);
+    per.push(weightedVarEs(Rs.subarray(s,e), conf, w ? w.subarray(s,e) : null));
+  }
+  const varSe=std(per.map(p=>p.var))/Math.sqrt(VR_BATCHES);
+  const esSe=std(per.map(p=>p.es))/Math.sqrt(VR_BATCHES);
+  const losses=Rs.map(x=>-x), delta=0.2*(1-conf);
+  const sparsity=(weightedLossQuantile(losses, conf+delta, w)-weightedLossQuantile(losses, conf-delta, w))/(2*delta);
+  const plainSe=sparsity*Math.sqrt(conf*(1-conf)/n);
+  return {
+    varSe,
+    varCi: [Math.max(0,est.var-CI_Z*varSe), Math.max(0,est.var+CI_Z*varSe)],
+    esSe,
+    esCi: [Math.max(0,est.es-CI_Z*esSe), Math.max(0,est.es+CI_Z*esSe)],
+    vrFactor: varSe>0 ? (plainSe/varSe)**2 : NaN,
+  };
+}
+
+// ==================== 块 Bootstrap（对齐 var_engine：auto_block_length / _block_bootstrap_paths） ====================
+// block：移动块，块长固定、起点均匀；stationary：Politis-Romano 平稳 bootstrap，每日以概率 1/b 另起新块，否则循环顺延
+const BOOT_SCHEMES=["iid","block","stationary"];
+
+function flatTop(t){ const a=Math.abs(t); return a<=0.5 ? 1 : a<=1 ? 2*(1-a) : 0; }
+// Politis-White (2004) 自动块长（含 2009 修正）：b = (2G²/D)^{1/3} n^{1/3}，截断在 [1, min(3√n, n/3)]
+function pwBlockLength(x0, scheme){
+  const n=x0.length, m=mean(x0), x=x0.map(v=>v-m);
+  const kn=Math.max(5,Math.ceil(Math.sqrt(Math.log10(n))));
+  const mMax=Math.ceil(Math.sqrt(n))+kn, bMax=Math.max(1,Math.min(3*Math.sqrt(n),n/3));
+  const lags=Math.min(mMax+kn,n-1);
+  const acv=[];
+  for(let k=0;k<=lags;k++){ let s=0; for(let i=0;i+k<n;i++) s+=x[i]*x[i+k]; acv.push(s/n); }
+  if(!(acv[0]>0)) return 1;
+  const crit=2*Math.sqrt(Math.log10(n)/n);
+  let mHat=mMax;
+  for(let mm=0;mm<=lags-kn;mm++){
+    let ok=true;
+    for(let j=1;j<=kn;j++) if(Math.abs(acv[mm+j]/acv[0])>=crit){ ok=false; break; }
+    if(ok){ mHat=mm; break; }
+  }
+  const M=Math.min(2*Math.max(mHat,1),lags);
+  let g=0, G=0;
+  for(let k=-M;k<=M;k++){ const w=flatTop(k/M)*acv[Math.abs(k)]; g+=w; G+=w*Math.abs(k); }
+  const D=(scheme==="stationary" ? 2 : 4/3)*g*g;
+  if(!(D>0 && G!==0)) return 1;
+  return Math.min(Math.max(Math.cbrt(2*G*G/D)*Math.cbrt(n),1),bMax);
+}
+// 收益与平方收益各求一次取较大者：前者对应序列相关，后者对应波动聚集
+function autoBlockLength(r, scheme){
+  if(r.length<8) return 1;
+  return Math.max(pwBlockLength(r,scheme), pwBlockLength(r.map(v=>v*v),scheme));
+}
+
+// ==================== 单序列 MC（对齐 var_engine.mc_single_batch） ====================
+// 计算拆成三步，便于主线程 Worker 池分块并行：
+//   prepare（拟合参数，只做一次）→ simulate（每块独立模拟 k 条路径）→ finish（合并后求各 (c, T) 的 VaR/ES）
+// μ=0，t 的标准差取连续 MLE 的 σ̂（见 fitTMLE），FHS 使用主线程传入的 GARCH 拟合结果
+// simulate 的结果按路径行主序排列：每条路径 Ts.length 个 T 日收益（params.width）
+
+function prepareSingle({ r, confs, Ts, sims, method, dfMax, garch, seed, vr="none", tDist="t", boot="iid", blockLen=0 }){
+  validateGrid(confs, Ts, sims, seed);
+  if(!["normal","t_mc","bootstrap","fhs"].includes(method)) throw new Error(`Unknown method: ${method}`);
+  if(!VR_SCHEMES.includes(vr)) throw new Error(`Unknown variance reduction: ${vr}`);
+  if(vr!=="none" && !["normal","t_mc"].includes(method)) throw new Error("variance reduction only applies to normal / t_mc");
+  if(!["t","skewt"].includes(tDist)) throw new Error(`Unknown t distribution: ${tDist}`);
+  if(vr!=="none" && method==="t_mc" && tDist==="skewt") throw new Error("variance reduction does not support skewed t");
+  if(!BOOT_SCHEMES.includes(boot)) throw new Error(`Unknown bootstrap scheme: ${boot}`);
+  if(boot!=="iid" && method!=="bootstrap") throw new Error("block bootstrap only applies to bootstrap");
+  if(!(blockLen>=0)) throw new Error("blockLen must be >= 0 (0 = auto)");
+  r=r.filter(Number.isFinite);
+  if(r.length<2){
+    const grid=confs.map(conf=>Ts.map(T=>({conf, T, var:NaN, es:NaN})));
+    return {done:{ok:true, grid, diagnostics:{n:r.length, sims}}};
+  }
+
+  let sigma=std(r);
+  const ok=Number.isFinite(sigma) && sigma>0;
+  // t_mc：连续 MLE 得到 σ̂、ν̂（偏 t 另有 λ̂）；σ 退化时路径恒为 0，样本过少时退回样本 σ、ν=5
+  const tFit=method==="t_mc" && ok ? fitTMLE(r, dfMax, tDist==="skewt") : null;
+  if(tFit) sigma=tFit.sigma;
+  const nu=method==="t_mc" ? (tFit ? tFit.nu : 5) : null;
+  if(vr!=="none"){
+    // is 时每条路径多存一组似然比
+    const scale=!ok ? 0 : nu ? sigma*Math.sqrt((nu-2)/nu) : sigma;
+    const d=new Set(Ts).size;
+    return {params:{
+      r, sigma, nu, scale, tFit,
+      width: Ts.length*(vr==="is" ? 2 : 1),
+      theta: vr==="is" ? normPpf(Math.max(...confs))/Math.sqrt(Math.max(...Ts)) : 0,
+      shifts: vr==="sobol" ? Array.from({length:VR_BATCHES},()=>Array.from({length:d},()=>(rand()*4294967296)>>>0)) : null,
+    }};
+  }
+  const width=Ts.length;
+  if(method==="t_mc"){
+    const scale=ok ? sigma*Math.sqrt((nu-2)/nu) : 0;
+    return {params:{r, sigma, width, nu, scale, tFit, lam: tFit ? tFit.lam : 0}};
+  }
+  if(method==="fhs"){
+    if(!garch) throw new Error("FHS 需要 GARCH(1,1) 拟合结果（有效收益至少 50 条）");
+    return {params:{r, sigma: Math.sqrt(garch.sig2Next), width, garch}};
+  }
+  if(method==="bootstrap" && boot!=="iid"){
+    return {params:{r, sigma, width, boot, blockLen: blockLen>0 ? blockLen : autoBlockLength(r,boot), blockAuto: !(blockLen>0)}};
+  }
+  return {params:{r, sigma, width}};
+}
+
+// 返回“新路径”工厂：每次调用得到一个逐日产出收益的函数（FHS 需要逐路径的方差状态）
+function singleDaySampler(method, params){
+  const { r, sigma } = params;
+  if(method==="normal") return ()=>()=>sigma*randn();
+  if(method==="t_mc"){
+    const { nu, scale, lam } = params;
+    if(!lam) return ()=>()=>scale*randStdT(nu);
+    // Hansen 偏 t：|t_ν| 以概率 (1−λ)/2 放到左支、(1+λ)/2 放到右支，再做标准化
+    const { a, b } = skewtConsts(nu, lam);
+    return ()=>()=>{
+      const t=Math.abs(randStdT(nu))*(rand()<(1-lam)/2 ? -(1-lam) : 1+lam);
+      return (scale*t-sigma*a)/b;
+    };
+  }
+  if(method==="fhs"){
+    const { omega, alpha, beta, sig2Next, resid } = params.garch;
+    return ()=>{
+      let s2=sig2Next;
+      return ()=>{
+        const rh=Math.sqrt(s2)*resid[(rand()*resid.length)|0];
+        s2=omega+alpha*rh*rh+beta*s2;
+        return rh;
+      };
+    };
+  }
+  // bootstrap
+  const n=r.length;
+  if(params.boot==="block"){
+    const L=Math.min(Math.max(Math.round(params.blockLen),1),n);
+    return ()=>{
+      let i=0, left=0;
+      return ()=>{
+        if(!left){ i=(rand()*(n-L+1))|0; left=L; }
+        left--;
+        return r[i++];
+      };
+    };
+  }
+  if(params.boot==="stationary"){
+    const p=1/Math.max(params.blockLen,1);
+    return ()=>{
+      let i=-1;
+      return ()=>{
+        i=i<0 || rand()<p ? (rand()*n)|0 : (i+1)%n;
+        return r[i];
+      };
+    };
+  }
+  return ()=>()=>r[(rand()*n)|0];
+}
+
+function simulateSingle(payload, params, k, offset=0){
+  const { Ts, method, vr="none" } = payload;
+  if(vr!=="none") return simulateSingleVr(payload, params, k, offset);
+  const nT=Ts.length, slots=horizonSlots(Ts), tMax=slots.length-1;
+  const out=new Float64Array(k*nT);
+  const newPath=singleDaySampler(method, params);
+  for(let i=0;i<k;i++){
+    const next=newPath();
+    let sum=0;
+    for(let h=1;h<=tMax;h++){
+      sum+=next();
+      for(const j of slots[h]) out[i*nT+j]=sum;
+    }
+  }
+  return out;
+}
+
+// 取出第 j 个期限的 T 日收益（路径行主序，每条路径 width 个值，组合时为 width=Ts.length*m）
+function horizonColumn(buf, sims, width, j){
+  const Rs=new Float64Array(sims);
+  for(let i=0;i<sims;i++) Rs[i]=buf[i*width+j];
+  return Rs;
+}
+
+function finishSingle({ confs, Ts, sims, method, seed, vr="none" }, params, buf){
+  const cols=Ts.map((T,j)=>horizonColumn(buf, sims, params.width, j));
+  const lrs=vr==="is" ? Ts.map((T,j)=>horizonColumn(buf, sims, params.width, Ts.length+j)) : null;
+  const grid=confs.map(conf=>Ts.map((T,j)=>{
+    let cell;
+    if(vr==="none"){
+      cell={conf, T, ...varEsCi(cols[j], conf)};
+    }else{
+      const w=lrs ? lrs[j] : null;
+      const est=weightedVarEs(cols[j], conf, w);
+      cell={conf, T, ...est, ...vrError(cols[j], conf, w, est)};
+    }
+    if(method==="t_mc") cell.z=zFromConf(conf);
+    return cell;
+  }));
+  const out={ok:true, grid, diagnostics:{n:params.r.length, sims, tMax:Math.max(...Ts), seed: seed ?? null, vr}};
+  if(vr==="is") out.diagnostics.isTheta=params.theta;
+  if(method==="bootstrap"){
+    if(params.boot) Object.assign(out, { boot: params.boot, blockLen: params.blockLen, blockAuto: params.blockAuto });
+    return out;
+  }
+  out.mu=0;
+  out.sigma=params.sigma;
+  if(method==="t_mc"){
+    out.nu=params.nu;
+    if(params.tFit) out.tFit=params.tFit;
+  }
+  if(method==="fhs"){
+    const { omega, alpha, beta } = params.garch;
+    Object.assign(out, { omega, alpha, beta });
+  }
+  return out;
+}
+
+// ==================== 组合多元 MC（对齐 var_engine.mc_portfolio_batch） ====================
+
+function covMatrix(X){
+  const n=X.length, m=X[0].length;
+  const mu=new Array(m).fill(0);
+  for(const row of X) for(let j=0;j<m;j++) mu[j]+=row[j]/n;
+  const C=Array.from({length:m},()=>new Array(m).fill(0));
+  for(const row of X){
+    for(let i=0;i<m;i++){
+      const di=row[i]-mu[i];
+      for(let j=i;j<m;j++) C[i][j]+=di*(row[j]-mu[j]);
+    }
+  }
+  for(let i=0;i<m;i++) for(let j=i;j<m;j++){ C[i][j]/=(n-1); C[j][i]=C[i][j]; }
+  return C;
+}
 
+// 半正定 Cholesky：主元 <= 0 时该列置 0（后端为特征值截断，两者对正定矩阵一致）
+function cholPsd(C){
+  const m=C.length;
+  const L=Array.from({length:m},()=>new Array(m).fill(0));
+  for(let j=0;j<m;j++){
+    let d=C[j][j];
+    for(let k=0;k<j;k++) d-=L[j][k]*L[j][k];
+    if(d<=1e-300) continue;
+    L[j][j]=Math.sqrt(d);
+    for(let i=j+1;i<m;i++){
+      let s=C[i][j];
+      for(let k=0;k<j;k++) s-=L[i][k]*L[j][k];
+      L[i][j]=s/L[j][j];
+    }
+  }
+  return L;
+}
+
+// 多元 t 对数似然（协方差固定为 C，形状 S = C(ν-2)/ν）；需要 C 正定
+function mvtLoglike(X, L, df){
+  const m=L.length, n=X.length;
+  const c=(df-2)/df;
+  let logdet=0;
+  for(let i=0;i<m;i++) logdet+=2*Math.log(L[i][i]);
+  logdet+=m*Math.log(c);
+  let sum=0;
+  const y=new Array(m);
+  for(const row of X){
+    // L y = x → d = |y|² / c
+    let d=0;
+    for(let i=0;i<m;i++){
+      let s=row[i];
+      for(let k=0;k<i;k++) s-=L[i][k]*y[k];
+      y[i]=s/L[i][i];
+      d+=y[i]*y[i];
+    }
+    sum+=Math.log1p(d/c/df);
+  }
+  const a=lgamma((df+m)/2)-lgamma(df/2)-0.5*m*Math.log(df*Math.PI)-0.5*logdet;
+  return n*a-(df+m)/2*sum;
+}
+
+function fitMvtDfMLE(X, L, dfMin=3, dfMax=60){
+  if(L.some((row,i)=>!(row[i]>0))) return dfMax;
+  let bestDf=dfMin, bestLL=-1e100;
+  for(let df=dfMin; df<=dfMax; df++){
+    const ll=mvtLoglike(X, L, df);
+    if(ll>bestLL){ bestLL=ll; bestDf=df; }
+  }
+  return bestDf;
+}
+
+// 组合 VaR 分解（对齐 var_engine.decompose_mc）
+// 第 k 条路径第 j 腿取 legs[k*stride+off+j]（stride/off 用于从多期限缓冲区中取某一期限）
+function decomposeMC(legs, w, sims, conf, varP, stride=w.length, off=0){
+  const m=w.length;
+  const leg=(k,j)=>legs[k*stride+off+j];
+  const losses=new Float64Array(sims);
+  for(let k=0;k<sims;k++){
+    let s=0;
+    for(let j=0;j<m;j++) s-=w[j]*leg(k,j);
+    losses[k]=s;
+  }
+  const order=Uint32Array.from({length:sims},(_,i)=>i).sort((a,b)=>losses[a]-losses[b]);
+  const center=Math.round(conf*(sims-1));
+  const half=Math.max(50, Math.floor(0.0025*sims));
+  const lo=Math.max(0,center-half), hi=Math.min(sims,center+half+1);
+  const component=new Array(m).fill(0);
+  for(let b=lo;b<hi;b++){
+    const k=order[b];
+    for(let j=0;j<m;j++) component[j]-=w[j]*leg(k,j)/(hi-lo);
+  }
+  const total=component.reduce((a,b)=>a+b,0);
+  if(varP>0 && Math.abs(total)>1e-15) for(let j=0;j<m;j++) component[j]*=varP/total;
+
+  const vRaw=quantile(losses, conf);
+  const componentEs=new Array(m).fill(0);
+  let nTail=0;
+  for(let k=0;k<sims;k++){
+    if(losses[k]<vRaw) continue;
+    nTail++;
+    for(let j=0;j<m;j++) componentEs[j]-=w[j]*leg(k,j);
+  }
+  if(nTail>0) for(let j=0;j<m;j++) componentEs[j]/=nTail;
+
+  const incremental=[];
+  const tmp=new Float64Array(sims);
+  for(let i=0;i<m;i++){
+    for(let k=0;k<sims;k++) tmp[k]=losses[k]+w[i]*leg(k,i);
+    incremental.push(varP-Math.max(0, quantile(tmp, conf)));
+  }
+  return {
+    component, componentEs, incremental,
+    marginal: component.map((c,j)=>w[j]!==0 ? c/w[j] : NaN),
+    band: hi-lo,
+  };
+}
+
+// 分解需保留每条路径各期限的各腿收益（sims×m×期限数），超过则只保留组合收益
+const DECOMP_MAX_ELEMS=20000000;
+
+function preparePortfolio({ R, w, confs, Ts, sims, method, dfMax, seed }){
+  if(method==="copula") throw new Error("Copula MC 仅后端支持，本地引擎不可用");
+  if(!["normal","t_mc","bootstrap"].includes(method)) throw new Error(`Unknown portfolio method: ${method}`);
+  validateGrid(confs, Ts, sims, seed);
+  const X=R.filter(row=>row.every(Number.isFinite));
+  const m=w.length;
+  if(X.length && X[0].length!==m) throw new Error("w must have one finite weight per column of R");
+  if(sims*Math.max(...Ts)*m>MAX_SIM_ELEMS) throw new Error(`sims*T*symbols too large (max=${MAX_SIM_ELEMS})`);
+  if(X.length<2){
+    const grid=confs.map(conf=>Ts.map(T=>({conf, T, var:NaN, es:NaN})));
+    return {done:{ok:true, grid, diagnostics:{n:X.length, sims}}};
+  }
+
+  const C=covMatrix(X);
+  const sigmas=C.map((row,i)=>Math.sqrt(Math.max(0,row[i])));
+  let sp2=0;
+  for(let i=0;i<m;i++) for(let j=0;j<m;j++) sp2+=w[i]*w[j]*C[i][j];
+  const keepLegs=sims*m*Ts.length<=DECOMP_MAX_ELEMS;
+  const params={X, sigmas, sigmaP: Math.sqrt(Math.max(0,sp2)), keepLegs, width: Ts.length*(keepLegs ? m : 1)};
+  if(method!=="bootstrap"){
+    params.L=cholPsd(C);
     if(method==="t_mc"){
-      const dfHat=fitTDfMLE(r,3,dfMax);
-      const scale = dfHat>2 ? sigma*Math.sqrt((dfHat-2)/dfHat) : sigma;
-      const Rs=new Float64Array(sims);
-      for(let k=0;k<sims;k++){
-        let sum=0;
-        for(let t=0;t<T;t++) sum += mu + scale*randStdT(dfHat);
-        Rs[k]=sum;
-      }
-      const v = -quantile(Rs, ztail);
-      self.postMessage({ok:true, var:v, mu, sigma, nu: dfHat, z: zFromConf(conf)});
-      return;
+      params.nu=fitMvtDfMLE(X, params.L, 3, dfMax);
+      params.tScale=Math.sqrt((params.nu-2)/params.nu);
     }
+  }
+  return {params};
+}
 
-    if(method==="bootstrap"){
-      const Rs=new Float64Array(sims);
-      for(let k=0;k<sims;k++){
-        let sum=0;
-        for(let t=0;t<T;t++){
-          const idx=(Math.random()*r.length)|0;
-          sum += r[idx];
+// 各路径各期限的 T 日收益：keepLegs 时为各腿（行主序 k×nT×m），否则为按权重合成的组合收益（k×nT）
+function simulatePortfolio({ Ts, w, method }, params, k){
+  const { X, L, nu, tScale, keepLegs, width } = params;
+  const m=w.length, n=X.length;
+  const slots=horizonSlots(Ts), tMax=slots.length-1;
+  const out=new Float64Array(k*width);
+  const acc=new Float64Array(m);
+  const z=new Array(m);
+  for(let i=0;i<k;i++){
+    acc.fill(0);
+    for(let h=1;h<=tMax;h++){
+      if(method==="bootstrap"){
+        const row=X[(rand()*n)|0];
+        for(let j=0;j<m;j++) acc[j]+=row[j];
+      }else{
+        for(let j=0;j<m;j++) z[j]=randn();
+        // 多元 t：同一交易日各品种共享 χ² 混合变量
+        const mix=nu ? tScale/Math.sqrt(randChiSquare(nu)/nu) : 1;
+        for(let a=0;a<m;a++){
+          let s=0;
+          for(let j=0;j<=a;j++) s+=L[a][j]*z[j];
+          acc[a]+=mix*s;
+        }
+      }
+      for(const t of slots[h]){
+        if(keepLegs){
+          for(let j=0;j<m;j++) out[i*width+t*m+j]=acc[j];
+        }else{
+          let s=0;
+          for(let j=0;j<m;j++) s+=w[j]*acc[j];
+          out[i*width+t]=s;
         }
-        Rs[k]=sum;
       }
-      const v=-quantile(Rs, ztail);
-      self.postMessage({ok:true, var:v});
-      return;
     }
   }
+  return out;
+}
+
+function finishPortfolio({ w, confs, Ts, sims, seed }, params, buf){
+  const { keepLegs, width } = params;
+  const m=w.length;
+  const cols=Ts.map((T,t)=>{
+    if(!keepLegs) return horizonColumn(buf, sims, width, t);
+    const Rs=new Float64Array(sims);
+    for(let i=0;i<sims;i++){
+      let s=0;
+      for(let j=0;j<m;j++) s+=w[j]*buf[i*width+t*m+j];
+      Rs[i]=s;
+    }
+    return Rs;
+  });
+  const grid=confs.map(conf=>Ts.map((T,t)=>{
+    const cell={conf, T, ...varEsCi(cols[t], conf)};
+    if(keepLegs) cell.decomp=decomposeMC(buf, w, sims, conf, cell.var, width, t*m);
+    return cell;
+  }));
+  const out={
+    ok:true, grid, sigmaP: params.sigmaP, sigmas: params.sigmas,
+    diagnostics:{n:params.X.length, sims, tMax:Math.max(...Ts), seed: seed ?? null},
+  };
+  if(params.nu) out.nu=params.nu;
+  return out;
+}
+
+const STAGES = {
+  mcSingle: { prepare: prepareSingle, simulate: simulateSingle, finish: finishSingle },
+  mcPortfolio: { prepare: preparePortfolio, simulate: simulatePortfolio, finish: finishPortfolio },
+};
+
+// 消息：{ id, task, stage, job?, payload?, params?, k?, chunk?, offset?, buf? }
+//   stage 缺省时在本 Worker 内一次跑完（单 Worker 用法，视为第 0 块）；模拟结果 buf 以 Transferable 回传
+//   分块时每个 Worker 只收一次数据：prepare / load 按 job 号缓存 { payload, params }，
+//   simulate 只带块号、条数与 offset，finish 只带合并后的 buf；finish / release 释放缓存
+//   payload.seed 给定时，simulate 按 chunk 号取独立随机流，prepare 用单独的流（Sobol 数字移位）
+//   offset 为该块首条路径的全局下标（方差缩减的分批 / Sobol 点编号用）
+const jobs = new Map();
+const jobData = (job)=>{
+  const d=jobs.get(job);
+  if(!d) throw new Error(`Unknown job: ${job}`);
+  return d;
+};
+
+self.onmessage = (e)=>{
+  const { id, task, stage, job, payload, params, k, chunk, offset, buf } = e.data;
+  try{
+    const st=STAGES[task];
+    if(!st) throw new Error(`Unknown task: ${task}`);
+    if(stage==="prepare"){
+      useSeed(payload.seed, -1);
+      const prep=st.prepare(payload);
+      if(!prep.done) jobs.set(job, { payload, params: prep.params });
+      self.postMessage({id, ok:true, ...prep});
+    }else if(stage==="load"){
+      jobs.set(job, { payload, params });
+      self.postMessage({id, ok:true});
+    }else if(stage==="simulate"){
+      const d=jobData(job);
+      useSeed(d.payload.seed, chunk);
+      const out=st.simulate(d.payload, d.params, k, offset);
+      self.postMessage({id, ok:true, buf: out}, [out.buffer]);
+    }else if(stage==="finish"){
+      const d=jobData(job);
+      jobs.delete(job);
+      self.postMessage({id, ...st.finish(d.payload, d.params, buf)});
+    }else if(stage==="release"){
+      jobs.delete(job);
+      self.postMessage({id, ok:true});
+    }else{
+      useSeed(payload.seed, -1);
+      const prep=st.prepare(payload);
+      if(prep.done){ self.postMessage({id, ...prep.done}); return; }
+      useSeed(payload.seed, 0);
+      const sim=st.simulate(payload, prep.params, payload.sims);
+      self.postMessage({id, ...st.finish(payload, prep.params, sim)});
+    }
+  }catch(err){
+    self.postMessage({id, ok:false, error: err.message || String(err)});
+  }
 }
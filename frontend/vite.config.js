@@ -1,8 +1,19 @@
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
 
-export default defineConfig({
-  plugins: [react()],
+// 离线包（npm run build:offline）：打成单个经典脚本，去掉 type="module"，
+// 使 dist/index.html 可以直接以 file:// 打开（浏览器禁止 file:// 加载 ES module）
+const classicScript = () => ({
+  name: "classic-script",
+  enforce: "post",
+  transformIndexHtml: (html) =>
+    html.replace(/<script type="module" crossorigin/g, "<script defer"),
+});
+
+export default defineConfig(({ mode }) => ({
+  // 相对路径：build 产物可由后端托管，也可直接拷贝到 U 盘离线打开
+  base: "./",
+  plugins: mode === "offline" ? [react(), classicScript()] : [react()],
   server: {
     port: 5173,
     proxy: {
@@ -12,5 +23,11 @@ export default defineConfig({
   build: {
     outDir: "dist",
     emptyOutDir: true,
+    ...(mode === "offline" && {
+      modulePreload: false,
+      rollupOptions: {
+        output: { format: "iife", inlineDynamicImports: true },
+      },
+    }),
   },
-});
+}));